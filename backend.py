@@ -35,6 +35,28 @@ clinical_types = [
 ]
 
 
+# Appointment type categories for the workload mix (must match src/utils/appointmentTypes.js)
+type_categories = {
+	'Wellbeing Individual Check-In': 'counselling',
+	'Wellbeing Individual Counselling Session': 'counselling',
+	'Couples Counselling': 'counselling',
+	'Crisis': 'crisis',
+	'Groupwork': 'groupwork',
+	'Client Contact': 'communication',
+	'Communication (External)': 'communication',
+	'Communication (Internal)': 'communication',
+	'Communication (Respondent)': 'communication',
+	'Accompaniment (Faculty/HRP)': 'accompaniment',
+	'Accompaniment (Medical)': 'accompaniment',
+	'Accompaniment (NUS Adjudication)': 'accompaniment',
+	'Accompaniment (NUS Investigation)': 'accompaniment',
+	'Accompaniment (Other)': 'accompaniment',
+	'Accompaniment (Police)': 'accompaniment',
+	'MHRTW-Accompaniment': 'accompaniment',
+	'MHRTW-Communication': 'communication'
+}
+
+
 # List of current clinicians
 current_clinicians = [
 	'Andrew Lim', 'Claudia Stefanie', 'Dominic Yeo', 'Goh Zhengqin', 'Haikel',
@@ -121,3 +143,29 @@ with open('clinician_summary.csv', 'w') as f:
     summary.to_csv(f, index=False)
 print('\nSummary saved to clinician_summary.csv')
 print(f'Data timestamp: {timestamp}')
+
+# Save per-client first/last session dates so the frontend can count active cases exactly
+# for any time window (and split them into new vs continuing clients)
+caseload_cutoff = now - timedelta(days=120)
+# Categories lists every appointment category the client was seen for (used to weight case intensity)
+attended_df['category'] = attended_df['a_codedescription'].map(type_categories)
+client_dates = attended_df[attended_df['a_schedule'].isin(active_clinicians)].groupby(['a_schedule', 'a_centerclientid']).agg(
+	first_seen=('a_date', 'min'),
+	last_seen=('a_date', 'max'),
+	categories=('category', lambda c: ';'.join(sorted(c.dropna().unique())))
+).reset_index()
+client_dates = client_dates[client_dates['last_seen'] >= caseload_cutoff]
+client_dates.columns = ['Clinician', 'Client', 'First Seen', 'Last Seen', 'Categories']
+client_dates['First Seen'] = client_dates['First Seen'].dt.strftime('%Y-%m-%d')
+client_dates['Last Seen'] = client_dates['Last Seen'].dt.strftime('%Y-%m-%d')
+with open('client_last_seen.csv', 'w') as f:
+	f.write(f"# As of: {now.strftime('%Y-%m-%d')}\n")
+	client_dates.to_csv(f, index=False)
+print(f'Client last-seen dates saved to client_last_seen.csv ({len(client_dates)} clinician-client pairs)')
+
+# Save monthly hours per appointment category (long format) for the workload mix
+hours_by_type = attended_df[attended_df['a_schedule'].isin(active_clinicians)].groupby(['a_schedule', 'year', 'month', 'category'])['a_length_hours'].sum().reset_index()
+hours_by_type['Month'] = hours_by_type['year'].astype(str) + '_' + hours_by_type['month'].astype(str)
+hours_by_type = hours_by_type.rename(columns={'a_schedule': 'Clinician', 'category': 'Category', 'a_length_hours': 'Hours'})
+hours_by_type[['Clinician', 'Month', 'Category', 'Hours']].to_csv('clinician_hours_by_type.csv', index=False)
+print(f'Hours by appointment type saved to clinician_hours_by_type.csv ({len(hours_by_type)} rows)')
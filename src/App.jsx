@@ -1,30 +1,78 @@
 import React, { useState, useMemo, useEffect } from 'react';
-import { Info, X } from 'lucide-react';
+import { Info, X, AlertTriangle, Settings, History, FlaskConical, ListChecks, RotateCcw, Scale, FileWarning } from 'lucide-react';
 import { fetchClinicianData, levelLabels } from './utils/csvParser';
-import { calculateAssignmentScore, getRecommendationLevel, sortByAssignmentScore } from './utils/scoring';
-import { enrichWithAssignmentMetrics } from './utils/assignmentMetrics';
-import { getCurrentMonthName, getPreviousMonthName, getCurrentYear, get6MonthAverageLabel } from './utils/dateUtils';
+import { scoreClinicians, rankClinicians } from './utils/ranking';
+import { CASE_TYPE_LABELS, SPECIALTIES, getRequiredSpecialty, applyCaseTypeMatch, filterByCaseType } from './utils/caseTypes';
+import { loadScoringConfig, saveScoringConfig, clearScoringConfig, DEFAULT_SCORING_CONFIG } from './utils/scoringConfig';
+import { getCurrentMonthName, getPreviousMonthName, getCurrentYear, getPreviousMonthColumn, parseMonthKey, get6MonthAverageLabel, formatISODate, parseISODate, getCurrentTimelineIndex, formatMonthKey, getMonthDateRange } from './utils/dateUtils';
+import { getDefaultAvailabilityRange } from './utils/leaveCalendar';
+import { assessDataFreshness } from './utils/dataFreshness';
+import { detectHoursAnomalies, applyHoursAnomalyActions, loadAnomalyActions, saveAnomalyActions } from './utils/hoursAnomalies';
+import { loadClinicianDataFromAppointments } from './utils/appointmentImport';
+import { isEmployedOn } from './utils/roster';
+import { addAssignment, addAssignments, getAssignments, undoAssignment, createScoreSnapshot } from './utils/assignmentLog';
 import ClinicianCard from './components/ClinicianCard';
 import AssignmentGraph from './components/AssignmentGraph';
+import WorkloadMixChart from './components/WorkloadMixChart';
+import ScoreTrendChart from './components/ScoreTrendChart';
 import Clock from './components/Clock';
+import SettingsDrawer from './components/SettingsDrawer';
+import DataDropZone from './components/DataDropZone';
+import AssignDialog from './components/AssignDialog';
+import AssignmentHistory from './components/AssignmentHistory';
+import WhatIfPanel from './components/WhatIfPanel';
+import BatchPlanner from './components/BatchPlanner';
+import FairnessReport from './components/FairnessReport';
+import ExportMenu from './components/ExportMenu';
+import DataQualityPanel from './components/DataQualityPanel';
+import RankingPrintView from './components/RankingPrintView';
 
 function App() {
   const [selectedLevel, setSelectedLevel] = useState('all');
+  const [selectedCaseType, setSelectedCaseType] = useState(''); // '' = any case type
   const [cliniciansData, setCliniciansData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [timeWindow, setTimeWindow] = useState(2); // Default 2 months
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [dataAsOf, setDataAsOf] = useState(null);
+  const [caseloadAsOf, setCaseloadAsOf] = useState(null);
+  const [holidays, setHolidays] = useState([]); // public holidays ("YYYY-MM-DD") left out of working days
   const [dismissedNotice, setDismissedNotice] = useState(false);
+  const [scoringConfig, setScoringConfig] = useState(DEFAULT_SCORING_CONFIG);
+  const [defaultScoringConfig, setDefaultScoringConfig] = useState(DEFAULT_SCORING_CONFIG);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [availabilityFrom, setAvailabilityFrom] = useState(() => formatISODate(getDefaultAvailabilityRange().start));
+  const [availabilityTo, setAvailabilityTo] = useState(() => formatISODate(getDefaultAvailabilityRange().end));
+  const [assignments, setAssignments] = useState([]);
+  const [assignmentLogError, setAssignmentLogError] = useState(null);
+  const [assignTarget, setAssignTarget] = useState(null); // { clinician, rank }
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [whatIfOpen, setWhatIfOpen] = useState(false);
+  const [batchOpen, setBatchOpen] = useState(false);
+  const [fairnessOpen, setFairnessOpen] = useState(false);
+  const [dataIssues, setDataIssues] = useState([]);
+  const [dataQualityOpen, setDataQualityOpen] = useState(false);
+  const [anomalyActions, setAnomalyActions] = useState(() => loadAnomalyActions()); // keep/cap/exclude by anomaly key
+  const [asOfDate, setAsOfDate] = useState(''); // '' = today; an earlier date replays the dashboard as of then
 
   // Fetch clinician data from CSV on component mount
   useEffect(() => {
     async function loadData() {
       try {
         setLoading(true);
-        const result = await fetchClinicianData();
+        const [result, { config, defaults }] = await Promise.all([
+          fetchClinicianData(),
+          loadScoringConfig()
+        ]);
+        setScoringConfig(config);
+        setDefaultScoringConfig(defaults);
         setCliniciansData(result.clinicians);
         setLastUpdated(result.lastUpdated);
+        setDataAsOf(result.dataAsOf);
+        setCaseloadAsOf(result.caseloadAsOf);
+        setHolidays(result.holidays);
+        setDataIssues(result.issues);
         setError(null);
       } catch (err) {
         setError('Failed to load clinician data. Please refresh the page.');
@@ -37,45 +85,86 @@ function App() {
     loadData();
   }, []);
 
-  // Calculate scores for all clinicians with new fair formula
-  const cliniciansWithScores = useMemo(() => {
-    if (cliniciansData.length === 0) return [];
+  // Load the assignment log (IndexedDB) on mount
+  useEffect(() => {
+    getAssignments()
+      .then(setAssignments)
+      .catch(err => {
+        console.warn('[App] Could not load assignment log:', err);
+        setAssignmentLogError(err.message);
+      });
+  }, []);
 
-    const enrichedData = enrichWithAssignmentMetrics(cliniciansData);
+  // Date the dashboard is computed as of
+  const asOf = useMemo(() => parseISODate(asOfDate) || new Date(), [asOfDate]);
+  const isReplay = asOfDate !== '';
+
+  // Replay dates run from the first month in the data to today
+  const firstMonthKey = cliniciansData[0]?.monthKeys?.[0];
+  const minAsOfDate = firstMonthKey ? formatISODate(getMonthDateRange(firstMonthKey).start) : undefined;
+  const maxAsOfDate = formatISODate(new Date());
+
+  // Replaying a date starts from the default assignment period for that date
+  const changeAsOfDate = (input) => {
+    // Typed dates can get past min/max, so clamp them (ISO dates compare as strings)
+    const value = input && minAsOfDate && input < minAsOfDate ? minAsOfDate
+      : input && input > maxAsOfDate ? maxAsOfDate
+        : input;
+    setAsOfDate(value);
+    const range = getDefaultAvailabilityRange(parseISODate(value) || new Date());
+    setAvailabilityFrom(formatISODate(range.start));
+    setAvailabilityTo(formatISODate(range.end));
+  };
 
-    // Check if any clinician is using fallback data
-    const usingFallback = enrichedData.some(c => c.usingPreviousMonthFallback);
-    if (usingFallback && enrichedData.length > 0) {
-      console.log('[App] Some clinicians are using previous month data as fallback');
-    }
+  // Inputs to the ranking pipeline besides the data and config (shared with the what-if simulator)
+  const rankingOptions = useMemo(() => {
+    // Leave is checked against the selected assignment period (ignored until both dates are valid)
+    const rangeStart = parseISODate(availabilityFrom);
+    const rangeEnd = parseISODate(availabilityTo);
+    const availabilityRange = rangeStart && rangeEnd && rangeEnd >= rangeStart
+      ? { start: rangeStart, end: rangeEnd }
+      : undefined;
+
+    // Logged assignments the data doesn't include yet count as provisional cases and hours
+    // (not when replaying: the data already covers everything assigned before that date)
+    return {
+      timeWindow,
+      caseloadAsOf,
+      asOf,
+      availabilityRange,
+      pendingAssignments: isReplay ? [] : assignments,
+      dataAsOf,
+      holidays
+    };
+  }, [dataAsOf, caseloadAsOf, assignments, timeWindow, availabilityFrom, availabilityTo, asOf, isReplay, holidays]);
+
+  // Clinicians within their roster start/end dates on the as-of date, so a replay includes who was there then
+  const rosterClinicians = useMemo(
+    () => cliniciansData.filter(clinician => isEmployedOn(clinician, asOf)),
+    [cliniciansData, asOf]
+  );
 
-    // Calculate baseline (2 months) for normalization - FIXED baseline
-    // This ensures time window changes have meaningful impact
-    const baselineMaxActiveCases = Math.max(...enrichedData.map(c => c.activeCases), 1);
-
-    // Adjust active cases based on time window (proportional scaling from 2 months baseline)
-    // Using square root scaling to account for client overlap (not perfectly linear)
-    const scaleFactor = Math.sqrt(timeWindow / 2);
-    console.log(`Time window: ${timeWindow} months, Scale factor: ${scaleFactor.toFixed(3)}`);
-
-    const adjustedData = enrichedData.map(clinician => {
-      const adjustedActiveCases = Math.round(clinician.activeCases * scaleFactor);
-      return {
-        ...clinician,
-        activeCases: adjustedActiveCases
-      };
-    });
+  // Unusual monthly hours, and the hours scored once the chosen keep/cap/exclude actions are applied
+  const hoursAnomalies = useMemo(
+    () => detectHoursAnomalies(rosterClinicians, scoringConfig, asOf, holidays),
+    [rosterClinicians, scoringConfig, asOf, holidays]
+  );
+  const scoringData = useMemo(
+    () => applyHoursAnomalyActions(rosterClinicians, hoursAnomalies, anomalyActions, scoringConfig.hoursAnomalies.defaultAction),
+    [rosterClinicians, hoursAnomalies, anomalyActions, scoringConfig]
+  );
 
-    // Pass baseline max for normalization so scores change meaningfully with time window
-    const result = adjustedData.map(clinician => {
-      const assignmentScore = calculateAssignmentScore(clinician, adjustedData, baselineMaxActiveCases);
-      const recommendationLevel = getRecommendationLevel(assignmentScore);
-      return {
-        ...clinician,
-        assignmentScore,
-        recommendationLevel
-      };
-    });
+  const changeAnomalyAction = (key, action) => {
+    const next = { ...anomalyActions, [key]: action };
+    setAnomalyActions(next);
+    saveAnomalyActions(next);
+  };
+
+  // Calculate scores for all clinicians with new fair formula
+  const cliniciansWithScores = useMemo(() => {
+    if (scoringData.length === 0) return [];
+
+    const result = scoreClinicians(scoringData, scoringConfig, rankingOptions);
 
     // Debug: Log first clinician to verify changes
     if (result.length > 0) {
@@ -83,24 +172,128 @@ function App() {
     }
 
     return result;
-  }, [cliniciansData, timeWindow]);
+  }, [scoringData, scoringConfig, rankingOptions]);
 
   // Filter and sort clinicians
+  // Clinicians on leave for the selected period are hidden or listed after everyone available
+  // Case-type match: qualified clinicians are boosted, or the only ones shown in filter mode
+  const { clinicians: caseTypeMatches, noQualified } = useMemo(() => filterByCaseType(
+    applyCaseTypeMatch(cliniciansWithScores, selectedCaseType, scoringConfig),
+    selectedCaseType,
+    scoringConfig
+  ), [cliniciansWithScores, selectedCaseType, scoringConfig]);
+
   const filteredClinicians = useMemo(() => {
     const filtered = selectedLevel === 'all'
-      ? cliniciansWithScores
-      : cliniciansWithScores.filter(c => c.level === selectedLevel);
-    return sortByAssignmentScore(filtered);
-  }, [cliniciansWithScores, selectedLevel]);
+      ? caseTypeMatches
+      : caseTypeMatches.filter(c => c.level === selectedLevel);
+    const visible = scoringConfig.availability.unavailableMode === 'hide'
+      ? filtered.filter(c => c.availability.isAvailable)
+      : filtered;
+    return rankClinicians(visible);
+  }, [caseTypeMatches, selectedLevel, scoringConfig]);
+
+  const availableCount = filteredClinicians.filter(c => c.availability.isAvailable).length;
+
+  // How old the data is and which months it is missing
+  const freshness = useMemo(
+    () => assessDataFreshness(rosterClinicians, dataAsOf, scoringConfig, asOf),
+    [rosterClinicians, dataAsOf, scoringConfig, asOf]
+  );
+
+  // What the exported ranking was filtered by, and how fresh its data is
+  const exportMeta = {
+    dataTimestamp: lastUpdated,
+    staleWarning: freshness.isStale
+      ? `Data is ${freshness.ageDays} days old, past the ${freshness.staleAfterDays}-day limit${freshness.blocksHighlyRecommended ? '; Highly Recommended withheld' : ''}`
+      : null,
+    filters: [
+      selectedLevel === 'all' ? 'All levels' : levelLabels[selectedLevel],
+      selectedCaseType || 'Any case type',
+      `${timeWindow}-month caseload window`,
+      isReplay ? `as of ${formatISODate(asOf)}` : null
+    ].filter(Boolean).join(' • ')
+  };
+  const showFreshnessBanner = cliniciansData.length > 0 && (
+    freshness.isStale || freshness.missingMonths.length > 0 || freshness.emptyMonths.length > 0 || !dataAsOf
+  );
 
   // Check if we're using fallback data for any clinician
   const usingFallback = cliniciansWithScores.some(c => c.usingPreviousMonthFallback);
-  const dayOfMonth = new Date().getDate();
+  const dayOfMonth = asOf.getDate();
 
   const selectLevel = (level) => {
     setSelectedLevel(level);
   };
 
+  // Replace the summary data with figures computed from a dropped ALL-HOURS.csv export
+  const importAppointments = async (csvText, fileName) => {
+    const result = await loadClinicianDataFromAppointments(csvText);
+    setCliniciansData(result.clinicians);
+    setDataAsOf(result.dataAsOf);
+    setCaseloadAsOf(result.caseloadAsOf);
+    setHolidays(result.holidays);
+    setDataIssues(result.issues);
+    setLastUpdated(`${result.lastUpdated} (imported from ${fileName})`);
+  };
+
+  const logAssignment = async ({ clientRef, caseType, assignedAt }) => {
+    const { clinician, rank } = assignTarget;
+    const record = await addAssignment({
+      clientRef,
+      caseType,
+      assignedAt,
+      clinician: clinician.name,
+      fullName: clinician.fullName || clinician.name,
+      snapshot: createScoreSnapshot(clinician, rank)
+    });
+    setAssignments(await getAssignments().catch(() => [record, ...assignments]));
+    setAssignTarget(null);
+  };
+
+  // Log a whole batch in one transaction, so a bad row or failed write doesn't leave half a batch logged
+  const logBatchAssignments = async (allocations, assignedAt) => {
+    const entries = allocations.map(allocation => ({
+      clientRef: allocation.clientRef,
+      caseType: allocation.caseType,
+      assignedAt,
+      clinician: allocation.clinician || '',
+      fullName: allocation.fullName,
+      snapshot: allocation.snapshot
+    }));
+
+    try {
+      await addAssignments(entries);
+    } finally {
+      setAssignments(await getAssignments().catch(() => assignments));
+    }
+    setBatchOpen(false);
+  };
+
+  const undoLoggedAssignment = async (id) => {
+    try {
+      await undoAssignment(id);
+      setAssignments(await getAssignments());
+      setAssignmentLogError(null);
+    } catch (err) {
+      console.error('Error undoing assignment:', err);
+      setAssignmentLogError(err.message);
+    }
+  };
+
+  const updateScoringConfig = (config) => {
+    setScoringConfig(config);
+    saveScoringConfig(config);
+  };
+
+  const resetScoringConfig = () => {
+    clearScoringConfig();
+    setScoringConfig(defaultScoringConfig);
+  };
+
+  const { weights, burnout: burnoutConfig, loadBalancing: loadBalancingConfig } = scoringConfig;
+  const capacityMode = scoringConfig.capacity.mode === 'capacity';
+
   // Show loading state
   if (loading) {
     return (
@@ -161,14 +354,148 @@ function App() {
             {lastUpdated && (
               <p className="data-timestamp" style={{ fontSize: '0.875rem', color: '#9ca3af', marginTop: '0.25rem' }}>
                 Data last updated: {lastUpdated}
+                {freshness.ageDays !== null && freshness.ageDays >= 0 && (
+                  <span className={freshness.isStale ? 'data-age stale' : 'data-age'}>
+                    {' '}({freshness.ageDays === 0 ? 'today' : `${freshness.ageDays} day${freshness.ageDays !== 1 ? 's' : ''} ago`})
+                  </span>
+                )}
               </p>
             )}
           </div>
+          <div className="header-actions">
+            <button className="settings-toggle" onClick={() => setBatchOpen(true)} title="Allocate a batch of new cases">
+              <ListChecks size={16} /> Batch
+            </button>
+            <button className="settings-toggle" onClick={() => setWhatIfOpen(true)} title="Simulate assignments before making them">
+              <FlaskConical size={16} /> What-if
+            </button>
+            <button className="settings-toggle" onClick={() => setHistoryOpen(true)} title="Assignment history">
+              <History size={16} /> History
+            </button>
+            <button className="settings-toggle" onClick={() => setFairnessOpen(true)} title="How evenly cases and hours are spread">
+              <Scale size={16} /> Fairness
+            </button>
+            <button
+              className={`settings-toggle ${dataIssues.some(issue => issue.severity === 'error') ? 'has-errors' : ''}`}
+              onClick={() => setDataQualityOpen(true)}
+              title="Problems found in the data files"
+            >
+              <FileWarning size={16} /> Data quality{dataIssues.length + hoursAnomalies.length > 0 && ` (${dataIssues.length + hoursAnomalies.length})`}
+            </button>
+            <button className="settings-toggle" onClick={() => setSettingsOpen(true)} title="Scoring settings">
+              <Settings size={16} /> Settings
+            </button>
+          </div>
           <Clock />
         </div>
       </header>
 
+      <SettingsDrawer
+        isOpen={settingsOpen}
+        config={scoringConfig}
+        onChange={updateScoringConfig}
+        onReset={resetScoringConfig}
+        onClose={() => setSettingsOpen(false)}
+        weightedCaseloadAvailable={Boolean(caseloadAsOf) || cliniciansData.some(clinician => Array.isArray(clinician.hoursByType))}
+      />
+
+      <AssignmentHistory
+        isOpen={historyOpen}
+        assignments={assignments}
+        error={assignmentLogError}
+        onUndo={undoLoggedAssignment}
+        onClose={() => setHistoryOpen(false)}
+      />
+
+      <DataQualityPanel
+        isOpen={dataQualityOpen}
+        issues={dataIssues}
+        anomalies={hoursAnomalies}
+        anomalyActions={anomalyActions}
+        defaultAnomalyAction={scoringConfig.hoursAnomalies.defaultAction}
+        onAnomalyActionChange={changeAnomalyAction}
+        onClose={() => setDataQualityOpen(false)}
+      />
+
+      <FairnessReport
+        isOpen={fairnessOpen}
+        assignments={assignments}
+        clinicians={cliniciansWithScores}
+        asOf={asOf}
+        onClose={() => setFairnessOpen(false)}
+      />
+
+      <WhatIfPanel
+        isOpen={whatIfOpen}
+        cliniciansData={scoringData}
+        scoringConfig={scoringConfig}
+        rankingOptions={rankingOptions}
+        onClose={() => setWhatIfOpen(false)}
+      />
+
+      <BatchPlanner
+        isOpen={batchOpen}
+        cliniciansData={scoringData}
+        scoringConfig={scoringConfig}
+        rankingOptions={rankingOptions}
+        initialLevel={selectedLevel}
+        onCommit={logBatchAssignments}
+        onClose={() => setBatchOpen(false)}
+      />
+
+      {assignTarget && (
+        <AssignDialog
+          clinician={assignTarget.clinician}
+          rank={assignTarget.rank}
+          defaultCaseType={selectedCaseType}
+          onConfirm={logAssignment}
+          onClose={() => setAssignTarget(null)}
+        />
+      )}
+
       <div className="container">
+        {isReplay && (
+          <div className="replay-banner">
+            <RotateCcw size={16} />
+            <div>
+              Showing recommendations as of <strong>{asOf.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })}</strong>.
+              Hours, burnout and leave are replayed for that date, and logged assignments are not added.{' '}
+              {caseloadAsOf
+                ? 'Active cases are counted from client_last_seen.csv as of that date: a client counts if first seen by then and last seen since the window start, as visits in between are not recorded.'
+                : 'Active cases are the current counts, not replayed (the summary has no caseload history).'}
+            </div>
+          </div>
+        )}
+
+        {showFreshnessBanner && (
+          <div className={`freshness-banner ${freshness.isStale ? 'stale' : ''}`}>
+            <AlertTriangle size={16} />
+            <div>
+              {freshness.isStale && (
+                <p>
+                  <strong>Data is {freshness.ageDays} days old</strong> (last updated {lastUpdated}), past the {freshness.staleAfterDays}-day limit.
+                  {freshness.blocksHighlyRecommended
+                    ? ' Nobody is marked Highly Recommended until the data is refreshed.'
+                    : ' Treat the recommendations with care until the data is refreshed.'}
+                </p>
+              )}
+              {!dataAsOf && (
+                <p>The data's "last updated" date could not be read, so its age is unknown.</p>
+              )}
+              {freshness.missingMonths.length > 0 && (
+                <p>
+                  No data yet for <strong>{freshness.missingMonths.map(formatMonthKey).join(', ')}</strong>: the newest month in the data is {formatMonthKey(freshness.latestMonthKey)}.
+                </p>
+              )}
+              {freshness.emptyMonths.length > 0 && (
+                <p>
+                  No hours recorded for anyone in <strong>{freshness.emptyMonths.map(formatMonthKey).join(', ')}</strong>; these months may be missing from the export.
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+
         {usingFallback && !dismissedNotice && (
           <div style={{
             display: 'flex',
@@ -185,7 +512,7 @@ function App() {
           }}>
             <Info size={16} style={{ color: '#f59e0b', marginTop: '0.125rem', flexShrink: 0 }} />
             <div style={{ flex: 1, lineHeight: '1.5' }}>
-              Using <strong>{getPreviousMonthName()}</strong> data for "Current Month" metrics (day {dayOfMonth} of month, current data limited)
+              Using <strong>{getPreviousMonthName(asOf)}</strong> data for "Current Month" metrics (day {dayOfMonth} of month, current data limited)
             </div>
             <button
               onClick={() => setDismissedNotice(true)}
@@ -209,6 +536,8 @@ function App() {
           </div>
         )}
 
+        <DataDropZone onImport={importAppointments} />
+
         <section className="filter-section">
           <div className="filter-header">
             <div>
@@ -232,6 +561,30 @@ function App() {
               </div>
             </div>
 
+            <div className="availability-control">
+              <label className="time-window-label" htmlFor="case-type-select">Case Type</label>
+              <select
+                id="case-type-select"
+                className="case-type-select"
+                value={selectedCaseType}
+                onChange={(e) => setSelectedCaseType(e.target.value)}
+              >
+                <option value="">Any</option>
+                {CASE_TYPE_LABELS.map(type => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+              {getRequiredSpecialty(selectedCaseType) && (
+                <span className="availability-hint">
+                  {noQualified
+                    ? `No clinicians are tagged for ${SPECIALTIES[getRequiredSpecialty(selectedCaseType)]}, showing everyone`
+                    : scoringConfig.caseMatching.mode === 'filter'
+                      ? 'Showing qualified clinicians only'
+                      : `Qualified clinicians ranked ${scoringConfig.caseMatching.boostPoints} pts higher`}
+                </span>
+              )}
+            </div>
+
             <div className="time-window-control">
               <label className="time-window-label">
                 Active Cases Window: <span className="time-window-value">{timeWindow} {timeWindow === 1 ? 'month' : 'months'}</span>
@@ -251,16 +604,62 @@ function App() {
                 <span>3mo</span>
               </div>
             </div>
+
+            <div className="availability-control">
+              <span className="time-window-label">Assignment Period</span>
+              <div className="availability-dates">
+                <input
+                  type="date"
+                  value={availabilityFrom}
+                  onChange={(e) => setAvailabilityFrom(e.target.value)}
+                  aria-label="Assignment period start"
+                />
+                <span>to</span>
+                <input
+                  type="date"
+                  value={availabilityTo}
+                  min={availabilityFrom}
+                  onChange={(e) => setAvailabilityTo(e.target.value)}
+                  aria-label="Assignment period end"
+                />
+              </div>
+              <span className="availability-hint">Clinicians on leave for this period are {scoringConfig.availability.unavailableMode === 'hide' ? 'hidden' : 'listed last'}</span>
+            </div>
+
+            <div className="availability-control">
+              <span className="time-window-label">As of</span>
+              <div className="availability-dates">
+                <input
+                  type="date"
+                  value={asOfDate || formatISODate(asOf)}
+                  min={minAsOfDate}
+                  max={maxAsOfDate}
+                  onChange={(e) => changeAsOfDate(e.target.value)}
+                  aria-label="Compute recommendations as of"
+                />
+                {isReplay && (
+                  <button className="replay-reset" onClick={() => changeAsOfDate('')} title="Back to today">
+                    <RotateCcw size={14} /> Today
+                  </button>
+                )}
+              </div>
+              <span className="availability-hint">Pick an earlier date to see the recommendations as they were then</span>
+            </div>
           </div>
         </section>
 
         <section className="results-section">
           <div className="results-header">
-            <h2 className="results-title">
-              {filteredClinicians.length > 0
-                ? `${filteredClinicians.length} Therapist${filteredClinicians.length !== 1 ? 's' : ''} Available`
-                : 'No Therapists Match Filter'}
-            </h2>
+            <div className="results-title-row">
+              <h2 className="results-title">
+                {filteredClinicians.length > 0
+                  ? `${availableCount} Therapist${availableCount !== 1 ? 's' : ''} Available`
+                  : 'No Therapists Match Filter'}
+              </h2>
+              {filteredClinicians.length > 0 && (
+                <ExportMenu clinicians={filteredClinicians} meta={exportMeta} />
+              )}
+            </div>
             {filteredClinicians.length > 0 && (
               <>
                 <p className="results-subtitle">
@@ -280,42 +679,48 @@ function App() {
                     <div className="metric-card">
                       <div className="metric-header">
                         <h4 className="metric-title">Active Cases</h4>
-                        <span className="metric-weight">30%</span>
+                        <span className="metric-weight">{weights.activeCases}%</span>
                       </div>
                       <p className="metric-description">
                         Unique clients seen in the last {timeWindow} {timeWindow === 1 ? 'month' : 'months'}
+                        {scoringConfig.caseIntensity.caseloadInput === 'weighted' && ', weighted by appointment intensity'}
                       </p>
                     </div>
 
                     <div className="metric-card">
                       <div className="metric-header">
                         <h4 className="metric-title">Current Month</h4>
-                        <span className="metric-weight">30%</span>
+                        <span className="metric-weight">{weights.currentMonth}%</span>
                       </div>
                       <p className="metric-description">
-                        Clinical hours for {usingFallback ? getPreviousMonthName() : getCurrentMonthName()} {getCurrentYear()}
+                        Clinical hours for {usingFallback ? getPreviousMonthName(asOf) : getCurrentMonthName(asOf)} {usingFallback ? parseMonthKey(getPreviousMonthColumn(asOf)).year : getCurrentYear(asOf)}
                         {usingFallback && (
                           <span style={{ display: 'block', fontSize: '0.75rem', color: '#f59e0b', marginTop: '0.25rem' }}>
                             (using last month as proxy)
                           </span>
                         )}
+                        {scoringConfig.currentMonth.estimate === 'projection' && (
+                          <span style={{ display: 'block', fontSize: '0.75rem', color: '#f59e0b', marginTop: '0.25rem' }}>
+                            (projected from hours so far by working days)
+                          </span>
+                        )}
                       </p>
                     </div>
 
                     <div className="metric-card">
                       <div className="metric-header">
                         <h4 className="metric-title">6-Month Average</h4>
-                        <span className="metric-weight">30%</span>
+                        <span className="metric-weight">{weights.sixMonthAverage}%</span>
                       </div>
                       <p className="metric-description">
-                        {get6MonthAverageLabel()}
+                        {get6MonthAverageLabel(asOf)}
                       </p>
                     </div>
 
                     <div className="metric-card">
                       <div className="metric-header">
                         <h4 className="metric-title">Growth Rate</h4>
-                        <span className="metric-weight">10%</span>
+                        <span className="metric-weight">{weights.growthRate}%</span>
                       </div>
                       <p className="metric-description">
                         Current month vs their historical baseline
@@ -325,8 +730,15 @@ function App() {
 
                   <div className="formula-math">
                     <code className="formula-notation">
-                      S = 100 × [0.30 × (AC/max) + 0.30 × (CM/max) + 0.30 × (M6/max) + 0.10 × ((GR−min)/(max−min))]
+                      {capacityMode
+                        ? <>S = {weights.activeCases} × (AC/cap) + {weights.currentMonth} × (CM/capacity) + {weights.sixMonthAverage} × (M6/capacity) + {weights.growthRate} × ((GR−min)/(max−min))</>
+                        : <>S = {weights.activeCases} × (AC/max) + {weights.currentMonth} × (CM/max) + {weights.sixMonthAverage} × (M6/max) + {weights.growthRate} × ((GR−min)/(max−min))</>}
                     </code>
+                    {capacityMode && (
+                      <p className="formula-description" style={{ marginTop: '0.5rem' }}>
+                        Capacity mode: hours and cases are compared to each clinician's own FTE-adjusted capacity
+                      </p>
+                    )}
                   </div>
 
                   <div style={{ marginTop: '2.5rem', padding: '1.5rem', background: '#fafafa', border: '1px solid #e5e7eb', borderRadius: '6px' }}>
@@ -339,7 +751,7 @@ function App() {
                           Load Caution
                         </div>
                         <div style={{ fontSize: '0.8125rem', color: '#6b7280', lineHeight: '1.5' }}>
-                          +3 points when working ≥1.25× own average for 2+ months (max 45h)
+                          +{burnoutConfig.penalty} points when working ≥{burnoutConfig.multiplier}× own average for {burnoutConfig.minConsecutiveMonths}+ months (max {burnoutConfig.maxThresholdHours}h)
                         </div>
                       </div>
                       <div>
@@ -347,7 +759,7 @@ function App() {
                           Load Balancing
                         </div>
                         <div style={{ fontSize: '0.8125rem', color: '#6b7280', lineHeight: '1.5' }}>
-                          Points added when 1.5 SD above team average for 2+ months
+                          Points added when {loadBalancingConfig.sdThreshold} SD above team average for 2+ months
                         </div>
                       </div>
                     </div>
@@ -368,15 +780,43 @@ function App() {
                   key={clinician.name}
                   clinician={clinician}
                   rank={index + 1}
+                  scoringConfig={scoringConfig}
+                  timeWindow={timeWindow}
+                  caseType={selectedCaseType}
+                  onAssign={() => setAssignTarget({ clinician, rank: index + 1 })}
                 />
               ))}
             </div>
           )}
+
+          {filteredClinicians.length > 0 && (
+            <RankingPrintView clinicians={filteredClinicians} meta={exportMeta} />
+          )}
         </section>
 
         {filteredClinicians.length > 0 && (
           <section className="graph-section">
-            <AssignmentGraph clinicians={filteredClinicians} />
+            <AssignmentGraph
+              clinicians={filteredClinicians}
+              lastIndex={isReplay ? getCurrentTimelineIndex(filteredClinicians[0].monthKeys, asOf) : null}
+            />
+          </section>
+        )}
+
+        {filteredClinicians.length > 0 && (
+          <section className="graph-section">
+            <ScoreTrendChart
+              cliniciansData={scoringData}
+              clinicians={filteredClinicians}
+              scoringConfig={scoringConfig}
+              rankingOptions={rankingOptions}
+            />
+          </section>
+        )}
+
+        {filteredClinicians.some(c => c.typeBreakdown) && (
+          <section className="graph-section">
+            <WorkloadMixChart clinicians={filteredClinicians} />
           </section>
         )}
       </div>
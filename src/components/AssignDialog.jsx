@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { CASE_TYPE_LABELS } from '../utils/caseTypes';
+import { formatISODate } from '../utils/dateUtils';
+
+/**
+ * Dialog for logging an assignment to a clinician
+ * Calls onConfirm({ clientRef, caseType, assignedAt }) and shows any error it throws
+ */
+const AssignDialog = ({ clinician, rank, defaultCaseType, onConfirm, onClose }) => {
+  const [clientRef, setClientRef] = useState('');
+  const [caseType, setCaseType] = useState(defaultCaseType || CASE_TYPE_LABELS[0]);
+  const [assignedAt, setAssignedAt] = useState(() => formatISODate(new Date()));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!clinician) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onConfirm({ clientRef, caseType, assignedAt });
+    } catch (err) {
+      console.error('Error logging assignment:', err);
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="settings-overlay assign-overlay" onClick={onClose}>
+      <form className="assign-dialog" onClick={(e) => e.stopPropagation()} onSubmit={handleSubmit}>
+        <div className="settings-header">
+          <h2 className="settings-title">Assign to {clinician.name}</h2>
+          <button type="button" className="settings-close" onClick={onClose} title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        <p className="settings-note">
+          Ranked #{rank} • Score {clinician.assignmentScore}/100
+        </p>
+
+        <label className="settings-field">
+          <span>Client reference</span>
+          <input
+            type="text"
+            value={clientRef}
+            onChange={(e) => setClientRef(e.target.value)}
+            autoFocus
+          />
+        </label>
+        <label className="settings-field">
+          <span>Case type</span>
+          <select value={caseType} onChange={(e) => setCaseType(e.target.value)}>
+            {CASE_TYPE_LABELS.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+        </label>
+        <label className="settings-field">
+          <span>Date</span>
+          <input
+            type="date"
+            value={assignedAt}
+            onChange={(e) => setAssignedAt(e.target.value)}
+          />
+        </label>
+
+        {error && (
+          <ul className="settings-errors">
+            <li>{error}</li>
+          </ul>
+        )}
+
+        <button type="submit" className="filter-btn active assign-confirm" disabled={saving || clientRef.trim() === ''}>
+          {saving ? 'Saving...' : 'Log assignment'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default AssignDialog;
@@ -1,6 +1,6 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { monthLabels } from '../utils/csvParser';
+import { formatMonthKey } from '../utils/dateUtils';
 
 // Color palette for different clinicians (muted colors)
 const colors = [
@@ -17,12 +17,27 @@ const colors = [
   '#8b7f9d', // purple-gray
 ];
 
-const AssignmentGraph = ({ clinicians }) => {
+// Selectable history ranges (months); null shows every year in the data
+const rangeOptions = [
+  { months: 12, label: '12 months' },
+  { months: 24, label: '24 months' },
+  { months: null, label: 'All' },
+];
+
+// lastIndex (optional) ends the chart at that timeline month, e.g. when replaying a past date
+const AssignmentGraph = ({ clinicians, lastIndex = null }) => {
+  const [rangeMonths, setRangeMonths] = useState(12);
+
+  // All clinicians share the same multi-year timeline
+  const allMonthKeys = clinicians[0]?.monthKeys || [];
+  const monthKeys = lastIndex === null ? allMonthKeys : allMonthKeys.slice(0, lastIndex + 1);
+  const startIndex = rangeMonths === null ? 0 : Math.max(0, monthKeys.length - rangeMonths);
+
   // Transform data for recharts
-  const chartData = monthLabels.map((month, index) => {
-    const dataPoint = { month };
+  const chartData = monthKeys.slice(startIndex).map((monthKey, offset) => {
+    const dataPoint = { month: formatMonthKey(monthKey) };
     clinicians.forEach((clinician) => {
-      dataPoint[clinician.name] = clinician.monthlyHours2025[index];
+      dataPoint[clinician.name] = clinician.monthlyHours[startIndex + offset];
     });
     return dataPoint;
   });
@@ -32,7 +47,7 @@ const AssignmentGraph = ({ clinicians }) => {
     if (active && payload && payload.length) {
       return (
         <div className="custom-tooltip">
-          <p className="tooltip-label">{label} 2025</p>
+          <p className="tooltip-label">{label}</p>
           {payload
             .sort((a, b) => b.value - a.value)
             .map((entry, index) => (
@@ -49,8 +64,19 @@ const AssignmentGraph = ({ clinicians }) => {
   return (
     <div className="assignment-graph">
       <div className="graph-header">
-        <h2 className="graph-title">2025 Monthly Hours Trend</h2>
+        <h2 className="graph-title">Monthly Hours Trend</h2>
         <p className="graph-subtitle">Clinical hours per clinician by month</p>
+        <div className="graph-range-buttons">
+          {rangeOptions.map(({ months, label }) => (
+            <button
+              key={label}
+              className={`filter-btn ${rangeMonths === months ? 'active' : ''}`}
+              onClick={() => setRangeMonths(months)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
       </div>
       <div className="graph-container">
         <ResponsiveContainer width="100%" height="100%">
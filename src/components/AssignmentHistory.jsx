@@ -0,0 +1,78 @@
+import React from 'react';
+import { X, Undo2 } from 'lucide-react';
+import { summarizeAssignments } from '../utils/assignmentLog';
+
+const levelLabels = {
+  high: 'Highly Recommended',
+  medium: 'Recommended',
+  low: 'Consider Others First'
+};
+
+const formatAssignedDate = (isoDate) => {
+  const [year, month, day] = isoDate.split('-').map(n => parseInt(n, 10));
+  return new Date(year, month - 1, day).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+};
+
+/**
+ * Drawer listing logged assignments with the score snapshot at the time, and undo
+ */
+const AssignmentHistory = ({ isOpen, assignments, error, onUndo, onClose }) => {
+  if (!isOpen) return null;
+
+  const summary = summarizeAssignments(assignments);
+
+  return (
+    <div className="settings-overlay" onClick={onClose}>
+      <aside className="settings-drawer history-drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="settings-header">
+          <h2 className="settings-title">Assignment History</h2>
+          <button className="settings-close" onClick={onClose} title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        {error && (
+          <ul className="settings-errors">
+            <li>{error}</li>
+          </ul>
+        )}
+
+        {summary.total > 0 && (
+          <p className="settings-note">
+            {summary.total} assignment{summary.total !== 1 ? 's' : ''} • {summary.topRanked} to the top-ranked clinician • {summary.highlyRecommended} Highly Recommended
+          </p>
+        )}
+
+        {assignments.length === 0 ? (
+          <p className="settings-note">No assignments logged yet. Use “Assign” on a clinician card to record one.</p>
+        ) : (
+          <ul className="history-list">
+            {assignments.map(assignment => (
+              <li key={assignment.id} className={`history-item ${assignment.undoneAt ? 'undone' : ''}`}>
+                <div className="history-main">
+                  <strong>{assignment.clientRef}</strong> → {assignment.clinician}
+                  <span className="history-meta">
+                    {formatAssignedDate(assignment.assignedAt)} • {assignment.caseType}
+                  </span>
+                  {assignment.snapshot && (
+                    <span className="history-meta">
+                      Ranked #{assignment.snapshot.rank} • Score {assignment.snapshot.assignmentScore} • {levelLabels[assignment.snapshot.recommendationLevel]}
+                    </span>
+                  )}
+                  {assignment.undoneAt && <span className="history-meta">Undone</span>}
+                </div>
+                {!assignment.undoneAt && (
+                  <button className="settings-close" onClick={() => onUndo(assignment.id)} title="Undo this assignment">
+                    <Undo2 size={16} />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default AssignmentHistory;
@@ -0,0 +1,225 @@
+import React, { useState, useMemo } from 'react';
+import { X } from 'lucide-react';
+import { levelLabels } from '../utils/csvParser';
+import { parseBatchCases, planAllocation } from '../utils/batchPlanner';
+import { simulateWhatIf } from '../utils/whatIf';
+import { formatISODate } from '../utils/dateUtils';
+
+/**
+ * Drawer for intake days: enter a list of new cases, get a proposed allocation across the team,
+ * adjust individual rows, then log every assignment at once via onCommit(allocations, assignedAt)
+ */
+const BatchPlanner = ({ isOpen, cliniciansData, scoringConfig, rankingOptions, initialLevel = 'all', onCommit, onClose }) => {
+  const [text, setText] = useState('');
+  const [levels, setLevels] = useState(() => (initialLevel === 'all' ? Object.keys(levelLabels) : [initialLevel]));
+  const [respectCaps, setRespectCaps] = useState(true);
+  const [maxPerClinician, setMaxPerClinician] = useState('');
+  const [rows, setRows] = useState([]); // { clientRef, caseType, hours, clinician, manual }
+  const [assignedAt, setAssignedAt] = useState(() => formatISODate(new Date()));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const parsed = useMemo(() => parseBatchCases(text), [text]);
+  const constraints = useMemo(() => ({
+    levels,
+    respectCaps,
+    maxPerClinician: parseInt(maxPerClinician, 10) > 0 ? parseInt(maxPerClinician, 10) : null
+  }), [levels, respectCaps, maxPerClinician]);
+
+  // Every row keeps its clinician here, so tweaking one row doesn't reshuffle the others
+  const plan = useMemo(() => {
+    if (!isOpen || rows.length === 0) return null;
+    return planAllocation(cliniciansData, rows, scoringConfig, rankingOptions, constraints);
+  }, [isOpen, cliniciansData, rows, scoringConfig, rankingOptions, constraints]);
+
+  const projection = useMemo(() => (plan
+    ? simulateWhatIf(cliniciansData, plan.changes, scoringConfig, rankingOptions).filter(row => row.changed)
+    : []), [plan, cliniciansData, scoringConfig, rankingOptions]);
+
+  if (!isOpen) return null;
+
+  const names = cliniciansData.map(c => c.name).sort();
+  const unallocated = plan ? plan.allocations.filter(a => !a.clinician).length : 0;
+
+  // Propose: manual choices stay, everything else is allocated afresh
+  const propose = () => {
+    const manual = {};
+    rows.filter(row => row.manual).forEach(row => { manual[row.clientRef] = row.clinician; });
+
+    const fresh = planAllocation(
+      cliniciansData,
+      parsed.cases.map(c => ({ ...c, clinician: manual[c.clientRef] || null })),
+      scoringConfig,
+      rankingOptions,
+      constraints
+    );
+    setRows(fresh.allocations.map(a => ({
+      clientRef: a.clientRef,
+      caseType: a.caseType,
+      hours: a.hours,
+      clinician: a.clinician,
+      manual: Boolean(manual[a.clientRef])
+    })));
+    setError(null);
+  };
+
+  const changeClinician = (index, clinician) => {
+    setRows(rows.map((row, i) => (i === index ? { ...row, clinician: clinician || null, manual: Boolean(clinician) } : row)));
+  };
+
+  const toggleLevel = (level) => {
+    setLevels(levels.includes(level) ? levels.filter(l => l !== level) : [...levels, level]);
+  };
+
+  const commit = async () => {
+    setSaving(true);
+    try {
+      await onCommit(plan.allocations, assignedAt);
+      setRows([]);
+      setText('');
+      setError(null);
+    } catch (err) {
+      console.error('Error logging batch:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="settings-overlay" onClick={onClose}>
+      <aside className="settings-drawer batch-drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="settings-header">
+          <h2 className="settings-title">Batch Allocation</h2>
+          <button className="settings-close" onClick={onClose} title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        <p className="settings-note">
+          One new case per line: client reference, case type (optional), estimated hours this month (optional).
+        </p>
+        <textarea
+          className="batch-input"
+          rows={8}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={'C1234\nC1235, Crisis, 3\nC1236, Couples Counselling'}
+        />
+
+        {(parsed.errors.length > 0 || parsed.warnings.length > 0) && (
+          <ul className="settings-errors">
+            {[...parsed.errors, ...parsed.warnings].map((issue, i) => (
+              <li key={i}>{issue.message}</li>
+            ))}
+          </ul>
+        )}
+
+        <div className="settings-group">
+          <h3 className="settings-group-title">Constraints</h3>
+          <div className="settings-field">
+            <span>Levels</span>
+            <span className="batch-levels">
+              {Object.entries(levelLabels).map(([key, label]) => (
+                <label key={key}>
+                  <input type="checkbox" checked={levels.includes(key)} onChange={() => toggleLevel(key)} /> {label}
+                </label>
+              ))}
+            </span>
+          </div>
+          <label className="settings-field">
+            <span>Respect case caps</span>
+            <input type="checkbox" checked={respectCaps} onChange={(e) => setRespectCaps(e.target.checked)} />
+          </label>
+          <label className="settings-field">
+            <span>Max new cases per clinician</span>
+            <input type="number" min="1" step="1" value={maxPerClinician} placeholder="No limit" onChange={(e) => setMaxPerClinician(e.target.value)} />
+          </label>
+        </div>
+
+        <button className="filter-btn active assign-confirm" onClick={propose} disabled={parsed.cases.length === 0}>
+          Propose allocation for {parsed.cases.length} case{parsed.cases.length !== 1 ? 's' : ''}
+        </button>
+
+        {plan && (
+          <>
+            <table className="what-if-table batch-table">
+              <thead>
+                <tr>
+                  <th>Client</th>
+                  <th>Case type</th>
+                  <th>Clinician</th>
+                  <th>Score</th>
+                </tr>
+              </thead>
+              <tbody>
+                {plan.allocations.map((allocation, index) => (
+                  <tr key={`${allocation.clientRef}-${index}`}>
+                    <td>{allocation.clientRef}</td>
+                    <td>
+                      {allocation.caseType}
+                      {allocation.hours !== null && <span className="history-meta">{allocation.hours}h</span>}
+                    </td>
+                    <td>
+                      <select value={allocation.clinician || ''} onChange={(e) => changeClinician(index, e.target.value)}>
+                        <option value="">Best available</option>
+                        {names.map(n => (
+                          <option key={n} value={n}>{n}</option>
+                        ))}
+                      </select>
+                      {allocation.warnings.map((warning, i) => (
+                        <span key={i} className="what-if-penalty batch-warning">{warning.message}</span>
+                      ))}
+                    </td>
+                    <td>
+                      {allocation.clinician && <>#{allocation.rank} • {allocation.projectedScore}</>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="settings-group batch-projection">
+              <h3 className="settings-group-title">Projected scores</h3>
+              {projection.map(row => (
+                <div key={row.name} className="settings-field">
+                  <span>{row.name} (+{plan.changes.filter(change => change.name === row.name).length})</span>
+                  <span>
+                    {row.before.assignmentScore} → {row.after.assignmentScore}
+                    {row.newPenalties.map(({ type, penalty }) => (
+                      <span key={type} className="what-if-penalty">
+                        {type === 'burnout' ? 'Burnout' : 'Load balancing'} +{penalty}
+                      </span>
+                    ))}
+                  </span>
+                </div>
+              ))}
+            </div>
+
+            <label className="settings-field">
+              <span>Assignment date</span>
+              <input type="date" value={assignedAt} onChange={(e) => setAssignedAt(e.target.value)} />
+            </label>
+
+            {error && (
+              <ul className="settings-errors">
+                <li>{error}</li>
+              </ul>
+            )}
+
+            <button
+              className="filter-btn active assign-confirm"
+              onClick={commit}
+              disabled={saving || unallocated > 0}
+              title={unallocated > 0 ? `${unallocated} case${unallocated !== 1 ? 's have' : ' has'} no clinician` : undefined}
+            >
+              {saving ? 'Saving...' : `Log ${plan.allocations.length} assignment${plan.allocations.length !== 1 ? 's' : ''}`}
+            </button>
+          </>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default BatchPlanner;
@@ -1,7 +1,17 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { UserPlus, ChevronDown, ChevronUp } from 'lucide-react';
+import { DEFAULT_SCORING_CONFIG } from '../utils/scoringConfig';
+import { SPECIALTIES, getRequiredSpecialty } from '../utils/caseTypes';
+import WorkloadMixBar from './WorkloadMixBar';
+import ScoreWaterfall from './ScoreWaterfall';
 
-const ClinicianCard = ({ clinician, rank }) => {
-  const { name, level, currentMonth, sixMonthAverage, growthRate, activeCases, assignmentScore, recommendationLevel, burnout, loadBalancing, usingPreviousMonthFallback } = clinician;
+const formatLeaveDate = (date) => date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+
+const ClinicianCard = ({ clinician, rank, scoringConfig = DEFAULT_SCORING_CONFIG, timeWindow = 2, caseType = '', onAssign }) => {
+  const { name, level, fte, currentMonth, sixMonthAverage, growthRate, activeCases, weightedCases, caseload, pending, assignmentScore, scoreBreakdown, recommendationLevel, burnout, loadBalancing, usingPreviousMonthFallback, currentMonthEstimate, capacity, utilisation, availability, specialties = [], qualifiedForCase, typeBreakdown } = clinician;
+  const [showBreakdown, setShowBreakdown] = useState(false);
+  const requiredSpecialty = getRequiredSpecialty(caseType);
+  const isUnavailable = availability && !availability.isAvailable;
 
   const getGrowthIndicator = () => {
     if (growthRate > 10) return { text: '↑ Growing', class: 'growth-up' };
@@ -10,53 +20,123 @@ const ClinicianCard = ({ clinician, rank }) => {
   };
 
   const growth = getGrowthIndicator();
+  const { weights } = scoringConfig;
+  const usesWeightedCaseload = scoringConfig.caseIntensity.caseloadInput === 'weighted';
+
+  // On the working-day basis hours are per working day, scaled to an average month
+  const basisNote = scoringConfig.normalization.hoursBasis === 'workingDay' ? ' • per working day, as an average month' : '';
+  const currentMonthTitle = currentMonthEstimate
+    ? `Projected: ${currentMonthEstimate.monthToDate}h in ${currentMonthEstimate.elapsedWorkingDays} of ${currentMonthEstimate.workingDays} working days, plus last month's rate (${currentMonthEstimate.previousMonth}h) for the rest • ${currentMonthEstimate.confidence} confidence (${weights.currentMonth}% weight)`
+    : usingPreviousMonthFallback
+      ? "Using last month's hours as proxy (current month data limited)"
+      : `Current month clinical hours (${weights.currentMonth}% weight)`;
 
   const getRecommendationBadge = () => {
+    if (isUnavailable) {
+      return <span className="recommendation-badge low">On Leave</span>;
+    }
     if (recommendationLevel === 'high') {
       return <span className="recommendation-badge high">Highly Recommended</span>;
     } else if (recommendationLevel === 'medium') {
-      return <span className="recommendation-badge medium">Recommended</span>;
+      return (
+        <span
+          className="recommendation-badge medium"
+          title={clinician.highlyRecommendedWithheld ? 'Score is in the Highly Recommended band, but the data is stale' : undefined}
+        >
+          Recommended{clinician.highlyRecommendedWithheld && ' *'}
+        </span>
+      );
     } else {
       return <span className="recommendation-badge low">Consider Others First</span>;
     }
   };
 
   return (
-    <div className={`clinician-card recommendation-${recommendationLevel}`}>
+    <div className={`clinician-card recommendation-${recommendationLevel}${isUnavailable ? ' unavailable' : ''}`}>
       <div className="card-header">
         <div className="rank-badge">#{rank}</div>
         <div className="clinician-info">
           <h3 className="clinician-name">{name}</h3>
           <span className="clinician-level">{level}</span>
+          {specialties.length > 0 && (
+            <div className="specialty-tags">
+              {specialties.map(tag => (
+                <span key={tag} className={`specialty-tag ${tag === requiredSpecialty ? 'matched' : ''}`}>
+                  {SPECIALTIES[tag]}
+                </span>
+              ))}
+            </div>
+          )}
+          {requiredSpecialty && !qualifiedForCase && (
+            <span className="specialty-missing">Not tagged for {SPECIALTIES[requiredSpecialty]}</span>
+          )}
         </div>
         {getRecommendationBadge()}
       </div>
 
       <div className="card-body">
         <div className="stat-grid">
-          <div className="stat-item" title="Current caseload: Clients seen in last 2 months (30% weight)">
+          <div className="stat-item" title={`Current caseload: Clients seen in last ${timeWindow} ${timeWindow === 1 ? 'month' : 'months'} (${weights.activeCases}% weight${usesWeightedCaseload ? ', scored on the weighted caseload' : ''})`}>
             <span className="stat-label">Active Cases</span>
-            <span className="stat-value">{activeCases}</span>
+            <span className="stat-value">{Number(activeCases.toFixed(1))}</span>
+            {pending && pending.count > 0 && (
+              <span className="caseload-split pending" title={`Logged assignments not in the data yet: +${pending.cases} cases, +${pending.hours}h this month`}>
+                incl. {pending.count} pending
+              </span>
+            )}
+            {caseload && (
+              <span className="caseload-split" title="New: first seen within the window • Continuing: seen before the window">
+                {caseload.newCases} new · {caseload.continuing} continuing
+              </span>
+            )}
+            {typeof weightedCases === 'number' && (caseload || usesWeightedCaseload) && (
+              <span
+                className={`caseload-split ${usesWeightedCaseload ? 'caseload-input' : ''}`}
+                title={`Clients weighted by their most intensive appointment type${usesWeightedCaseload ? ' (used for the score)' : ''}`}
+              >
+                {weightedCases} weighted
+              </span>
+            )}
           </div>
-          <div className="stat-item" title={usingPreviousMonthFallback ? "Using last month's hours as proxy (current month data limited)" : "Current month clinical hours (30% weight)"}>
+          <div className="stat-item" title={`${currentMonthTitle}${basisNote}`}>
             <span className="stat-label">
               Current Month
+              {currentMonthEstimate && (
+                <span className={`projection-confidence ${currentMonthEstimate.confidence}`}>{currentMonthEstimate.confidence}</span>
+              )}
               {usingPreviousMonthFallback && (
                 <span style={{ fontSize: '0.6rem', color: '#f59e0b', marginLeft: '0.25rem' }}>*</span>
               )}
             </span>
             <span className="stat-value">{currentMonth}h</span>
           </div>
-          <div className="stat-item" title="6-month average hours (30% weight)">
+          <div className="stat-item" title={`6-month average hours (${weights.sixMonthAverage}% weight)${basisNote}`}>
             <span className="stat-label">6-Month Avg</span>
             <span className="stat-value">{sixMonthAverage}h</span>
           </div>
-          <div className="stat-item" title={`Current month vs their historical average: ${growthRate > 0 ? `+${growthRate.toFixed(1)}% above typical` : growthRate < 0 ? `${growthRate.toFixed(1)}% below typical` : 'at typical level'} (10% weight)`}>
+          <div className="stat-item" title={`Current month vs their historical average: ${growthRate > 0 ? `+${growthRate.toFixed(1)}% above typical` : growthRate < 0 ? `${growthRate.toFixed(1)}% below typical` : 'at typical level'} (${weights.growthRate}% weight)`}>
             <span className="stat-label">Trend</span>
             <span className={`stat-value ${growth.class}`}>{growth.text}</span>
           </div>
         </div>
 
+        {capacity && utilisation && (
+          <div
+            className="utilisation-row"
+            title={`Hours: ${Math.round(utilisation.hours * 100)}% of ${capacity.hoursPerMonth}h • Cases: ${Math.round(utilisation.cases * 100)}% of ${capacity.caseCap} cap`}
+          >
+            <span className="stat-label">Utilisation{fte < 1 ? ` (${fte} FTE)` : ''}</span>
+            <span className={`utilisation-value ${utilisation.percent >= 100 ? 'over' : ''}`}>{utilisation.percent}%</span>
+          </div>
+        )}
+
+        {typeBreakdown && (
+          <div className="mix-section">
+            <WorkloadMixBar label={usingPreviousMonthFallback ? 'Last month' : 'This month'} hours={typeBreakdown.currentMonth} />
+            <WorkloadMixBar label="6-mo avg" hours={typeBreakdown.sixMonthAverage} />
+          </div>
+        )}
+
         <div className="score-section">
           <div className="score-label">Assignment Score</div>
           <div className="score-bar-container">
@@ -72,6 +152,30 @@ const ClinicianCard = ({ clinician, rank }) => {
           Lower score = Higher assignment priority
         </div>
 
+        {scoreBreakdown && (
+          <>
+            <button className="breakdown-toggle" onClick={() => setShowBreakdown(!showBreakdown)}>
+              Why this score? {showBreakdown ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+            </button>
+            {showBreakdown && <ScoreWaterfall breakdown={scoreBreakdown} />}
+          </>
+        )}
+
+        {availability && availability.leaveDays > 0 && (
+          <div style={{ marginTop: '0.75rem', padding: '0.75rem', background: '#f3f4f6', border: '1px solid #e5e7eb', borderRadius: '4px' }}>
+            <div style={{ fontSize: '0.8125rem', color: '#374151', lineHeight: '1.5' }}>
+              <div style={{ fontWeight: '500', marginBottom: '0.25rem' }}>
+                {isUnavailable ? 'Unavailable' : 'Partly on leave'} • {availability.leaveDays} working day{availability.leaveDays !== 1 ? 's' : ''}
+              </div>
+              {availability.overlapping.map((entry, index) => (
+                <div key={index} style={{ fontSize: '0.75rem', color: '#4b5563' }}>
+                  {entry.type}: {formatLeaveDate(entry.startDate)} – {formatLeaveDate(entry.endDate)}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {burnout && burnout.burnoutLevel !== 'none' && (
           <div style={{ marginTop: '0.75rem', padding: '0.75rem', background: '#fef3c7', border: '1px solid #fde68a', borderRadius: '4px' }}>
             <div style={{ fontSize: '0.8125rem', color: '#92400e', lineHeight: '1.5' }}>
@@ -88,11 +192,17 @@ const ClinicianCard = ({ clinician, rank }) => {
             <div style={{ fontSize: '0.8125rem', color: '#1e40af', lineHeight: '1.5' }}>
               <div style={{ fontWeight: '500', marginBottom: '0.25rem' }}>🔵 Load Balancing</div>
               <div style={{ fontSize: '0.75rem', color: '#1e3a8a' }}>
-                {loadBalancing.consecutiveHighLoadMonths} months 1.5 SD above avg • +{loadBalancing.penalty} pts
+                {loadBalancing.consecutiveHighLoadMonths} months {scoringConfig.loadBalancing.sdThreshold} SD above avg • +{loadBalancing.penalty} pts
               </div>
             </div>
           </div>
         )}
+
+        {onAssign && (
+          <button className="filter-btn assign-btn" onClick={onAssign} title={`Log a new case assigned to ${name}`}>
+            <UserPlus size={14} /> Assign
+          </button>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,67 @@
+import React, { useState, useRef } from 'react';
+import { Upload } from 'lucide-react';
+
+/**
+ * Drop zone for importing a raw ALL-HOURS.csv appointment export in the browser
+ * Calls onImport(csvText, fileName) and shows any error it throws
+ */
+const DataDropZone = ({ onImport }) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const [status, setStatus] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const importFile = async (file) => {
+    if (!file) return;
+
+    if (!file.name.toLowerCase().endsWith('.csv')) {
+      setStatus({ type: 'error', message: `${file.name} is not a CSV file` });
+      return;
+    }
+
+    setStatus({ type: 'loading', message: `Importing ${file.name}...` });
+    try {
+      const csvText = await file.text();
+      await onImport(csvText, file.name);
+      setStatus({ type: 'success', message: `Imported ${file.name}` });
+    } catch (error) {
+      console.error('Error importing appointment export:', error);
+      setStatus({ type: 'error', message: error.message });
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    importFile(e.dataTransfer.files[0]);
+  };
+
+  return (
+    <div
+      className={`data-drop-zone ${isDragging ? 'dragging' : ''}`}
+      onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+      onClick={() => fileInputRef.current && fileInputRef.current.click()}
+    >
+      <Upload size={16} />
+      <span>
+        Drop an <strong>ALL-HOURS.csv</strong> export here (or click to choose) to recalculate from raw appointments
+      </span>
+      {status && (
+        <span className={`data-drop-status ${status.type}`}>{status.message}</span>
+      )}
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".csv,text/csv"
+        style={{ display: 'none' }}
+        onChange={(e) => {
+          importFile(e.target.files[0]);
+          e.target.value = '';
+        }}
+      />
+    </div>
+  );
+};
+
+export default DataDropZone;
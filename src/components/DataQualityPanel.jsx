@@ -0,0 +1,180 @@
+import React, { useState } from 'react';
+import { X, Download } from 'lucide-react';
+import { summarizeDataIssues } from '../utils/dataQuality';
+import { toCSV, downloadCSV } from '../utils/csvExport';
+import { formatISODate, formatMonthKey } from '../utils/dateUtils';
+import { getAnomalyAction } from '../utils/hoursAnomalies';
+
+const severityOptions = [
+  { key: 'all', label: 'All' },
+  { key: 'error', label: 'Errors' },
+  { key: 'warning', label: 'Warnings' },
+];
+
+const anomalyActionOptions = [
+  { value: 'keep', label: 'Keep' },
+  { value: 'cap', label: 'Cap' },
+  { value: 'exclude', label: 'Exclude' },
+];
+
+// Errors first, then by file and row
+const compareIssues = (a, b) => (
+  (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1) ||
+  (a.source || '').localeCompare(b.source || '') ||
+  (a.row ?? Infinity) - (b.row ?? Infinity)
+);
+
+/**
+ * Drawer listing data quality issues found while loading the data files, by file, row,
+ * clinician and column, so whoever maintains the CSVs can fix them; unusual monthly hours
+ * are listed with a choice to keep, cap or exclude each before scoring
+ */
+const DataQualityPanel = ({
+  isOpen,
+  issues,
+  anomalies = [],
+  anomalyActions = {},
+  defaultAnomalyAction = 'keep',
+  onAnomalyActionChange,
+  onClose
+}) => {
+  const [severity, setSeverity] = useState('all');
+
+  if (!isOpen) return null;
+
+  const summary = summarizeDataIssues(issues);
+  const shown = issues
+    .filter(issue => severity === 'all' || issue.severity === severity)
+    .sort(compareIssues);
+
+  const exportCSV = () => {
+    downloadCSV(toCSV([
+      ['Severity', 'File', 'Row', 'Clinician', 'Column', 'Message', 'Value'],
+      ...shown.map(issue => [issue.severity, issue.source, issue.row, issue.clinician, issue.column, issue.message, issue.value])
+    ]), `data-quality-${formatISODate(new Date())}.csv`);
+  };
+
+  return (
+    <div className="settings-overlay" onClick={onClose}>
+      <aside className="settings-drawer data-quality-drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="settings-header">
+          <h2 className="settings-title">Data Quality</h2>
+          <button className="settings-close" onClick={onClose} title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        {summary.total === 0 && anomalies.length === 0 && (
+          <p className="settings-note">No problems were found in the loaded data.</p>
+        )}
+
+        {summary.total > 0 && (
+          <>
+            <p className="settings-note">
+              {summary.errors} error{summary.errors !== 1 ? 's' : ''} (rows or clinicians left out) • {summary.warnings} warning{summary.warnings !== 1 ? 's' : ''} (values corrected or ignored)
+            </p>
+
+            <div className="graph-range-buttons data-quality-filters">
+              {severityOptions.map(({ key, label }) => (
+                <button
+                  key={key}
+                  className={`filter-btn ${severity === key ? 'active' : ''}`}
+                  onClick={() => setSeverity(key)}
+                >
+                  {label}
+                </button>
+              ))}
+              <button className="filter-btn" onClick={exportCSV} title="Download these issues as CSV">
+                <Download size={14} /> CSV
+              </button>
+            </div>
+
+            <table className="what-if-table">
+              <thead>
+                <tr>
+                  <th>Where</th>
+                  <th>Clinician</th>
+                  <th>Problem</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map((issue, index) => (
+                  <tr key={index}>
+                    <td>
+                      <span className={`data-quality-severity ${issue.severity}`}>{issue.severity}</span>
+                      <span className="history-meta">{issue.source}</span>
+                      {issue.row !== null && <span className="history-meta">Row {issue.row}</span>}
+                      {issue.column && <span className="history-meta">{issue.column}</span>}
+                    </td>
+                    <td>{issue.clinician || '–'}</td>
+                    <td>{issue.message}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+
+        {anomalies.length > 0 && (
+          <div className="settings-group">
+            <h3 className="settings-group-title">Unusual hours</h3>
+            <p className="settings-note">
+              Values that look like data errors. Cap lowers a value to the limit it broke; exclude
+              scores the clinician's usual month instead. The files themselves are not changed.
+            </p>
+            <table className="what-if-table">
+              <thead>
+                <tr>
+                  <th>Clinician</th>
+                  <th>Month</th>
+                  <th>Why</th>
+                  <th>Use</th>
+                </tr>
+              </thead>
+              <tbody>
+                {anomalies.map(anomaly => {
+                  const action = getAnomalyAction(anomaly, anomalyActions, defaultAnomalyAction);
+                  return (
+                    <tr key={anomaly.key}>
+                      <td>{anomaly.name}</td>
+                      <td>
+                        {formatMonthKey(anomaly.monthKey)}
+                        <span className="history-meta">{anomaly.value}h</span>
+                      </td>
+                      <td>
+                        {anomaly.reasons.map(reason => (
+                          <div key={reason}>{reason}</div>
+                        ))}
+                      </td>
+                      <td>
+                        <select
+                          className="anomaly-action"
+                          value={action}
+                          onChange={(e) => onAnomalyActionChange(anomaly.key, e.target.value)}
+                        >
+                          {anomalyActionOptions
+                            .filter(option => option.value !== 'cap' || anomaly.capValue !== null)
+                            .map(option => (
+                              <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                        {action === 'cap' && (
+                          <span className="history-meta">{anomaly.capValue}h</span>
+                        )}
+                        {action === 'exclude' && (
+                          <span className="history-meta">{anomaly.excludeValue}h</span>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default DataQualityPanel;
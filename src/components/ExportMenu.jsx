@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { Download, FileSpreadsheet, Printer, ClipboardCopy, ChevronDown } from 'lucide-react';
+import { rankingToCSV, rankingToMarkdown } from '../utils/rankingExport';
+import { downloadCSV } from '../utils/csvExport';
+import { formatISODate } from '../utils/dateUtils';
+
+/**
+ * Export the ranked list as shown: CSV download, print (one page, or PDF via the print dialog)
+ * and a Markdown summary copied to the clipboard
+ */
+const ExportMenu = ({ clinicians, meta }) => {
+  const [open, setOpen] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const exportCSV = () => {
+    downloadCSV(rankingToCSV(clinicians, meta), `assignment-ranking-${formatISODate(new Date())}.csv`);
+    setOpen(false);
+  };
+
+  const print = () => {
+    setOpen(false);
+    window.print();
+  };
+
+  const copyMarkdown = async () => {
+    setOpen(false);
+    try {
+      await navigator.clipboard.writeText(rankingToMarkdown(clinicians, meta));
+      setStatus('Copied');
+    } catch (err) {
+      console.warn('[ExportMenu] Could not copy to clipboard:', err);
+      setStatus('Copy failed');
+    }
+    setTimeout(() => setStatus(null), 2000);
+  };
+
+  return (
+    <div className="export-menu">
+      <button className="settings-toggle" onClick={() => setOpen(!open)} aria-expanded={open}>
+        <Download size={16} /> {status || 'Export'} <ChevronDown size={14} />
+      </button>
+      {open && (
+        <ul className="export-options">
+          <li>
+            <button onClick={exportCSV}><FileSpreadsheet size={14} /> Download CSV</button>
+          </li>
+          <li>
+            <button onClick={print}><Printer size={14} /> Print / save as PDF</button>
+          </li>
+          <li>
+            <button onClick={copyMarkdown}><ClipboardCopy size={14} /> Copy as Markdown</button>
+          </li>
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,159 @@
+import React, { useState, useMemo } from 'react';
+import { X, Download } from 'lucide-react';
+import { levelLabels } from '../utils/csvParser';
+import { buildFairnessReport, fairnessReportToCSV } from '../utils/fairness';
+import { downloadCSV } from '../utils/csvExport';
+import { formatISODate, formatMonthKey } from '../utils/dateUtils';
+
+const periodOptions = [3, 6, 12];
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+// Case share well above or below the capacity share is highlighted
+const ratioClass = (value) => {
+  if (value === null) return '';
+  if (value > 1.25) return 'fairness-over';
+  if (value < 0.75) return 'fairness-under';
+  return '';
+};
+
+/**
+ * Table rows shared by the clinician and level tables
+ */
+const ShareCells = ({ row }) => (
+  <>
+    <td>{row.newCases} <span className="history-meta">{formatPercent(row.caseShare)}</span></td>
+    <td>{formatPercent(row.capacityShare)}</td>
+    <td className={ratioClass(row.caseShareRatio)}>{row.caseShareRatio === null ? '–' : row.caseShareRatio.toFixed(2)}</td>
+    <td>{Math.round(row.hours)}h <span className="history-meta">{formatPercent(row.hoursShare)}</span></td>
+    <td>{row.topRanked}</td>
+    <td className={row.redBand > 0 ? 'fairness-over' : ''}>{row.redBand}</td>
+  </>
+);
+
+const ShareHeader = ({ first }) => (
+  <thead>
+    <tr>
+      <th>{first}</th>
+      <th title="New cases logged in the period and share of the team's">New cases</th>
+      <th title="Share of the team's contracted hours">Capacity</th>
+      <th title="Case share ÷ capacity share (1.00 = fair share)">Ratio</th>
+      <th title="Clinical hours in the period and share of the team's">Hours</th>
+      <th title="Cases taken while ranked #1">#1</th>
+      <th title="Cases taken while in the Consider Others First band">Red</th>
+    </tr>
+  </thead>
+);
+
+/**
+ * Drawer comparing the spread of new cases and hours with capacity, and how often the
+ * recommendation was followed, over a selectable period; exportable as CSV
+ */
+const FairnessReport = ({ isOpen, assignments, clinicians, asOf, onClose }) => {
+  const [months, setMonths] = useState(6);
+
+  const report = useMemo(
+    () => (isOpen ? buildFairnessReport(assignments, clinicians, { months, asOf }) : null),
+    [isOpen, assignments, clinicians, months, asOf]
+  );
+
+  if (!isOpen) return null;
+
+  const { team, period } = report;
+  const exportCSV = () => {
+    downloadCSV(fairnessReportToCSV(report), `fairness-report-${formatISODate(period.end)}.csv`);
+  };
+
+  return (
+    <div className="settings-overlay" onClick={onClose}>
+      <aside className="settings-drawer fairness-drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="settings-header">
+          <h2 className="settings-title">Fairness Report</h2>
+          <button className="settings-close" onClick={onClose} title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="graph-range-buttons fairness-periods">
+          {periodOptions.map(option => (
+            <button
+              key={option}
+              className={`filter-btn ${months === option ? 'active' : ''}`}
+              onClick={() => setMonths(option)}
+            >
+              {option} months
+            </button>
+          ))}
+          <button className="filter-btn" onClick={exportCSV} title="Download this report as CSV">
+            <Download size={14} /> CSV
+          </button>
+        </div>
+
+        <p className="settings-note">
+          {formatISODate(period.start)} to {formatISODate(period.end)}
+          {period.monthKeys.length > 0 && <> • hours from {formatMonthKey(period.monthKeys[0])}</>}
+          {period.end < period.asOf && (
+            <> • the data ends here, so {period.casesAfterData} case{period.casesAfterData !== 1 ? 's' : ''} logged since {period.casesAfterData !== 1 ? 'are' : 'is'} not counted</>
+          )}
+        </p>
+
+        <div className="fairness-stats">
+          <div>
+            <span className="fairness-stat">{team.newCases}</span>
+            <span className="history-meta">new cases logged</span>
+          </div>
+          <div title="Of assignments with a score snapshot">
+            <span className="fairness-stat">{formatPercent(team.topRankedRate)}</span>
+            <span className="history-meta">to the top-ranked clinician ({team.topRanked})</span>
+          </div>
+          <div title="Of assignments with a score snapshot">
+            <span className={`fairness-stat ${team.redBand > 0 ? 'fairness-over' : ''}`}>{formatPercent(team.redBandRate)}</span>
+            <span className="history-meta">to a red-band clinician ({team.redBand})</span>
+          </div>
+          <div title="0 = hours spread evenly, 1 = all hours with one clinician">
+            <span className="fairness-stat">{team.hoursGini.toFixed(2)}</span>
+            <span className="history-meta">Gini of hours ({team.hoursPerCapacityGini.toFixed(2)} per capacity)</span>
+          </div>
+        </div>
+
+        {team.unmatched > 0 && (
+          <p className="settings-note">
+            {team.unmatched} assignment{team.unmatched !== 1 ? 's' : ''} went to clinicians not in the current data; they count in the rates but not in the tables.
+          </p>
+        )}
+
+        <div className="settings-group">
+          <h3 className="settings-group-title">By level</h3>
+          <table className="what-if-table">
+            <ShareHeader first="Level" />
+            <tbody>
+              {report.levels.map(row => (
+                <tr key={row.level}>
+                  <td>{levelLabels[row.level]} <span className="history-meta">{row.clinicians} clinicians</span></td>
+                  <ShareCells row={row} />
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="settings-group">
+          <h3 className="settings-group-title">By clinician</h3>
+          <table className="what-if-table">
+            <ShareHeader first="Clinician" />
+            <tbody>
+              {report.clinicians.map(row => (
+                <tr key={row.name}>
+                  <td>{row.name} <span className="history-meta">{levelLabels[row.level]}</span></td>
+                  <ShareCells row={row} />
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </aside>
+    </div>
+  );
+};
+
+export default FairnessReport;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { buildRankingRows } from '../utils/rankingExport';
+
+/**
+ * Compact ranking table that replaces the cards and charts when printing, so the list fits
+ * on one page (hidden on screen)
+ */
+const RankingPrintView = ({ clinicians, meta }) => (
+  <div className="print-ranking">
+    <h2>Assignment ranking</h2>
+    <p>
+      {meta.filters}
+      {meta.dataTimestamp && <> • Data last updated: {meta.dataTimestamp}</>}
+      {meta.staleWarning && <> • <strong>{meta.staleWarning}</strong></>}
+    </p>
+    <table>
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Clinician</th>
+          <th>Level</th>
+          <th>Cases</th>
+          <th>This month</th>
+          <th>6-mo avg</th>
+          <th>Growth</th>
+          <th>Score</th>
+          <th>Recommendation</th>
+          <th>Flags</th>
+        </tr>
+      </thead>
+      <tbody>
+        {buildRankingRows(clinicians).map(row => (
+          <tr key={row.name}>
+            <td>{row.rank}</td>
+            <td>{row.name}</td>
+            <td>{row.level}</td>
+            <td>{row.activeCases}</td>
+            <td>{row.currentMonth}h</td>
+            <td>{row.sixMonthAverage}h</td>
+            <td>{row.growthRate > 0 ? '+' : ''}{row.growthRate}%</td>
+            <td>{row.score}</td>
+            <td>{row.recommendation}</td>
+            <td>{row.flags.join(', ')}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default RankingPrintView;
@@ -0,0 +1,208 @@
+import React, { useState, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceArea } from 'recharts';
+import { formatMonthKey } from '../utils/dateUtils';
+import { replayScoreHistory, countTrailingMonthsAtLevel } from '../utils/scoreHistory';
+
+// Color palette for different clinicians (muted colors)
+const colors = [
+  '#7fa3c9', // blue
+  '#8b97a8', // gray-blue
+  '#73c6b6', // teal
+  '#b4a5a5', // gray-pink
+  '#8b9dc3', // light blue
+  '#9d8b97', // mauve
+  '#7f8b9d', // slate
+  '#97a58b', // sage
+  '#c69d7f', // tan
+  '#a5b4a5', // mint
+  '#8b7f9d', // purple-gray
+];
+
+const rangeOptions = [
+  { months: 6, label: '6 months' },
+  { months: 12, label: '12 months' },
+  { months: 24, label: '24 months' },
+];
+
+const levelLabels = { high: 'Highly Recommended', medium: 'Recommended', low: 'Consider Others First' };
+
+/**
+ * Assignment score and recommendation band per clinician, month by month
+ * Scores are replayed for each past month (see replayScoreHistory). Larger dots and ! cells mark
+ * months where burnout or load-balancing protection added a penalty.
+ */
+const ScoreTrendChart = ({ cliniciansData, clinicians, scoringConfig, rankingOptions }) => {
+  const [rangeMonths, setRangeMonths] = useState(12);
+
+  const { monthKeys, history } = useMemo(
+    () => replayScoreHistory(cliniciansData, scoringConfig, rankingOptions, rangeMonths),
+    [cliniciansData, scoringConfig, rankingOptions, rangeMonths]
+  );
+
+  // Only the clinicians currently listed, in the same order
+  const shown = clinicians.filter(c => history[c.name]);
+  if (monthKeys.length === 0 || shown.length === 0) return null;
+
+  const { high, medium } = scoringConfig.recommendationBands;
+  const maxScore = Math.max(100, ...shown.flatMap(c => history[c.name].map(entry => entry.score)));
+
+  // Transform data for recharts
+  const chartData = monthKeys.map((monthKey, index) => {
+    const dataPoint = { month: formatMonthKey(monthKey) };
+    shown.forEach(clinician => {
+      dataPoint[clinician.name] = history[clinician.name][index].score;
+    });
+    return dataPoint;
+  });
+
+  const entryFor = (name, month) => history[name][chartData.findIndex(point => point.month === month)];
+
+  // Custom tooltip
+  const CustomTooltip = ({ active, payload, label }) => {
+    if (active && payload && payload.length) {
+      return (
+        <div className="custom-tooltip">
+          <p className="tooltip-label">{label}</p>
+          {payload
+            .sort((a, b) => a.value - b.value)
+            .map((item, index) => {
+              const entry = entryFor(item.name, label);
+              const protections = [
+                entry.burnoutPenalty > 0 && `burnout +${entry.burnoutPenalty}`,
+                entry.loadBalancingPenalty > 0 && `load balancing +${entry.loadBalancingPenalty}`
+              ].filter(Boolean);
+              return (
+                <p key={index} style={{ color: item.color }}>
+                  {item.name}: {item.value} ({levelLabels[entry.level]}){protections.length > 0 && ` • ${protections.join(', ')}`}
+                </p>
+              );
+            })}
+        </div>
+      );
+    }
+    return null;
+  };
+
+  // Bigger dot for months where a protection penalty applied
+  const renderDot = (color) => ({ cx, cy, payload, dataKey }) => {
+    const entry = entryFor(dataKey, payload.month);
+    const isProtected = entry.burnoutPenalty > 0 || entry.loadBalancingPenalty > 0;
+    return (
+      <circle
+        key={`${dataKey}-${payload.month}`}
+        cx={cx}
+        cy={cy}
+        r={isProtected ? 5 : 3}
+        fill={isProtected ? '#ffffff' : color}
+        stroke={color}
+        strokeWidth={isProtected ? 2 : 1}
+      />
+    );
+  };
+
+  return (
+    <div className="assignment-graph">
+      <div className="graph-header">
+        <h2 className="graph-title">Score Trend</h2>
+        <p className="graph-subtitle">Assignment score per clinician by month, replayed with the current settings (lower = more room)</p>
+        <div className="graph-range-buttons">
+          {rangeOptions.map(({ months, label }) => (
+            <button
+              key={label}
+              className={`filter-btn ${rangeMonths === months ? 'active' : ''}`}
+              onClick={() => setRangeMonths(months)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="graph-container">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart
+            data={chartData}
+            margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+          >
+            <ReferenceArea y1={0} y2={high} fill="#e8f3ea" fillOpacity={0.6} />
+            <ReferenceArea y1={high} y2={medium} fill="#f5f1e3" fillOpacity={0.6} />
+            <ReferenceArea y1={medium} y2={maxScore} fill="#f5e8e8" fillOpacity={0.6} />
+            <CartesianGrid strokeDasharray="3 3" stroke="#e1e4e8" />
+            <XAxis
+              dataKey="month"
+              stroke="#636e72"
+              style={{ fontSize: '0.875rem' }}
+            />
+            <YAxis
+              domain={[0, maxScore]}
+              stroke="#636e72"
+              style={{ fontSize: '0.875rem' }}
+              label={{ value: 'Score', angle: -90, position: 'insideLeft', style: { fill: '#636e72' } }}
+            />
+            <Tooltip content={<CustomTooltip />} />
+            <Legend
+              wrapperStyle={{ fontSize: '0.875rem' }}
+              iconType="line"
+            />
+            {shown.map((clinician, index) => (
+              <Line
+                key={clinician.name}
+                type="monotone"
+                dataKey={clinician.name}
+                stroke={colors[index % colors.length]}
+                strokeWidth={2}
+                dot={renderDot(colors[index % colors.length])}
+                activeDot={{ r: 5 }}
+                isAnimationActive={false}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="trend-bands">
+        <table>
+          <thead>
+            <tr>
+              <th>Clinician</th>
+              {monthKeys.map(monthKey => (
+                <th key={monthKey}>{formatMonthKey(monthKey).split(' ')[0]}</th>
+              ))}
+              <th title="Consecutive months in the Consider Others First band, up to now">Red streak</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map(clinician => {
+              const entries = history[clinician.name];
+              const redStreak = countTrailingMonthsAtLevel(entries, 'low');
+              return (
+                <tr key={clinician.name}>
+                  <td>{clinician.name}</td>
+                  {entries.map(entry => {
+                    const isProtected = entry.burnoutPenalty > 0 || entry.loadBalancingPenalty > 0;
+                    return (
+                      <td
+                        key={entry.monthKey}
+                        className={`trend-band ${entry.level}`}
+                        title={`${formatMonthKey(entry.monthKey)}: ${entry.score} (${levelLabels[entry.level]})${isProtected ? ' • protection applied' : ''}`}
+                      >
+                        {isProtected ? '!' : ''}
+                      </td>
+                    );
+                  })}
+                  <td className={redStreak >= 3 ? 'trend-streak persistent' : 'trend-streak'}>
+                    {redStreak > 0 ? `${redStreak} mo` : '–'}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        <p className="trend-note">
+          Cells show each month's band; ! marks a burnout or load-balancing penalty. Active cases are today's counts in every month.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ScoreTrendChart;
@@ -0,0 +1,81 @@
+import React from 'react';
+
+const formatNumber = (value) => Number(value.toFixed(1));
+
+/**
+ * What each component was measured against
+ * @param {Object} component - Score breakdown component
+ * @returns {string} e.g. "12 of max 28", "30h of 45h capacity", "+12% (team −20% to +35%)"
+ */
+const describeComponent = ({ key, value, reference }) => {
+  const unit = key === 'activeCases' ? '' : 'h';
+  if (key === 'growthRate') {
+    const signed = v => `${v > 0 ? '+' : ''}${formatNumber(v)}%`;
+    return `${signed(value)} (team ${signed(reference.min)} to ${signed(reference.max)})`;
+  }
+  if (reference.capacity !== undefined) {
+    return `${formatNumber(value)}${unit} of ${formatNumber(reference.capacity)}${unit} ${key === 'activeCases' ? 'case cap' : 'capacity'}`;
+  }
+  return `${formatNumber(value)}${unit} of max ${formatNumber(reference.max)}${unit}`;
+};
+
+/**
+ * Waterfall of how a clinician's assignment score is built up
+ * Each weighted component and protection penalty is a step starting where the previous one
+ * ended; the last row is the final score (capped at 100)
+ */
+const ScoreWaterfall = ({ breakdown }) => {
+  const steps = [
+    ...breakdown.components.map(component => ({
+      key: component.key,
+      label: component.label,
+      detail: `${describeComponent(component)} → ${Math.round(component.normalized * 100)}% × ${component.weight}`,
+      points: component.points
+    })),
+    ...breakdown.penalties
+      .filter(penalty => penalty.points > 0)
+      .map(penalty => ({ key: penalty.key, label: penalty.label, detail: 'Penalty', points: penalty.points, penalty: true }))
+  ];
+
+  // Bars are drawn on a 0-100 scale, stretched if the uncapped total goes past 100
+  const scale = Math.max(100, breakdown.uncappedScore);
+  let runningTotal = 0;
+
+  return (
+    <div className="waterfall">
+      {steps.map(step => {
+        const start = runningTotal;
+        runningTotal += step.points;
+        return (
+          <div key={step.key} className="waterfall-row" title={step.detail}>
+            <span className="waterfall-label">
+              {step.label}
+              <span className="waterfall-detail">{step.detail}</span>
+            </span>
+            <div className="waterfall-track">
+              <div
+                className={`waterfall-bar ${step.penalty ? 'penalty' : ''}`}
+                style={{ left: `${(start / scale) * 100}%`, width: `${(step.points / scale) * 100}%` }}
+              />
+            </div>
+            <span className="waterfall-points">+{formatNumber(step.points)}</span>
+          </div>
+        );
+      })}
+      <div className="waterfall-row waterfall-total">
+        <span className="waterfall-label">
+          Score
+          {breakdown.capped && (
+            <span className="waterfall-detail">{formatNumber(breakdown.uncappedScore)} capped at 100</span>
+          )}
+        </span>
+        <div className="waterfall-track">
+          <div className="waterfall-bar total" style={{ left: 0, width: `${(breakdown.score / scale) * 100}%` }} />
+        </div>
+        <span className="waterfall-points">{breakdown.score}</span>
+      </div>
+    </div>
+  );
+};
+
+export default ScoreWaterfall;
@@ -0,0 +1,262 @@
+import React, { useState, useEffect } from 'react';
+import { X, RotateCcw } from 'lucide-react';
+import { validateScoringConfig } from '../utils/scoringConfig';
+
+// Editable fields, grouped by config section
+const sections = [
+  {
+    key: 'weights',
+    title: 'Score Weights (%)',
+    fields: [
+      { key: 'activeCases', label: 'Active Cases', step: 1 },
+      { key: 'currentMonth', label: 'Current Month', step: 1 },
+      { key: 'sixMonthAverage', label: '6-Month Average', step: 1 },
+      { key: 'growthRate', label: 'Growth Rate', step: 1 },
+    ],
+  },
+  {
+    key: 'recommendationBands',
+    title: 'Recommendation Bands (max score)',
+    fields: [
+      { key: 'high', label: 'Highly Recommended', step: 1 },
+      { key: 'medium', label: 'Recommended', step: 1 },
+    ],
+  },
+  {
+    key: 'burnout',
+    title: 'Load Caution',
+    fields: [
+      { key: 'multiplier', label: '× own average', step: 0.05 },
+      { key: 'maxThresholdHours', label: 'Threshold cap (h)', step: 1 },
+      { key: 'minConsecutiveMonths', label: 'Consecutive months', step: 1 },
+      { key: 'penalty', label: 'Penalty (pts)', step: 1 },
+    ],
+  },
+  {
+    key: 'loadBalancing',
+    title: 'Load Balancing',
+    fields: [
+      { key: 'sdThreshold', label: 'SD above team mean', step: 0.1 },
+      { key: 'lowPenalty', label: '2 months (pts)', step: 1 },
+      { key: 'moderatePenalty', label: '3 months (pts)', step: 1 },
+      { key: 'highPenalty', label: '4+ months (pts)', step: 1 },
+    ],
+  },
+  {
+    key: 'capacity',
+    title: 'Capacity',
+    fields: [
+      { key: 'mode', label: 'Scoring mode', options: [
+        { value: 'population', label: 'Team max' },
+        { value: 'capacity', label: 'Own capacity (FTE)' },
+      ] },
+      { key: 'fullTimeHoursPerMonth', label: 'Full-time hours/month', step: 1 },
+      { key: 'juniorCaseCap', label: 'Junior case cap', step: 1 },
+      { key: 'seniorCaseCap', label: 'Senior case cap', step: 1 },
+      { key: 'leadCaseCap', label: 'Lead case cap', step: 1 },
+    ],
+  },
+  {
+    key: 'availability',
+    title: 'Leave & Availability',
+    fields: [
+      { key: 'unavailableMode', label: 'Clinicians on leave', options: [
+        { value: 'derank', label: 'List last' },
+        { value: 'hide', label: 'Hide' },
+      ] },
+      { key: 'unavailableFraction', label: 'Unavailable at leave share', step: 0.05 },
+      { key: 'minLeaveMonthFraction', label: 'Leave month share', step: 0.05 },
+    ],
+  },
+  {
+    key: 'pendingAssignments',
+    title: 'Pending Assignments',
+    fields: [
+      { key: 'hoursPerCase', label: 'Projected hours/case', step: 0.5 },
+      { key: 'decayDays', label: 'Decay after data update (days)', step: 1 },
+    ],
+  },
+  {
+    key: 'caseMatching',
+    title: 'Case Type Matching',
+    fields: [
+      { key: 'mode', label: 'Qualified clinicians', options: [
+        { value: 'boost', label: 'Rank higher' },
+        { value: 'filter', label: 'Show only them' },
+      ] },
+      { key: 'boostPoints', label: 'Boost (pts)', step: 1 },
+    ],
+  },
+  {
+    key: 'caseIntensity',
+    title: 'Case Intensity',
+    fields: [
+      { key: 'caseloadInput', label: 'Caseload for scoring', options: [
+        { value: 'active', label: 'Active cases' },
+        { value: 'weighted', label: 'Weighted caseload', needsIntensityData: true },
+      ] },
+      { key: 'counselling', label: 'Counselling weight', step: 0.25 },
+      { key: 'crisis', label: 'Crisis weight', step: 0.25 },
+      { key: 'accompaniment', label: 'Accompaniment weight', step: 0.25 },
+      { key: 'communication', label: 'Communication weight', step: 0.25 },
+      { key: 'groupwork', label: 'Groupwork weight', step: 0.25 },
+    ],
+  },
+  {
+    key: 'freshness',
+    title: 'Data Freshness',
+    fields: [
+      { key: 'staleAfterDays', label: 'Stale after (days)', step: 1 },
+      { key: 'staleMode', label: 'When stale', options: [
+        { value: 'block', label: 'No Highly Recommended' },
+        { value: 'warn', label: 'Warn only' },
+      ] },
+    ],
+  },
+  {
+    key: 'hoursAnomalies',
+    title: 'Unusual Hours',
+    fields: [
+      { key: 'ceilingHours', label: 'Monthly ceiling (h)', step: 5 },
+      { key: 'spikeMultiplier', label: 'Spike vs own usual (×)', step: 0.5 },
+      { key: 'teamMultiplier', label: 'Spike vs team median (×)', step: 0.5 },
+      { key: 'minChangeHours', label: 'Ignore changes under (h)', step: 1 },
+      { key: 'lookbackMonths', label: 'Months checked', step: 1 },
+      { key: 'defaultAction', label: 'Flagged values', options: [
+        { value: 'keep', label: 'Keep' },
+        { value: 'cap', label: 'Cap' },
+        { value: 'exclude', label: 'Exclude' },
+      ] },
+    ],
+  },
+  {
+    key: 'currentMonth',
+    title: 'Current Month',
+    fields: [
+      { key: 'estimate', label: 'Early in the month', options: [
+        { value: 'fallback', label: "Last month's hours (first week)" },
+        { value: 'projection', label: 'Projection from hours so far' },
+      ] },
+    ],
+  },
+  {
+    key: 'normalization',
+    title: 'Working Days',
+    fields: [
+      { key: 'hoursBasis', label: 'Compare months by', options: [
+        { value: 'monthly', label: 'Hours per month' },
+        { value: 'workingDay', label: 'Hours per working day' },
+      ] },
+    ],
+  },
+];
+
+/**
+ * Settings drawer for the scoring config
+ * Valid edits are applied live via onChange; invalid drafts are held back with errors shown
+ * weightedCaseloadAvailable: false when neither per-client categories nor hours by type are
+ * loaded, as the weighted caseload would then equal the flat count
+ */
+const SettingsDrawer = ({ isOpen, config, onChange, onReset, onClose, weightedCaseloadAvailable = true }) => {
+  const [draft, setDraft] = useState(config);
+
+  // Keep the draft in sync when the config changes outside the drawer (e.g. reset)
+  useEffect(() => {
+    setDraft(config);
+  }, [config]);
+
+  if (!isOpen) return null;
+
+  const validation = validateScoringConfig(draft);
+  const weightTotal = Object.values(draft.weights).reduce((sum, w) => sum + (Number(w) || 0), 0);
+
+  const updateField = (sectionKey, fieldKey, rawValue, isNumeric = true) => {
+    const value = !isNumeric || rawValue === '' ? rawValue : parseFloat(rawValue);
+    const nextDraft = {
+      ...draft,
+      [sectionKey]: { ...draft[sectionKey], [fieldKey]: value },
+    };
+    setDraft(nextDraft);
+
+    if (validateScoringConfig(nextDraft).isValid) {
+      onChange(nextDraft);
+    }
+  };
+
+  return (
+    <div className="settings-overlay" onClick={onClose}>
+      <aside className="settings-drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="settings-header">
+          <h2 className="settings-title">Scoring Settings</h2>
+          <button className="settings-close" onClick={onClose} title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        {sections.map(section => (
+          <div key={section.key} className="settings-group">
+            <h3 className="settings-group-title">
+              {section.title}
+              {section.key === 'weights' && (
+                <span className={`settings-weight-total ${Math.abs(weightTotal - 100) > 0.01 ? 'invalid' : ''}`}>
+                  Total: {Math.round(weightTotal * 100) / 100}%
+                </span>
+              )}
+            </h3>
+            {section.fields.map(field => (
+              <label key={field.key} className="settings-field">
+                <span>{field.label}</span>
+                {field.options ? (
+                  <select
+                    value={draft[section.key][field.key]}
+                    onChange={(e) => updateField(section.key, field.key, e.target.value, false)}
+                  >
+                    {field.options.map(option => (
+                      <option
+                        key={option.value}
+                        value={option.value}
+                        disabled={option.needsIntensityData && !weightedCaseloadAvailable}
+                      >
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    type="number"
+                    step={field.step}
+                    value={draft[section.key][field.key]}
+                    onChange={(e) => updateField(section.key, field.key, e.target.value)}
+                  />
+                )}
+              </label>
+            ))}
+            {section.key === 'caseIntensity' && !weightedCaseloadAvailable && (
+              <p className="settings-note">
+                Weighted caseload needs client_last_seen.csv or clinician_hours_by_type.csv; without either, every case counts 1.
+              </p>
+            )}
+          </div>
+        ))}
+
+        {!validation.isValid && (
+          <ul className="settings-errors">
+            {validation.errors.map((error, index) => (
+              <li key={index}>{error.message}</li>
+            ))}
+          </ul>
+        )}
+
+        <p className="settings-note">
+          Valid changes apply immediately and are saved in this browser.
+        </p>
+
+        <button className="filter-btn settings-reset" onClick={onReset}>
+          <RotateCcw size={14} /> Reset to defaults
+        </button>
+      </aside>
+    </div>
+  );
+};
+
+export default SettingsDrawer;
@@ -0,0 +1,128 @@
+import React, { useState, useMemo } from 'react';
+import { X } from 'lucide-react';
+import { simulateWhatIf } from '../utils/whatIf';
+
+const levelLabels = {
+  high: 'Highly Recommended',
+  medium: 'Recommended',
+  low: 'Consider Others First'
+};
+
+const penaltyLabels = {
+  burnout: 'Burnout',
+  loadBalancing: 'Load balancing'
+};
+
+/**
+ * Drawer for trying out hypothetical assignments
+ * Gives one clinician N new cases and/or X extra hours this month, re-runs the ranking on a copy
+ * of the data and shows each clinician's rank, score and recommendation before and after.
+ */
+const WhatIfPanel = ({ isOpen, cliniciansData, scoringConfig, rankingOptions, onClose }) => {
+  const [name, setName] = useState('');
+  const [cases, setCases] = useState(1);
+  const [hours, setHours] = useState(0);
+
+  const names = useMemo(() => cliniciansData.map(c => c.name).sort(), [cliniciansData]);
+  const selectedName = names.includes(name) ? name : (names[0] || '');
+
+  const rows = useMemo(() => {
+    if (!isOpen || !selectedName) return [];
+    return simulateWhatIf(
+      cliniciansData,
+      [{ name: selectedName, cases: Number(cases) || 0, hours: Number(hours) || 0 }],
+      scoringConfig,
+      rankingOptions
+    );
+  }, [isOpen, cliniciansData, selectedName, cases, hours, scoringConfig, rankingOptions]);
+
+  if (!isOpen) return null;
+
+  const target = rows.find(row => row.changed);
+  const movedCount = rows.filter(row => row.before.rank !== row.after.rank).length;
+
+  return (
+    <div className="settings-overlay" onClick={onClose}>
+      <aside className="settings-drawer what-if-drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="settings-header">
+          <h2 className="settings-title">What-if Simulator</h2>
+          <button className="settings-close" onClick={onClose} title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        <p className="settings-note">
+          Nothing is saved: this re-ranks a copy of the data with the changes below.
+        </p>
+
+        <label className="settings-field">
+          <span>Clinician</span>
+          <select value={selectedName} onChange={(e) => setName(e.target.value)}>
+            {names.map(n => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </select>
+        </label>
+        <label className="settings-field">
+          <span>New cases</span>
+          <input type="number" min="0" step="1" value={cases} onChange={(e) => setCases(e.target.value)} />
+        </label>
+        <label className="settings-field">
+          <span>Extra hours this month</span>
+          <input type="number" min="0" step="0.5" value={hours} onChange={(e) => setHours(e.target.value)} />
+        </label>
+
+        {target && (
+          <p className="settings-note what-if-summary">
+            {target.name}: #{target.before.rank} → #{target.after.rank} • score {target.before.assignmentScore} → {target.after.assignmentScore}
+            {target.before.recommendationLevel !== target.after.recommendationLevel && (
+              <> • {levelLabels[target.before.recommendationLevel]} → {levelLabels[target.after.recommendationLevel]}</>
+            )}
+            {movedCount > 0 && <> • {movedCount} clinician{movedCount !== 1 ? 's' : ''} change rank</>}
+          </p>
+        )}
+
+        <table className="what-if-table">
+          <thead>
+            <tr>
+              <th>Rank</th>
+              <th>Clinician</th>
+              <th>Score</th>
+              <th>Recommendation</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.name} className={row.changed ? 'what-if-changed' : ''}>
+                <td>
+                  {row.before.rank !== row.after.rank ? <>{row.before.rank} → {row.after.rank}</> : row.after.rank}
+                </td>
+                <td>
+                  {row.name}
+                  {row.newPenalties.map(({ type, penalty }) => (
+                    <span key={type} className="what-if-penalty" title={`${penaltyLabels[type]} protection would add ${penalty} points`}>
+                      {penaltyLabels[type]} +{penalty}
+                    </span>
+                  ))}
+                </td>
+                <td>
+                  {row.before.assignmentScore !== row.after.assignmentScore
+                    ? <>{row.before.assignmentScore} → {row.after.assignmentScore}</>
+                    : row.after.assignmentScore}
+                </td>
+                <td className={`what-if-level ${row.after.recommendationLevel}`}>
+                  {levelLabels[row.after.recommendationLevel]}
+                  {row.before.recommendationLevel !== row.after.recommendationLevel && (
+                    <span className="history-meta">was {levelLabels[row.before.recommendationLevel]}</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </aside>
+    </div>
+  );
+};
+
+export default WhatIfPanel;
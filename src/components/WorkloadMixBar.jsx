@@ -0,0 +1,34 @@
+import React from 'react';
+import { APPOINTMENT_CATEGORIES } from '../utils/appointmentTypes';
+
+/**
+ * Thin stacked bar showing a clinician's hours split by appointment category
+ * @param {Object} hours - { category: hours }
+ */
+const WorkloadMixBar = ({ label, hours }) => {
+  const total = APPOINTMENT_CATEGORIES.reduce((sum, category) => sum + (hours[category.key] || 0), 0);
+  const breakdown = APPOINTMENT_CATEGORIES
+    .filter(category => hours[category.key] > 0)
+    .map(category => `${category.label}: ${hours[category.key]}h`)
+    .join(' • ');
+
+  return (
+    <div className="mix-row" title={breakdown || 'No clinical hours'}>
+      <span className="mix-label">{label}</span>
+      <div className="mix-bar">
+        {total > 0 && APPOINTMENT_CATEGORIES.map(category => (
+          hours[category.key] > 0 && (
+            <div
+              key={category.key}
+              className="mix-segment"
+              style={{ width: `${(hours[category.key] / total) * 100}%`, backgroundColor: category.color }}
+            />
+          )
+        ))}
+      </div>
+      <span className="mix-total">{Number(total.toFixed(1))}h</span>
+    </div>
+  );
+};
+
+export default WorkloadMixBar;
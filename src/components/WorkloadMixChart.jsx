@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { APPOINTMENT_CATEGORIES } from '../utils/appointmentTypes';
+
+// Which part of the type breakdown to chart
+const periodOptions = [
+  { key: 'currentMonth', label: 'Current month' },
+  { key: 'sixMonthAverage', label: '6-month average' },
+];
+
+/**
+ * Stacked bar chart of clinical hours per appointment category for each clinician
+ * Only clinicians with a type breakdown (clinician_hours_by_type.csv) are shown
+ */
+const WorkloadMixChart = ({ clinicians }) => {
+  const [period, setPeriod] = useState('currentMonth');
+
+  const withBreakdown = clinicians.filter(c => c.typeBreakdown);
+  if (withBreakdown.length === 0) return null;
+
+  // Transform data for recharts
+  const chartData = withBreakdown.map(clinician => ({
+    name: clinician.name,
+    ...clinician.typeBreakdown[period]
+  }));
+
+  // Custom tooltip
+  const CustomTooltip = ({ active, payload, label }) => {
+    if (active && payload && payload.length) {
+      const total = payload.reduce((sum, entry) => sum + entry.value, 0);
+      return (
+        <div className="custom-tooltip">
+          <p className="tooltip-label">{label} • {total.toFixed(1)}h</p>
+          {payload
+            .filter(entry => entry.value > 0)
+            .map((entry, index) => (
+              <p key={index} style={{ color: entry.color }}>
+                {entry.name}: {entry.value.toFixed(1)}h
+              </p>
+            ))}
+        </div>
+      );
+    }
+    return null;
+  };
+
+  return (
+    <div className="assignment-graph">
+      <div className="graph-header">
+        <h2 className="graph-title">Workload Mix</h2>
+        <p className="graph-subtitle">Clinical hours per clinician by appointment type</p>
+        <div className="graph-range-buttons">
+          {periodOptions.map(({ key, label }) => (
+            <button
+              key={key}
+              className={`filter-btn ${period === key ? 'active' : ''}`}
+              onClick={() => setPeriod(key)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="graph-container">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart
+            data={chartData}
+            margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" stroke="#e1e4e8" />
+            <XAxis
+              dataKey="name"
+              stroke="#636e72"
+              style={{ fontSize: '0.75rem' }}
+              interval={0}
+            />
+            <YAxis
+              stroke="#636e72"
+              style={{ fontSize: '0.875rem' }}
+              label={{ value: 'Hours', angle: -90, position: 'insideLeft', style: { fill: '#636e72' } }}
+            />
+            <Tooltip content={<CustomTooltip />} />
+            <Legend wrapperStyle={{ fontSize: '0.875rem' }} />
+            {APPOINTMENT_CATEGORIES.map(category => (
+              <Bar
+                key={category.key}
+                dataKey={category.key}
+                name={category.label}
+                stackId="hours"
+                fill={category.color}
+              />
+            ))}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default WorkloadMixChart;
@@ -1,6 +1,10 @@
 // Clinician data extracted from clinician_summary.csv
 // Using the most recent months (2025_9, 2025_10) and active cases
 
+// Month timeline (YYYY_M) the monthlyHours arrays are aligned to (Jan-Oct 2025)
+export const monthKeys = ['2025_1', '2025_2', '2025_3', '2025_4', '2025_5',
+                          '2025_6', '2025_7', '2025_8', '2025_9', '2025_10'];
+
 export const cliniciansData = [
   {
     name: 'Andrew Lim',
@@ -8,7 +12,8 @@ export const cliniciansData = [
     recentHours: 23.5,
     previousHours: 58.5,
     activeCases: 23,
-    monthlyHours2025: [0, 0, 8.5, 31.0, 41.0, 39.0, 38.75, 44.5, 58.5, 23.5]
+    monthKeys,
+    monthlyHours: [0, 0, 8.5, 31.0, 41.0, 39.0, 38.75, 44.5, 58.5, 23.5]
   },
   {
     name: 'Claudia Stefanie',
@@ -16,7 +21,8 @@ export const cliniciansData = [
     recentHours: 6.0,
     previousHours: 13.0,
     activeCases: 6,
-    monthlyHours2025: [0, 0, 0, 0, 0, 0, 6.0, 19.0, 13.0, 6.0]
+    monthKeys,
+    monthlyHours: [0, 0, 0, 0, 0, 0, 6.0, 19.0, 13.0, 6.0]
   },
   {
     name: 'Dominic Yeo',
@@ -24,7 +30,8 @@ export const cliniciansData = [
     recentHours: 3.5,
     previousHours: 12.5,
     activeCases: 9,
-    monthlyHours2025: [14.42, 9.17, 13.67, 10.42, 8.25, 11.5, 8.75, 6.0, 12.5, 3.5]
+    monthKeys,
+    monthlyHours: [14.42, 9.17, 13.67, 10.42, 8.25, 11.5, 8.75, 6.0, 12.5, 3.5]
   },
   {
     name: 'Haikel',
@@ -32,7 +39,8 @@ export const cliniciansData = [
     recentHours: 2.5,
     previousHours: 0.0,
     activeCases: 2,
-    monthlyHours2025: [0, 0, 0.25, 0, 0, 0, 0, 1.0, 0, 2.5]
+    monthKeys,
+    monthlyHours: [0, 0, 0.25, 0, 0, 0, 0, 1.0, 0, 2.5]
   },
   {
     name: 'Kirsty Png',
@@ -40,7 +48,8 @@ export const cliniciansData = [
     recentHours: 19.5,
     previousHours: 35.0,
     activeCases: 17,
-    monthlyHours2025: [31.5, 37.5, 27.83, 35.0, 33.0, 25.5, 25.5, 18.5, 35.0, 19.5]
+    monthKeys,
+    monthlyHours: [31.5, 37.5, 27.83, 35.0, 33.0, 25.5, 25.5, 18.5, 35.0, 19.5]
   },
   {
     name: 'Janice',
@@ -49,7 +58,8 @@ export const cliniciansData = [
     recentHours: 24.5,
     previousHours: 54.0,
     activeCases: 28,
-    monthlyHours2025: [28.0, 34.0, 42.5, 57.5, 37.0, 30.0, 37.0, 9.0, 54.0, 24.5]
+    monthKeys,
+    monthlyHours: [28.0, 34.0, 42.5, 57.5, 37.0, 30.0, 37.0, 9.0, 54.0, 24.5]
   },
   {
     name: 'Xiao Hui',
@@ -58,7 +68,8 @@ export const cliniciansData = [
     recentHours: 24.0,
     previousHours: 35.5,
     activeCases: 22,
-    monthlyHours2025: [0, 0, 0, 0, 0, 5.0, 15.0, 26.5, 35.5, 24.0]
+    monthKeys,
+    monthlyHours: [0, 0, 0, 0, 0, 5.0, 15.0, 26.5, 35.5, 24.0]
   },
   {
     name: 'Oliver Tan',
@@ -66,7 +77,8 @@ export const cliniciansData = [
     recentHours: 29.0,
     previousHours: 42.0,
     activeCases: 25,
-    monthlyHours2025: [43.0, 41.0, 41.5, 40.0, 45.5, 33.5, 41.5, 42.0, 42.0, 29.0]
+    monthKeys,
+    monthlyHours: [43.0, 41.0, 41.5, 40.0, 45.5, 33.5, 41.5, 42.0, 42.0, 29.0]
   },
   {
     name: 'Seanna Neo',
@@ -74,7 +86,8 @@ export const cliniciansData = [
     recentHours: 20.5,
     previousHours: 29.5,
     activeCases: 21,
-    monthlyHours2025: [0, 0, 0, 0, 0, 5.0, 26.5, 35.0, 29.5, 20.5]
+    monthKeys,
+    monthlyHours: [0, 0, 0, 0, 0, 5.0, 26.5, 35.0, 29.5, 20.5]
   },
   {
     name: 'Jiaying',
@@ -83,7 +96,8 @@ export const cliniciansData = [
     recentHours: 19.0,
     previousHours: 24.5,
     activeCases: 21,
-    monthlyHours2025: [33.0, 29.0, 31.25, 42.0, 43.0, 18.0, 14.0, 16.0, 24.5, 19.0]
+    monthKeys,
+    monthlyHours: [33.0, 29.0, 31.25, 42.0, 43.0, 18.0, 14.0, 16.0, 24.5, 19.0]
   },
   {
     name: 'Joanna',
@@ -92,7 +106,8 @@ export const cliniciansData = [
     recentHours: 3.0,
     previousHours: 0.0,
     activeCases: 2,
-    monthlyHours2025: [0, 0, 0, 0, 0, 0, 0, 0, 0, 3.0]
+    monthKeys,
+    monthlyHours: [0, 0, 0, 0, 0, 0, 0, 0, 0, 3.0]
   }
 ];
 
@@ -101,6 +116,3 @@ export const levelLabels = {
   senior: 'Senior',
   lead: 'Lead'
 };
-
-// Month labels for 2025 (Jan-Oct)
-export const monthLabels = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct'];
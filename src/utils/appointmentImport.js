@@ -0,0 +1,281 @@
+/**
+ * Client-side import of the raw appointment export (ALL-HOURS.csv)
+ * Mirrors backend.py: clinical-type filter, HWB client ID normalisation, monthly hours
+ * and active-case logic, producing the same clinician objects as fetchClinicianData.
+ */
+
+import { validateAppointmentStructure } from './dataValidation.js';
+import { parseCSVText } from './csvTokenizer.js';
+import { toMonthKey, addDays } from './dateUtils.js';
+import { fetchRoster } from './roster.js';
+import { buildClinicianData } from './csvParser.js';
+import { getAppointmentCategory, emptyCategoryHours } from './appointmentTypes.js';
+
+// Appointment types counted as clinical work (same list as backend.py)
+export const CLINICAL_TYPES = [
+  'Wellbeing Individual Check-In',
+  'Wellbeing Individual Counselling Session',
+  'Couples Counselling',
+  'Crisis',
+  'Groupwork',
+  'Client Contact',
+  'Communication (External)',
+  'Communication (Internal)',
+  'Communication (Respondent)',
+  // Accompaniment types
+  'Accompaniment (Faculty/HRP)',
+  'Accompaniment (Medical)',
+  'Accompaniment (NUS Adjudication)',
+  'Accompaniment (NUS Investigation)',
+  'Accompaniment (Other)',
+  'Accompaniment (Police)',
+  // MHRTW types
+  'MHRTW-Accompaniment',
+  'MHRTW-Communication'
+];
+
+const ACTIVE_CASE_DAYS = 60;       // Client counts as active if last seen within 2 months
+const ACTIVE_CLINICIAN_DAYS = 90;  // Clinician is included if they had a session within 3 months
+
+/**
+ * Normalize client IDs: strip HWB prefix if present (e.g. "HWB00001234" -> "1234")
+ * @param {string} clientId - Raw a_centerclientid
+ * @returns {string} Normalized client ID
+ */
+export function normalizeClientId(clientId) {
+  const id = String(clientId).trim();
+  if (id.startsWith('HWB')) {
+    return id.replace('HWB0000', '').replace('HWB', '');
+  }
+  return id;
+}
+
+/**
+ * Parse an appointment date, day first (e.g. "3/11/2025", "03-11-2025 09:00") or ISO ("2025-11-03")
+ * @param {string} value - Raw a_date
+ * @returns {Date|null} Local date at midnight, or null if unparseable
+ */
+export function parseAppointmentDate(value) {
+  const text = String(value || '').trim();
+
+  let year;
+  let month;
+  let day;
+
+  const isoMatch = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text);
+  const dayFirstMatch = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/.exec(text);
+
+  if (isoMatch) {
+    [year, month, day] = isoMatch.slice(1).map(n => parseInt(n, 10));
+  } else if (dayFirstMatch) {
+    [day, month, year] = dayFirstMatch.slice(1).map(n => parseInt(n, 10));
+    if (year < 100) year += 2000;
+  } else {
+    return null;
+  }
+
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Parse the raw export into appointment rows keyed by header
+ * @param {string} csvText - Raw ALL-HOURS.csv text
+ * @param {Object} options - Tokenizer options, e.g. { delimiter: ';' }
+ * @returns {Array<Object>} Rows keyed by column name
+ */
+export function parseAppointmentCSV(csvText, options = {}) {
+  const { headers, rows, errors } = parseCSVText(csvText, options);
+  if (headers.length === 0) {
+    throw new Error('Appointment export is empty');
+  }
+
+  const structureValidation = validateAppointmentStructure(headers);
+  if (!structureValidation.isValid) {
+    const errorMessages = structureValidation.errors.map(e => e.message).join('; ');
+    throw new Error(`Appointment export validation failed: ${errorMessages}`);
+  }
+
+  // Rows with broken quoting are dropped; short or long rows are kept (missing values are empty)
+  errors.forEach(e => console.warn(`[parseAppointmentCSV] ${e.message}`));
+  return rows
+    .filter(({ line, issues }) => {
+      const rowErrors = issues.filter(issue => issue.severity === 'error');
+      rowErrors.forEach(e => console.warn(`[parseAppointmentCSV] Skipping row ${line}: ${e.message}`));
+      return rowErrors.length === 0;
+    })
+    .map(({ values }) => values);
+}
+
+/**
+ * Attended clinical sessions with a client, for the given clinicians only
+ * @param {Array<Object>} appointments - Rows from parseAppointmentCSV
+ * @param {Array<string>} clinicianNames - Full names of clinicians to include
+ * @returns {Array<Object>} Sessions ({ clinician, clientId, date, hours, type })
+ */
+function collectClinicalSessions(appointments, clinicianNames) {
+  const clinicalTypes = new Set(CLINICAL_TYPES);
+  const clinicians = new Set(clinicianNames);
+  const sessions = [];
+
+  appointments.forEach(row => {
+    const clinician = row.a_schedule;
+    const clientId = row.a_centerclientid ? normalizeClientId(row.a_centerclientid) : '';
+    if (!row.a_scheduleattendance || !clientId || !clinicians.has(clinician) || !clinicalTypes.has(row.a_codedescription)) {
+      return;
+    }
+
+    const date = parseAppointmentDate(row.a_date);
+    if (!date) return;
+
+    const minutes = parseFloat(row.a_length);
+    sessions.push({ clinician, clientId, date, hours: isNaN(minutes) ? 0 : minutes / 60, type: row.a_codedescription });
+  });
+
+  return sessions;
+}
+
+/**
+ * Aggregate appointment rows into summary rows (same shape as clinician_summary.csv)
+ * @param {Array<Object>} appointments - Rows from parseAppointmentCSV
+ * @param {Array<string>} clinicianNames - Full names of clinicians to include
+ * @param {Date} now - Reference date for active cases and active clinicians
+ * @returns {Array<Object>} Rows with Clinician, "YYYY_M" hours and "Active Cases (last 2 months)"
+ */
+export function aggregateAppointments(appointments, clinicianNames, now = new Date()) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const activeCaseCutoff = addDays(today, -ACTIVE_CASE_DAYS);
+  const activeClinicianCutoff = addDays(today, -ACTIVE_CLINICIAN_DAYS);
+
+  const hoursByClinician = {};     // clinician -> { monthKey -> hours }
+  const lastSeenByClinician = {};  // clinician -> { clientId -> Date }
+  const recentlyActive = new Set();
+  const monthKeys = new Set();
+
+  collectClinicalSessions(appointments, clinicianNames).forEach(({ clinician, clientId, date, hours }) => {
+    const monthKey = toMonthKey(date.getFullYear(), date.getMonth() + 1);
+
+    hoursByClinician[clinician] = hoursByClinician[clinician] || {};
+    hoursByClinician[clinician][monthKey] = (hoursByClinician[clinician][monthKey] || 0) + hours;
+    monthKeys.add(monthKey);
+
+    lastSeenByClinician[clinician] = lastSeenByClinician[clinician] || {};
+    const lastSeen = lastSeenByClinician[clinician][clientId];
+    if (!lastSeen || date > lastSeen) {
+      lastSeenByClinician[clinician][clientId] = date;
+    }
+
+    if (date >= activeClinicianCutoff) {
+      recentlyActive.add(clinician);
+    }
+  });
+
+  return Object.keys(hoursByClinician)
+    .filter(clinician => recentlyActive.has(clinician))
+    .sort()
+    .map(clinician => {
+      const row = { Clinician: clinician };
+      monthKeys.forEach(monthKey => {
+        row[monthKey] = hoursByClinician[clinician][monthKey] || 0;
+      });
+      row['Active Cases (last 2 months)'] = Object.values(lastSeenByClinician[clinician])
+        .filter(lastSeen => lastSeen >= activeCaseCutoff)
+        .length;
+      return row;
+    });
+}
+
+/**
+ * Build the per-client case list (same shape as parseCaseloadCSV) from appointment rows
+ * @param {Array<Object>} appointments - Rows from parseAppointmentCSV
+ * @param {Array<string>} clinicianNames - Full names of clinicians to include
+ * @param {Date} now - Date the caseload is measured at
+ * @returns {Object} { casesByClinician, asOf, errors, warnings }
+ */
+export function buildCaseloadFromAppointments(appointments, clinicianNames, now = new Date()) {
+  const asOf = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const seen = {}; // clinician -> { clientId -> { clientId, firstSeen, lastSeen, categories } }
+
+  collectClinicalSessions(appointments, clinicianNames).forEach(({ clinician, clientId, date, type }) => {
+    if (date > asOf) return;
+
+    seen[clinician] = seen[clinician] || {};
+    let entry = seen[clinician][clientId];
+    if (!entry) {
+      entry = { clientId, firstSeen: date, lastSeen: date, categories: [] };
+      seen[clinician][clientId] = entry;
+    } else {
+      if (date < entry.firstSeen) entry.firstSeen = date;
+      if (date > entry.lastSeen) entry.lastSeen = date;
+    }
+
+    const category = getAppointmentCategory(type);
+    if (category && !entry.categories.includes(category)) {
+      entry.categories.push(category);
+    }
+  });
+
+  const casesByClinician = {};
+  Object.keys(seen).forEach(clinician => {
+    casesByClinician[clinician] = Object.values(seen[clinician]);
+  });
+
+  return { casesByClinician, asOf, errors: [], warnings: [] };
+}
+
+/**
+ * Build monthly hours per appointment category (same shape as parseHoursByTypeCSV)
+ * @param {Array<Object>} appointments - Rows from parseAppointmentCSV
+ * @param {Array<string>} clinicianNames - Full names of clinicians to include
+ * @returns {Object} { hoursByClinician, errors, warnings }
+ */
+export function buildHoursByTypeFromAppointments(appointments, clinicianNames) {
+  const hoursByClinician = {};
+
+  collectClinicalSessions(appointments, clinicianNames).forEach(({ clinician, date, hours, type }) => {
+    const category = getAppointmentCategory(type);
+    if (!category) return;
+
+    const monthKey = toMonthKey(date.getFullYear(), date.getMonth() + 1);
+    hoursByClinician[clinician] = hoursByClinician[clinician] || {};
+    hoursByClinician[clinician][monthKey] = hoursByClinician[clinician][monthKey] || emptyCategoryHours();
+    hoursByClinician[clinician][monthKey][category] += hours;
+  });
+
+  return { hoursByClinician, errors: [], warnings: [] };
+}
+
+/**
+ * Build clinician data from a raw ALL-HOURS.csv export, without the Python backend
+ * @param {string} csvText - Raw ALL-HOURS.csv text
+ * @param {Date} now - Reference date (defaults to today)
+ * @returns {Promise<Object>} Same shape as fetchClinicianData: { clinicians, monthKeys, lastUpdated, dataAsOf, caseloadAsOf, holidays, issues }
+ */
+export async function loadClinicianDataFromAppointments(csvText, now = new Date()) {
+  if (!csvText || csvText.trim() === '') {
+    throw new Error('Appointment export is empty or could not be read');
+  }
+
+  const { roster } = await fetchRoster();
+  // Start/end dates are checked against the as-of date when ranking (see buildClinicianData)
+  const clinicianNames = Object.values(roster)
+    .filter(entry => entry.active)
+    .map(entry => entry.fullName);
+
+  const appointments = parseAppointmentCSV(csvText);
+  const summaryRows = aggregateAppointments(appointments, clinicianNames, now);
+  const caseload = buildCaseloadFromAppointments(appointments, clinicianNames, now);
+  const hoursByType = buildHoursByTypeFromAppointments(appointments, clinicianNames);
+
+  if (summaryRows.length === 0) {
+    throw new Error('No attended clinical sessions for current clinicians were found in the export');
+  }
+
+  console.log(`Imported ${appointments.length} appointments for ${summaryRows.length} clinicians`);
+
+  const timestamp = now.toLocaleDateString('en-GB', { day: '2-digit', month: 'long', year: 'numeric' });
+  return buildClinicianData(summaryRows, timestamp, { roster, caseload, hoursByType, source: 'Appointment import' });
+}
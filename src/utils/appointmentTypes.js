@@ -0,0 +1,155 @@
+/**
+ * Appointment type categories
+ * Groups the clinical a_codedescription values backend.py counts into categories, and loads
+ * clinician_hours_by_type.csv (monthly hours per clinician per category) for the workload mix.
+ */
+
+import { parseCSVText, isCSVResponse, getMissingColumns } from './csvTokenizer.js';
+import { validateHoursByTypeRow } from './dataValidation.js';
+
+// Categories in display order; types must match CLINICAL_TYPES (and backend.py)
+export const APPOINTMENT_CATEGORIES = [
+  {
+    key: 'counselling',
+    label: 'Counselling',
+    color: '#7fa3c9',
+    types: ['Wellbeing Individual Check-In', 'Wellbeing Individual Counselling Session', 'Couples Counselling']
+  },
+  {
+    key: 'crisis',
+    label: 'Crisis',
+    color: '#c98a8a',
+    types: ['Crisis']
+  },
+  {
+    key: 'accompaniment',
+    label: 'Accompaniment',
+    color: '#c69d7f',
+    types: [
+      'Accompaniment (Faculty/HRP)',
+      'Accompaniment (Medical)',
+      'Accompaniment (NUS Adjudication)',
+      'Accompaniment (NUS Investigation)',
+      'Accompaniment (Other)',
+      'Accompaniment (Police)',
+      'MHRTW-Accompaniment'
+    ]
+  },
+  {
+    key: 'communication',
+    label: 'Communication',
+    color: '#8b97a8',
+    types: [
+      'Client Contact',
+      'Communication (External)',
+      'Communication (Internal)',
+      'Communication (Respondent)',
+      'MHRTW-Communication'
+    ]
+  },
+  {
+    key: 'groupwork',
+    label: 'Groupwork',
+    color: '#97a58b',
+    types: ['Groupwork']
+  }
+];
+
+export const CATEGORY_KEYS = APPOINTMENT_CATEGORIES.map(category => category.key);
+
+const REQUIRED_COLUMNS = ['Clinician', 'Month', 'Category', 'Hours'];
+
+/**
+ * Get the category of an appointment type
+ * @param {string} codeDescription - a_codedescription value
+ * @returns {string|null} Category key, or null if not a clinical type
+ */
+export function getAppointmentCategory(codeDescription) {
+  const category = APPOINTMENT_CATEGORIES.find(c => c.types.includes(codeDescription));
+  return category ? category.key : null;
+}
+
+/**
+ * Create an empty { category: hours } record
+ * @returns {Object} Hours per category, all 0
+ */
+export function emptyCategoryHours() {
+  const hours = {};
+  CATEGORY_KEYS.forEach(key => {
+    hours[key] = 0;
+  });
+  return hours;
+}
+
+/**
+ * Parse clinician_hours_by_type.csv (columns: Clinician, Month, Category, Hours)
+ * Text without the expected columns (e.g. an HTML page) or without a single valid row is
+ * treated as no file, so cards show total hours only
+ * @param {string} csvText - Raw CSV text
+ * @returns {Object} { hoursByClinician, errors, warnings } - hoursByClinician[name][monthKey][category] = hours
+ *   (null if unusable)
+ */
+export function parseHoursByTypeCSV(csvText) {
+  const { headers, rows, errors, warnings } = parseCSVText(csvText, { commentPrefix: '#' });
+  const missingColumns = getMissingColumns(headers, REQUIRED_COLUMNS);
+  if (missingColumns.length > 0) {
+    console.warn(`[appointmentTypes] clinician_hours_by_type.csv is missing ${missingColumns.join(', ')}, ignoring it`);
+    return { hoursByClinician: null, errors: [], warnings: [] };
+  }
+
+  const allErrors = [...errors];
+  const allWarnings = [...warnings];
+  const hoursByClinician = {};
+
+  rows.forEach(({ values, line, issues }) => {
+    const validation = validateHoursByTypeRow(values, line, CATEGORY_KEYS, issues);
+    allWarnings.push(...validation.warnings);
+
+    if (!validation.isValid) {
+      allErrors.push(...validation.errors);
+      return;
+    }
+
+    const { clinician, monthKey, category, hours } = validation.data;
+    hoursByClinician[clinician] = hoursByClinician[clinician] || {};
+    hoursByClinician[clinician][monthKey] = hoursByClinician[clinician][monthKey] || emptyCategoryHours();
+    hoursByClinician[clinician][monthKey][category] += hours;
+  });
+
+  if (Object.keys(hoursByClinician).length === 0) {
+    console.warn('[appointmentTypes] clinician_hours_by_type.csv has no valid rows, ignoring it');
+    return { hoursByClinician: null, errors: allErrors, warnings: allWarnings };
+  }
+
+  return { hoursByClinician, errors: allErrors, warnings: allWarnings };
+}
+
+/**
+ * Fetch clinician_hours_by_type.csv
+ * The file is optional: without it cards show total hours only
+ * @returns {Promise<Object>} { hoursByClinician (null if unavailable), errors, warnings }
+ */
+export async function fetchHoursByType() {
+  try {
+    const response = await fetch('/clinician_hours_by_type.csv');
+    if (isCSVResponse(response)) {
+      const result = parseHoursByTypeCSV(await response.text());
+      console.log(`Hours by type loaded: ${Object.keys(result.hoursByClinician || {}).length} clinicians, ${result.errors.length} errors, ${result.warnings.length} warnings`);
+      return result;
+    }
+  } catch (error) {
+    console.warn('[appointmentTypes] Could not load clinician_hours_by_type.csv:', error);
+  }
+
+  return { hoursByClinician: null, errors: [], warnings: [] };
+}
+
+/**
+ * Align a clinician's per-month category hours to the shared timeline
+ * @param {Object} byMonth - { monthKey: { category: hours } }
+ * @param {Array<string>} monthKeys - Timeline of month keys
+ * @returns {Array<Object>} { category: hours } per month, aligned to monthKeys
+ */
+export function alignHoursByType(byMonth, monthKeys) {
+  return monthKeys.map(key => ({ ...emptyCategoryHours(), ...((byMonth || {})[key] || {}) }));
+}
@@ -0,0 +1,176 @@
+/**
+ * Assignment log
+ * Records what was actually assigned (client reference, clinician, date, case type and the
+ * score snapshot at the time) in the browser's IndexedDB, so recommendations can be audited.
+ * Undo keeps the record but marks it undone, so the audit trail stays complete.
+ */
+
+import { validateAssignmentEntry } from './dataValidation.js';
+import { CASE_TYPE_LABELS } from './caseTypes.js';
+
+const DB_NAME = 'clinicianAssignments';
+const DB_VERSION = 1;
+const STORE_NAME = 'assignments';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and create or upgrade) the assignment database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('This browser does not support IndexedDB, so assignments cannot be logged'));
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(STORE_NAME)) {
+      const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('assignedAt', 'assignedAt');
+    }
+  };
+  return promisifyRequest(request);
+}
+
+/**
+ * Run a function against the assignment store within one transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} fn - Receives the object store, returns an IDBRequest or an array of them
+ * @returns {Promise<*>} Request result (an array of results for an array of requests)
+ */
+async function withStore(mode, fn) {
+  const db = await openDatabase();
+  try {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const completed = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    // Await both together so a failed request doesn't leave the completion rejection unhandled
+    let requests;
+    try {
+      requests = fn(transaction.objectStore(STORE_NAME));
+    } catch (error) {
+      // Don't let requests queued before the throw commit on their own
+      completed.catch(() => {});
+      transaction.abort();
+      throw error;
+    }
+    const pending = Array.isArray(requests) ? Promise.all(requests.map(promisifyRequest)) : promisifyRequest(requests);
+    const [result] = await Promise.all([pending, completed]);
+    return result;
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Build the score snapshot stored with an assignment
+ * @param {Object} clinician - Scored clinician (as shown on the card)
+ * @param {number} rank - Position in the ranking when assigned
+ * @returns {Object} Snapshot of the metrics behind the recommendation
+ */
+export function createScoreSnapshot(clinician, rank) {
+  return {
+    rank,
+    assignmentScore: clinician.assignmentScore,
+    recommendationLevel: clinician.recommendationLevel,
+    activeCases: clinician.activeCases,
+    currentMonth: clinician.currentMonth,
+    sixMonthAverage: clinician.sixMonthAverage,
+    growthRate: clinician.growthRate
+  };
+}
+
+/**
+ * Log an assignment
+ * @param {Object} entry - { clientRef, clinician, fullName, caseType, assignedAt (YYYY-MM-DD), snapshot }
+ * @returns {Promise<Object>} Stored record, including its id
+ */
+export async function addAssignment(entry) {
+  const validation = validateAssignmentEntry(entry, CASE_TYPE_LABELS);
+  if (!validation.isValid) {
+    throw new Error(validation.errors.map(e => e.message).join('; '));
+  }
+
+  const record = {
+    ...validation.data,
+    loggedAt: new Date().toISOString(),
+    undoneAt: null
+  };
+  const id = await withStore('readwrite', store => store.add(record));
+  console.log(`[assignmentLog] Logged assignment ${id}: ${record.clientRef} -> ${record.clinician}`);
+  return { ...record, id };
+}
+
+/**
+ * Log a batch of assignments in one transaction, so either all of them are logged or none are
+ * @param {Array<Object>} entries - Entries as for addAssignment
+ * @returns {Promise<Array<Object>>} Stored records, including their ids
+ */
+export async function addAssignments(entries) {
+  const validations = entries.map(entry => ({ entry, validation: validateAssignmentEntry(entry, CASE_TYPE_LABELS) }));
+  const invalid = validations.filter(({ validation }) => !validation.isValid);
+  if (invalid.length > 0) {
+    throw new Error(invalid.map(({ entry, validation }) => `${entry.clientRef || 'Row'}: ${validation.errors.map(e => e.message).join('; ')}`).join(' • '));
+  }
+
+  const loggedAt = new Date().toISOString();
+  const records = validations.map(({ validation }) => ({ ...validation.data, loggedAt, undoneAt: null }));
+  const ids = await withStore('readwrite', store => records.map(record => store.add(record)));
+  console.log(`[assignmentLog] Logged ${ids.length} assignments in one batch`);
+  return records.map((record, index) => ({ ...record, id: ids[index] }));
+}
+
+/**
+ * Get every logged assignment, newest first
+ * @returns {Promise<Array<Object>>} Assignment records (undone ones included)
+ */
+export async function getAssignments() {
+  const records = await withStore('readonly', store => store.getAll());
+  return records.sort((a, b) => b.assignedAt.localeCompare(a.assignedAt) || b.id - a.id);
+}
+
+/**
+ * Undo an assignment (the record is kept and marked undone)
+ * @param {number} id - Assignment id
+ * @returns {Promise<Object>} Updated record
+ */
+export async function undoAssignment(id) {
+  const record = await withStore('readonly', store => store.get(id));
+  if (!record) {
+    throw new Error(`Assignment ${id} not found`);
+  }
+
+  const updated = { ...record, undoneAt: new Date().toISOString() };
+  await withStore('readwrite', store => store.put(updated));
+  console.log(`[assignmentLog] Undid assignment ${id}`);
+  return updated;
+}
+
+/**
+ * Summarise how often the recommendation was followed
+ * @param {Array<Object>} assignments - Assignment records
+ * @returns {Object} { total, topRanked, highlyRecommended } - undone assignments are excluded
+ */
+export function summarizeAssignments(assignments) {
+  const active = assignments.filter(a => !a.undoneAt);
+  return {
+    total: active.length,
+    topRanked: active.filter(a => a.snapshot && a.snapshot.rank === 1).length,
+    highlyRecommended: active.filter(a => a.snapshot && a.snapshot.recommendationLevel === 'high').length
+  };
+}
@@ -10,23 +10,73 @@
  * - Load Balancing Protection: +3 to +10 points for consecutive months at 1.5+ SD above mean
  */
 
-import { getLastNMonthsIndices, getCurrentMonthIndex } from './dateUtils.js';
+import { getLastNMonthsIndices, getCurrentTimelineIndex, getCurrentMonthColumn, getMonthDateRange, countWorkingDays, getWorkingDaysInMonth, getWorkingDaysByMonth } from './dateUtils.js';
 import { detectBurnout } from './burnoutDetection.js';
 import { detectLoadBalancing } from './loadBalancingProtection.js';
 import { safeArrayAccess, safeAverage } from './dataValidation.js';
+import { DEFAULT_SCORING_CONFIG } from './scoringConfig.js';
+import { getClinicianCapacity, calculateUtilisation } from './capacity.js';
+import { getAvailability, getDefaultAvailabilityRange, getLeaveMonths } from './leaveCalendar.js';
+import { calculatePendingLoad } from './pendingAssignments.js';
+import { getHoursIntensity } from './caseload.js';
+
+/**
+ * Slice monthly hours, leaving out excluded months (e.g. months mostly on leave)
+ * Falls back to the full slice if every month in the window is excluded
+ * @param {Array<number>} monthlyHours - Array of monthly hours
+ * @param {number} startIndex - Start index (inclusive)
+ * @param {number} endIndex - End index (exclusive)
+ * @param {Array<boolean>} excludedMonths - True for months to leave out (aligned to monthlyHours)
+ * @returns {Array<number>} Hours for the included months
+ */
+function sliceExcludingMonths(monthlyHours, startIndex, endIndex, excludedMonths) {
+  const months = monthlyHours.slice(startIndex, endIndex);
+  if (!Array.isArray(excludedMonths)) {
+    return months;
+  }
+
+  const included = months.filter((_, offset) => !excludedMonths[startIndex + offset]);
+  return included.length > 0 ? included : months;
+}
+
+/**
+ * Factors converting monthly hours to hours per working day, scaled to the timeline's
+ * average month so values (and hour thresholds) stay comparable to monthly hours
+ * @param {Array<string>} monthKeys - Timeline of month keys
+ * @param {Array<string>|Set<string>} holidays - Public holidays ("YYYY-MM-DD")
+ * @returns {Array<number>} Factor per month (1 for a month without working days)
+ */
+export function getWorkingDayFactors(monthKeys, holidays = []) {
+  const workingDays = getWorkingDaysByMonth(monthKeys, holidays);
+  const averageWorkingDays = safeAverage(workingDays.filter(days => days > 0), 'getWorkingDayFactors');
+  return workingDays.map(days => (days > 0 ? averageWorkingDays / days : 1));
+}
+
+/**
+ * Normalize monthly hours to working days (see getWorkingDayFactors)
+ * @param {Array<number>} monthlyHours - Array of monthly hours
+ * @param {Array<number>} factors - Factor per month, aligned to monthlyHours
+ * @returns {Array<number>} Hours per working day, as an average month
+ */
+export function normalizeToWorkingDays(monthlyHours, factors) {
+  return monthlyHours.map((hours, index) => (typeof hours === 'number' ? hours * (factors[index] ?? 1) : hours));
+}
 
 /**
  * Calculate 6-month average (dynamically calculated from current date)
+ * The window may span the year boundary (e.g. Sep-Feb)
  * @param {Array<number>} monthlyHours - Array of monthly hours
+ * @param {number} currentMonthIndex - Index of the current month in monthlyHours
+ * @param {Array<boolean>} excludedMonths - Months to leave out, e.g. leave months (optional)
  * @returns {number} Average of last 6 months
  */
-export function calculate6MonthAverage(monthlyHours) {
+export function calculate6MonthAverage(monthlyHours, currentMonthIndex, excludedMonths = null) {
   if (!Array.isArray(monthlyHours)) {
     console.warn('[calculate6MonthAverage] Invalid monthlyHours: not an array');
     return 0;
   }
 
-  const { startIndex, endIndex } = getLastNMonthsIndices(6);
+  const { startIndex, endIndex } = getLastNMonthsIndices(6, currentMonthIndex);
 
   // Ensure we don't slice beyond array bounds
   const safeEndIndex = Math.min(endIndex, monthlyHours.length);
@@ -37,7 +87,7 @@ export function calculate6MonthAverage(monthlyHours) {
     return 0;
   }
 
-  const last6Months = monthlyHours.slice(safeStartIndex, safeEndIndex);
+  const last6Months = sliceExcludingMonths(monthlyHours, safeStartIndex, safeEndIndex, excludedMonths);
   return safeAverage(last6Months, 'calculate6MonthAverage');
 }
 
@@ -46,11 +96,12 @@ export function calculate6MonthAverage(monthlyHours) {
  * This is fairer as each clinician is compared to their own typical pattern
  * Positive = assignment increasing vs their baseline, Negative = assignment decreasing
  * @param {Array<number>} monthlyHours - Array of monthly hours
- * @param {number} currentMonthIndex - Current month index (0-based)
+ * @param {number} currentMonthIndex - Index of the current month in monthlyHours
  * @param {number} effectiveMonthIndex - Effective month index to use (for fallback scenarios)
+ * @param {Array<boolean>} excludedMonths - Months to leave out of the baseline, e.g. leave months (optional)
  * @returns {number} Growth rate as percentage
  */
-export function calculateGrowthRate(monthlyHours, currentMonthIndex, effectiveMonthIndex = null) {
+export function calculateGrowthRate(monthlyHours, currentMonthIndex, effectiveMonthIndex = null, excludedMonths = null) {
   if (!Array.isArray(monthlyHours)) {
     console.warn('[calculateGrowthRate] Invalid monthlyHours: not an array');
     return 0;
@@ -81,7 +132,7 @@ export function calculateGrowthRate(monthlyHours, currentMonthIndex, effectiveMo
     return currentMonth > 0 ? 100 : 0; // New clinician with first month of data
   }
 
-  const historicalMonths = monthlyHours.slice(safeStartIndex, safeEndIndex);
+  const historicalMonths = sliceExcludingMonths(monthlyHours, safeStartIndex, safeEndIndex, excludedMonths);
   const historicalAvg = safeAverage(historicalMonths, 'calculateGrowthRate:historical');
 
   // If no historical data, check if current month has data
@@ -95,25 +146,125 @@ export function calculateGrowthRate(monthlyHours, currentMonthIndex, effectiveMo
   return growthRate;
 }
 
+// Share of the month's working days elapsed for a medium / high confidence projection
+const PROJECTION_CONFIDENCE = { medium: 0.25, high: 0.5 };
+
+/**
+ * Estimate the current month's hours from the hours recorded so far
+ * The working days still to come are filled in at last month's rate, so the estimate moves
+ * smoothly from last month's hours on day 1 to the actual total at the end of the month
+ * (month-to-date hours prorated by working days, blended with last month by days elapsed)
+ * @param {number} monthToDate - Hours recorded so far this month
+ * @param {number} previousMonth - Last month's hours
+ * @param {string} monthKey - Current month key
+ * @param {Date} recordedThrough - Last day the recorded hours cover
+ * @param {Array<string>} holidays - Public holidays ("YYYY-MM-DD"), not counted as working days
+ * @returns {Object} { hours, monthToDate, previousMonth, workingDays, elapsedWorkingDays, elapsedFraction, confidence }
+ *   confidence: 'high', 'medium' or 'low', from the share of working days elapsed
+ */
+export function projectCurrentMonth(monthToDate, previousMonth, monthKey, recordedThrough, holidays = []) {
+  const { start, end } = getMonthDateRange(monthKey);
+  const workingDays = getWorkingDaysInMonth(monthKey, holidays);
+  const elapsedWorkingDays = countWorkingDays(start, recordedThrough < end ? recordedThrough : end, holidays);
+  const elapsedFraction = workingDays > 0 ? elapsedWorkingDays / workingDays : 1;
+
+  const hours = monthToDate + (1 - elapsedFraction) * previousMonth;
+  const confidence = elapsedFraction >= PROJECTION_CONFIDENCE.high ? 'high'
+    : elapsedFraction >= PROJECTION_CONFIDENCE.medium ? 'medium'
+      : 'low';
+
+  return {
+    hours: Number(hours.toFixed(1)),
+    monthToDate,
+    previousMonth,
+    workingDays,
+    elapsedWorkingDays,
+    elapsedFraction: Number(elapsedFraction.toFixed(2)),
+    confidence
+  };
+}
+
+/**
+ * Break hours down by appointment category for the current month and the 6-month window
+ * @param {Array<Object>} hoursByType - { category: hours } per month, aligned to the timeline
+ * @param {number} currentMonthIndex - Index of the current month
+ * @param {number} effectiveMonthIndex - Month shown as "current" (previous month when falling back)
+ * @param {Array<boolean>} excludedMonths - Months left out of the 6-month average (e.g. leave months)
+ * @returns {Object|null} { currentMonth, sixMonthAverage } as { category: hours }, or null without data
+ */
+export function calculateTypeBreakdown(hoursByType, currentMonthIndex, effectiveMonthIndex, excludedMonths = null) {
+  if (!Array.isArray(hoursByType) || hoursByType.length === 0) {
+    return null;
+  }
+
+  const { startIndex, endIndex } = getLastNMonthsIndices(6, currentMonthIndex);
+  const safeEndIndex = Math.min(endIndex, hoursByType.length);
+  const safeStartIndex = Math.min(startIndex, safeEndIndex);
+  const window = sliceExcludingMonths(hoursByType, safeStartIndex, safeEndIndex, excludedMonths);
+  const current = hoursByType[effectiveMonthIndex] || {};
+
+  const currentMonth = {};
+  const sixMonthAverage = {};
+  Object.keys(hoursByType[0]).forEach(category => {
+    currentMonth[category] = Number((current[category] || 0).toFixed(1));
+    const total = window.reduce((sum, month) => sum + (month[category] || 0), 0);
+    sixMonthAverage[category] = window.length > 0 ? Number((total / window.length).toFixed(1)) : 0;
+  });
+
+  return { currentMonth, sixMonthAverage };
+}
+
 /**
  * Enrich clinician data with all assignment metrics
+ * @param {Array<Object>} cliniciansData - Clinicians from fetchClinicianData
+ * @param {Object} config - Scoring config (protection thresholds and penalties)
+ * @param {Object} options - { asOf, availabilityRange, pendingAssignments, dataAsOf, holidays }
+ *   asOf: date to compute the metrics as of (defaults to today); earlier dates replay past months
+ *   availabilityRange: { start, end } period to check leave against (defaults to two weeks from asOf)
+ *   pendingAssignments: assignment log records, counted until the data (generated on dataAsOf) catches up
+ *   holidays: public holidays ("YYYY-MM-DD") left out of working days (projection and working-day basis)
  */
-export function enrichWithAssignmentMetrics(cliniciansData) {
+export function enrichWithAssignmentMetrics(cliniciansData, config = DEFAULT_SCORING_CONFIG, options = {}) {
   if (!Array.isArray(cliniciansData) || cliniciansData.length === 0) {
     console.warn('[enrichWithAssignmentMetrics] Invalid or empty cliniciansData');
     return [];
   }
 
-  const currentMonthIndex = getCurrentMonthIndex();
+  const asOf = options.asOf || new Date();
+
+  // Position of the current month in the shared multi-year timeline
+  const currentMonthIndex = getCurrentTimelineIndex(cliniciansData[0].monthKeys, asOf);
 
   // Smart fallback logic: use previous month data if we're early in the month
-  const dayOfMonth = new Date().getDate();
+  const dayOfMonth = asOf.getDate();
   const isEarlyInMonth = dayOfMonth <= 7;
 
+  const availabilityRange = options.availabilityRange || getDefaultAvailabilityRange(asOf);
+  const { unavailableFraction, minLeaveMonthFraction } = config.availability;
+  const pendingAssignments = options.pendingAssignments || [];
+  const dataAsOf = options.dataAsOf || null;
+
+  // Projection: the data only has hours up to the day it was generated. The key comes from
+  // asOf, as the data may not have a column for the current month yet (projected from last
+  // month); a month that ended before the data was generated is complete and not projected.
+  const currentMonthKey = getCurrentMonthColumn(asOf);
+  const isMonthComplete = dataAsOf !== null && dataAsOf > getMonthDateRange(currentMonthKey).end;
+  const projectionMode = config.currentMonth.estimate === 'projection';
+  const useProjection = projectionMode && !isMonthComplete;
+  const recordedThrough = dataAsOf && dataAsOf < asOf ? dataAsOf : asOf;
+  const holidays = new Set(options.holidays || []);
+
+  // Working-day basis: metrics use hours per working day, so months with holidays don't look quieter
+  const workingDayFactors = config.normalization.hoursBasis === 'workingDay'
+    ? getWorkingDayFactors(cliniciansData[0].monthKeys || [], holidays)
+    : null;
+
   // First pass: calculate individual metrics
   const enrichedData = cliniciansData.map(clinician => {
     try {
-      const monthlyHours = clinician.monthlyHours2025;
+      const monthlyHours = workingDayFactors && Array.isArray(clinician.monthlyHours)
+        ? normalizeToWorkingDays(clinician.monthlyHours, workingDayFactors)
+        : clinician.monthlyHours;
 
       if (!Array.isArray(monthlyHours)) {
         console.error(`[enrichWithAssignmentMetrics] Invalid monthlyHours for ${clinician.name}`);
@@ -123,6 +274,10 @@ export function enrichWithAssignmentMetrics(cliniciansData) {
           sixMonthAverage: 0,
           growthRate: 0,
           burnout: { burnoutLevel: 'none', consecutiveMonths: 0, penalty: 0 },
+          availability: { isAvailable: true, leaveFraction: 0, leaveDays: 0, overlapping: [] },
+          pending: { count: 0, cases: 0, weightedCases: 0, hours: 0 },
+          hoursIntensity: 1,
+          currentMonthEstimate: null,
           usingPreviousMonthFallback: false
         };
       }
@@ -137,38 +292,75 @@ export function enrichWithAssignmentMetrics(cliniciansData) {
 
       // Smart fallback: use previous month if we're early in the month and current is low/empty
       const isCurrentMonthEmpty = currentMonthRaw < 5;
-      const useFallback = isEarlyInMonth && isCurrentMonthEmpty;
+      const useFallback = !projectionMode && isEarlyInMonth && isCurrentMonthEmpty;
 
-      const currentMonth = useFallback
+      const previousMonth = useFallback || useProjection
         ? safeArrayAccess(
             monthlyHours,
             currentMonthIndex - 1,
             0,
             `enrichWithAssignmentMetrics:${clinician.name}:previousMonth`
           )
-        : currentMonthRaw;
+        : 0;
+
+      // Projection: hours so far plus last month's rate for the working days still to come
+      const currentMonthEstimate = useProjection
+        ? projectCurrentMonth(currentMonthRaw, previousMonth, currentMonthKey, recordedThrough, holidays)
+        : null;
+
+      const currentMonth = currentMonthEstimate
+        ? currentMonthEstimate.hours
+        : useFallback ? previousMonth : currentMonthRaw;
 
       if (useFallback) {
         console.log(`[Smart Fallback] Using previous month data for ${clinician.name} (current: ${currentMonthRaw}h, previous: ${currentMonth}h)`);
       }
 
+      // Leave: availability for the selected period, and months mostly on leave
+      // (left out of baselines so leave doesn't look like low workload)
+      const leave = Array.isArray(clinician.leave) ? clinician.leave : [];
+      const availability = getAvailability(leave, availabilityRange, unavailableFraction, holidays);
+      const leaveMonths = getLeaveMonths(leave, clinician.monthKeys || [], minLeaveMonthFraction, holidays);
+
       // 6-month average (dynamically calculated)
-      const sixMonthAvg = calculate6MonthAverage(monthlyHours);
+      const sixMonthAvg = calculate6MonthAverage(monthlyHours, currentMonthIndex, leaveMonths);
 
       // Growth rate (current month vs individual historical baseline - dynamically calculated)
       // If using fallback, compare previous month to its own historical baseline
+      // With a projection, the projected hours are compared instead of the month so far
       const effectiveMonthIndex = useFallback ? currentMonthIndex - 1 : currentMonthIndex;
-      const growthRate = calculateGrowthRate(monthlyHours, currentMonthIndex, effectiveMonthIndex);
+      const growthHours = [...monthlyHours];
+      if (currentMonthEstimate) growthHours[currentMonthIndex] = currentMonthEstimate.hours;
+      const growthRate = calculateGrowthRate(growthHours, currentMonthIndex, effectiveMonthIndex, leaveMonths);
 
       // Burnout detection (consecutive high-load months)
-      const burnoutInfo = detectBurnout(monthlyHours, currentMonthIndex);
+      const burnoutInfo = detectBurnout(monthlyHours, currentMonthIndex, config);
 
+      // Hours mix by appointment category (when clinician_hours_by_type.csv is available)
+      const typeBreakdown = calculateTypeBreakdown(clinician.hoursByType, currentMonthIndex, effectiveMonthIndex, leaveMonths);
+
+      // Logged assignments not yet in the data count as provisional cases and projected hours
+      const pending = calculatePendingLoad(clinician, pendingAssignments, dataAsOf, config);
+
+      // Weighted caseload: the summary only has a flat count, so each recorded case counts at the
+      // weight implied by the hours mix (1 without hours by type) until per-client categories
+      // are applied for the selected window
+      const hoursIntensity = typeBreakdown ? getHoursIntensity(typeBreakdown.sixMonthAverage, config.caseIntensity) : 1;
       return {
         ...clinician,
-        currentMonth: Number(currentMonth.toFixed(1)),
+        activeCases: clinician.activeCases + pending.cases,
+        weightedCases: Number((clinician.activeCases * hoursIntensity + pending.weightedCases).toFixed(1)),
+        hoursIntensity,
+        pending,
+        currentMonth: Number((currentMonth + pending.hours).toFixed(1)),
         sixMonthAverage: Number(sixMonthAvg.toFixed(1)),
         growthRate: Number(growthRate.toFixed(1)),
         burnout: burnoutInfo,
+        typeBreakdown,
+        availability,
+        leaveMonthCount: leaveMonths.filter(Boolean).length,
+        currentMonthEstimate,
+        workingDayHours: workingDayFactors ? monthlyHours : null,
         usingPreviousMonthFallback: useFallback
       };
     } catch (error) {
@@ -179,28 +371,46 @@ export function enrichWithAssignmentMetrics(cliniciansData) {
         sixMonthAverage: 0,
         growthRate: 0,
         burnout: { burnoutLevel: 'none', consecutiveMonths: 0, penalty: 0 },
+        availability: { isAvailable: true, leaveFraction: 0, leaveDays: 0, overlapping: [] },
+        pending: { count: 0, cases: 0, weightedCases: 0, hours: 0 },
+        hoursIntensity: 1,
+        currentMonthEstimate: null,
         usingPreviousMonthFallback: false
       };
     }
   });
 
   // Second pass: detect load balancing needs (requires all clinicians for ranking)
+  // On the working-day basis everyone is compared on their normalized hours
+  const loadBalancingData = workingDayFactors
+    ? enrichedData.map(c => ({ ...c, monthlyHours: c.workingDayHours || c.monthlyHours }))
+    : enrichedData;
+
   return enrichedData.map(clinician => {
+    // Capacity and utilisation (FTE-aware) for the card and capacity scoring mode
+    const capacity = getClinicianCapacity(clinician, config);
+    const utilisation = calculateUtilisation(clinician, capacity);
+
     try {
       const loadBalancingInfo = detectLoadBalancing(
-        clinician.monthlyHours2025,
-        enrichedData,
-        currentMonthIndex
+        clinician.workingDayHours || clinician.monthlyHours,
+        loadBalancingData,
+        currentMonthIndex,
+        config
       );
 
       return {
         ...clinician,
+        capacity,
+        utilisation,
         loadBalancing: loadBalancingInfo
       };
     } catch (error) {
       console.error(`[enrichWithAssignmentMetrics] Error in load balancing for ${clinician.name}:`, error);
       return {
         ...clinician,
+        capacity,
+        utilisation,
         loadBalancing: { isOutlier: false, consecutiveMonths: 0, penalty: 0 }
       };
     }
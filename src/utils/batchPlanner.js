@@ -0,0 +1,164 @@
+/**
+ * Batch allocation planner
+ * For intake days: takes a list of new cases and proposes who should take each one. Cases are
+ * allocated one at a time to the best-ranked eligible clinician, re-ranking after every
+ * allocation so the projected load is spread across the team instead of piling onto whoever
+ * was top of the list at the start.
+ */
+
+import { tokenizeCSV } from './csvTokenizer.js';
+import { validateBatchCaseRow } from './dataValidation.js';
+import { scoreClinicians, rankClinicians } from './ranking.js';
+import { applyWhatIfChanges } from './whatIf.js';
+import { CASE_TYPE_LABELS, getRequiredSpecialty, getCaseTypeCategory, applyCaseTypeMatch } from './caseTypes.js';
+import { createScoreSnapshot } from './assignmentLog.js';
+import { DEFAULT_SCORING_CONFIG } from './scoringConfig.js';
+
+/**
+ * Parse the intake list: one case per line, "client ref, case type, estimated hours"
+ * Case type and hours are optional; lines starting with # are ignored
+ * @param {string} text - Intake list text
+ * @returns {Object} { cases, errors, warnings } - cases: [{ clientRef, caseType, hours (null = default) }]
+ */
+export function parseBatchCases(text) {
+  const { records, errors: tokenizerErrors } = tokenizeCSV(text, { commentPrefix: '#' });
+  const errors = [...tokenizerErrors];
+  const warnings = [];
+  const cases = [];
+
+  records
+    .filter(({ fields }) => fields.some(field => field.trim() !== ''))
+    .forEach(({ fields, line }) => {
+      const validation = validateBatchCaseRow(fields, line, CASE_TYPE_LABELS, CASE_TYPE_LABELS[0]);
+      warnings.push(...validation.warnings);
+
+      if (!validation.isValid) {
+        errors.push(...validation.errors);
+        return;
+      }
+
+      if (cases.some(c => c.clientRef === validation.data.clientRef)) {
+        warnings.push({
+          field: 'clientRef',
+          message: `Line ${line}: Client ${validation.data.clientRef} is listed more than once`,
+          value: validation.data.clientRef
+        });
+      }
+      cases.push(validation.data);
+    });
+
+  return { cases, errors, warnings };
+}
+
+/**
+ * Check whether a clinician can take a case under the batch constraints
+ * @param {Object} clinician - Ranked clinician (from applyCaseTypeMatch)
+ * @param {Object} constraints - { levels, respectCaps, maxPerClinician }
+ * @param {number} batchCount - Cases already given to this clinician in the batch
+ * @param {boolean} requireQualified - Only qualified clinicians may take the case
+ * @returns {Array<string>} Reasons the clinician is not eligible (empty if eligible)
+ */
+function getIneligibleReasons(clinician, constraints, batchCount, requireQualified) {
+  const { levels, respectCaps, maxPerClinician } = constraints;
+  const reasons = [];
+
+  if (!clinician.availability.isAvailable) reasons.push('on leave');
+  if (levels && !levels.includes(clinician.level)) reasons.push('level not included');
+  if (requireQualified && !clinician.qualifiedForCase) reasons.push('not tagged for this case type');
+  if (respectCaps && clinician.capacity && clinician.activeCases >= clinician.capacity.caseCap) {
+    reasons.push(`at case cap (${clinician.capacity.caseCap})`);
+  }
+  if (maxPerClinician && batchCount >= maxPerClinician) reasons.push(`already has ${batchCount} in this batch`);
+
+  return reasons;
+}
+
+/**
+ * Propose (or re-evaluate) an allocation for a batch of cases
+ * Cases needing a specialty go first, then the longest estimated hours, so the cases with the
+ * fewest options are placed before the team fills up. Each case goes to the best-ranked eligible
+ * clinician given everything allocated before it; cases with a clinician already set (manual
+ * tweaks) keep it and are only checked.
+ * @param {Array<Object>} cliniciansData - Clinicians from fetchClinicianData
+ * @param {Array<Object>} batchCases - [{ clientRef, caseType, hours, clinician (optional name) }]
+ * @param {Object} config - Scoring config
+ * @param {Object} options - Ranking options (see scoreClinicians)
+ * @param {Object} constraints - { levels (null = all), respectCaps, maxPerClinician (null = no limit) }
+ * @returns {Object} { allocations, changes } - allocations in input order:
+ *   { ...batchCase, clinician, fullName, rank, snapshot, projectedScore, warnings };
+ *   changes can be passed to simulateWhatIf for the projected team ranking
+ */
+export function planAllocation(cliniciansData, batchCases, config = DEFAULT_SCORING_CONFIG, options = {}, constraints = {}) {
+  const limits = { levels: null, respectCaps: true, maxPerClinician: null, ...constraints };
+  const { hoursPerCase } = config.pendingAssignments;
+
+  const order = batchCases
+    .map((batchCase, index) => ({ batchCase, index }))
+    .sort((a, b) => (
+      (getRequiredSpecialty(b.batchCase.caseType) ? 1 : 0) - (getRequiredSpecialty(a.batchCase.caseType) ? 1 : 0) ||
+      (b.batchCase.hours ?? hoursPerCase) - (a.batchCase.hours ?? hoursPerCase) ||
+      a.index - b.index
+    ));
+
+  const changes = [];
+  const batchCounts = {};
+  const allocations = new Array(batchCases.length);
+
+  order.forEach(({ batchCase, index }) => {
+    const hours = batchCase.hours ?? hoursPerCase;
+    const projectedData = applyWhatIfChanges(cliniciansData, changes, options.caseloadAsOf || null, options.asOf || new Date());
+    const ranked = rankClinicians(applyCaseTypeMatch(
+      scoreClinicians(projectedData, config, options),
+      batchCase.caseType,
+      config
+    ));
+
+    // Filter mode only restricts to qualified clinicians when somebody is qualified
+    const requireQualified = Boolean(getRequiredSpecialty(batchCase.caseType)) &&
+      config.caseMatching.mode === 'filter' &&
+      ranked.some(c => c.qualifiedForCase);
+
+    const reasonsFor = clinician => getIneligibleReasons(clinician, limits, batchCounts[clinician.name] || 0, requireQualified);
+    const chosen = batchCase.clinician
+      ? ranked.find(c => c.name === batchCase.clinician)
+      : ranked.find(c => reasonsFor(c).length === 0);
+
+    if (!chosen) {
+      allocations[index] = {
+        ...batchCase,
+        clinician: null,
+        warnings: [{
+          field: 'clinician',
+          message: batchCase.clinician ? `${batchCase.clinician} is not in the current data` : 'No eligible clinician left',
+          value: batchCase.clinician || null
+        }]
+      };
+      return;
+    }
+
+    const rank = ranked.indexOf(chosen) + 1;
+    const warnings = reasonsFor(chosen).map(reason => ({
+      field: 'clinician',
+      message: `${chosen.name}: ${reason}`,
+      value: chosen.name
+    }));
+    if (getRequiredSpecialty(batchCase.caseType) && !chosen.qualifiedForCase && !requireQualified && batchCase.clinician) {
+      warnings.push({ field: 'clinician', message: `${chosen.name}: not tagged for ${batchCase.caseType}`, value: chosen.name });
+    }
+
+    batchCounts[chosen.name] = (batchCounts[chosen.name] || 0) + 1;
+    changes.push({ name: chosen.name, cases: 1, hours, category: getCaseTypeCategory(batchCase.caseType) });
+
+    allocations[index] = {
+      ...batchCase,
+      clinician: chosen.name,
+      fullName: chosen.fullName || chosen.name,
+      rank,
+      snapshot: createScoreSnapshot(chosen, rank),
+      projectedScore: chosen.assignmentScore,
+      warnings
+    };
+  });
+
+  return { allocations, changes };
+}
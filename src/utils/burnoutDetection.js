@@ -4,14 +4,21 @@
  */
 
 import { safeArrayAccess, safeAverage } from './dataValidation.js';
+import { DEFAULT_SCORING_CONFIG } from './scoringConfig.js';
+
+// Months of history used for the individual baseline
+const BASELINE_MONTHS = 12;
 
 /**
  * Detect consecutive high-load months and calculate burnout risk
- * @param {Array<number>} monthlyHours - Array of monthly hours for current year
- * @param {number} currentMonthIndex - Current month index (0-based)
+ * @param {Array<number>} monthlyHours - Array of monthly hours (multi-year timeline)
+ * @param {number} currentMonthIndex - Index of the current month in monthlyHours
+ * @param {Object} config - Scoring config (uses config.burnout)
  * @returns {Object} Burnout analysis with penalty and level
  */
-export function detectBurnout(monthlyHours, currentMonthIndex) {
+export function detectBurnout(monthlyHours, currentMonthIndex, config = DEFAULT_SCORING_CONFIG) {
+  const { multiplier, maxThresholdHours, minConsecutiveMonths, penalty: cautionPenalty } = config.burnout;
+
   // Validate inputs
   if (!Array.isArray(monthlyHours)) {
     console.warn('[detectBurnout] Invalid monthlyHours: not an array');
@@ -28,10 +35,11 @@ export function detectBurnout(monthlyHours, currentMonthIndex) {
     return { consecutiveHighMonths: 0, burnoutLevel: 'none', penalty: 0, threshold: 0 };
   }
 
-  // Calculate individual baseline (average of all their months)
+  // Calculate individual baseline (average of their last 12 months, crossing year boundaries)
   // Ensure we don't exceed array bounds
   const safeEndIndex = Math.min(currentMonthIndex + 1, monthlyHours.length);
-  const monthsToCheck = monthlyHours.slice(0, safeEndIndex);
+  const baselineStartIndex = Math.max(0, safeEndIndex - BASELINE_MONTHS);
+  const monthsToCheck = monthlyHours.slice(baselineStartIndex, safeEndIndex);
   const validMonths = monthsToCheck.filter(h => typeof h === 'number' && !isNaN(h) && h > 0);
 
   if (validMonths.length === 0) {
@@ -44,9 +52,9 @@ export function detectBurnout(monthlyHours, currentMonthIndex) {
     return { consecutiveHighMonths: 0, burnoutLevel: 'none', penalty: 0, threshold: 0 };
   }
 
-  // High-load threshold: individual average + 25%, capped at 45 hours
+  // High-load threshold: individual average × multiplier (default +25%), capped (default 45 hours)
   // This accounts for both high performers and protects against absolute burnout
-  const highLoadThreshold = Math.min(average * 1.25, 45);
+  const highLoadThreshold = Math.min(average * multiplier, maxThresholdHours);
 
   // Count consecutive high-load months working backwards from current
   let consecutiveCount = 0;
@@ -63,9 +71,9 @@ export function detectBurnout(monthlyHours, currentMonthIndex) {
   let burnoutLevel = 'none';
   let penalty = 0;
 
-  if (consecutiveCount >= 2) {
+  if (consecutiveCount >= minConsecutiveMonths) {
     burnoutLevel = 'caution';  // 🟡 Load Caution
-    penalty = 3;
+    penalty = cautionPenalty;
   }
 
   return {
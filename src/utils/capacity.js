@@ -0,0 +1,49 @@
+/**
+ * Capacity and utilisation for part-time clinicians
+ * Each clinician's capacity is derived from their FTE (or contracted hours) and a per-level case cap,
+ * so a 0.5 FTE clinician is compared against half a full-time load.
+ */
+
+import { DEFAULT_SCORING_CONFIG } from './scoringConfig.js';
+
+/**
+ * Get a clinician's monthly hours and active case capacity
+ * @param {Object} clinician - Clinician with level, fte and optional contractedHoursPerMonth
+ * @param {Object} config - Scoring config (uses config.capacity)
+ * @returns {Object} { hoursPerMonth, caseCap }
+ */
+export function getClinicianCapacity(clinician, config = DEFAULT_SCORING_CONFIG) {
+  const { fullTimeHoursPerMonth } = config.capacity;
+  const fte = typeof clinician.fte === 'number' && clinician.fte > 0 ? clinician.fte : 1;
+
+  const hoursPerMonth = typeof clinician.contractedHoursPerMonth === 'number' && clinician.contractedHoursPerMonth > 0
+    ? clinician.contractedHoursPerMonth
+    : fullTimeHoursPerMonth * fte;
+
+  const fullTimeCaseCap = config.capacity[`${clinician.level}CaseCap`] || config.capacity.juniorCaseCap;
+
+  return {
+    hoursPerMonth: Number(hoursPerMonth.toFixed(1)),
+    caseCap: Math.max(1, Math.round(fullTimeCaseCap * fte))
+  };
+}
+
+/**
+ * Calculate utilisation of a clinician's own capacity
+ * @param {Object} clinician - Enriched clinician (currentMonth, sixMonthAverage, activeCases)
+ * @param {Object} capacity - From getClinicianCapacity
+ * @returns {Object} Utilisation ratios (1 = at capacity) and overall percentage
+ */
+export function calculateUtilisation(clinician, capacity) {
+  const hours = clinician.currentMonth / capacity.hoursPerMonth;
+  const sixMonthHours = clinician.sixMonthAverage / capacity.hoursPerMonth;
+  const cases = clinician.activeCases / capacity.caseCap;
+
+  return {
+    hours,
+    sixMonthHours,
+    cases,
+    // Headline figure: the busier of current hours and caseload
+    percent: Math.round(Math.max(hours, cases) * 100)
+  };
+}
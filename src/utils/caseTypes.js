@@ -0,0 +1,110 @@
+/**
+ * Case types and specialty matching
+ * Some case types (the specialised appointment types backend.py counts) need clinicians with
+ * a matching specialty tag in clinician_roster.json. The workload score still decides the order;
+ * qualified clinicians are either the only ones listed ('filter') or moved up ('boost').
+ */
+
+import { DEFAULT_SCORING_CONFIG } from './scoringConfig.js';
+
+// Specialty tags allowed in the roster's "specialties" list
+export const SPECIALTIES = {
+  couples: 'Couples Counselling',
+  crisis: 'Crisis',
+  groupwork: 'Groupwork',
+  accompaniment: 'Accompaniment',
+  mhrtw: 'MHRTW'
+};
+
+// Case types offered when choosing or logging an assignment (specialty null = anyone can take it;
+// category is the appointment category used for case intensity, null = unweighted)
+export const CASE_TYPES = [
+  { label: 'Individual Counselling', specialty: null, category: 'counselling' },
+  { label: 'Couples Counselling', specialty: 'couples', category: 'counselling' },
+  { label: 'Crisis', specialty: 'crisis', category: 'crisis' },
+  { label: 'Groupwork', specialty: 'groupwork', category: 'groupwork' },
+  { label: 'Accompaniment', specialty: 'accompaniment', category: 'accompaniment' },
+  { label: 'MHRTW', specialty: 'mhrtw', category: 'accompaniment' },
+  { label: 'Other', specialty: null, category: null }
+];
+
+export const CASE_TYPE_LABELS = CASE_TYPES.map(type => type.label);
+
+/**
+ * Get the specialty a case type needs
+ * @param {string} caseType - Case type label
+ * @returns {string|null} Specialty tag, or null if any clinician can take it
+ */
+export function getRequiredSpecialty(caseType) {
+  const type = CASE_TYPES.find(t => t.label === caseType);
+  return type ? type.specialty : null;
+}
+
+/**
+ * Get the appointment category a case type is weighted as
+ * @param {string} caseType - Case type label
+ * @returns {string|null} Category key, or null if the case type is unweighted
+ */
+export function getCaseTypeCategory(caseType) {
+  const type = CASE_TYPES.find(t => t.label === caseType);
+  return type ? type.category : null;
+}
+
+/**
+ * Check whether a clinician can take a case type
+ * @param {Object} clinician - Clinician with a specialties list
+ * @param {string} caseType - Case type label
+ * @returns {boolean} True if no specialty is needed or the clinician has it
+ */
+export function isQualifiedFor(clinician, caseType) {
+  const specialty = getRequiredSpecialty(caseType);
+  return !specialty || (Array.isArray(clinician.specialties) && clinician.specialties.includes(specialty));
+}
+
+/**
+ * Combine the workload score with case-type qualification
+ * Adds qualifiedForCase and rankingScore (the workload score, less the boost for qualified
+ * clinicians in 'boost' mode). assignmentScore and the recommendation level are unchanged.
+ * @param {Array<Object>} clinicians - Scored clinicians
+ * @param {string} caseType - Selected case type label ('' for any)
+ * @param {Object} config - Scoring config (caseMatching section)
+ * @returns {Array<Object>} Clinicians with match fields
+ */
+export function applyCaseTypeMatch(clinicians, caseType, config = DEFAULT_SCORING_CONFIG) {
+  const { mode, boostPoints } = config.caseMatching;
+  const needsSpecialty = Boolean(getRequiredSpecialty(caseType));
+
+  return clinicians.map(clinician => {
+    const qualifiedForCase = isQualifiedFor(clinician, caseType);
+    const boost = needsSpecialty && qualifiedForCase && mode === 'boost' ? boostPoints : 0;
+    return {
+      ...clinician,
+      qualifiedForCase,
+      rankingScore: Math.max(0, clinician.assignmentScore - boost)
+    };
+  });
+}
+
+/**
+ * Keep only clinicians qualified for the case type when in 'filter' mode
+ * Falls back to everyone if nobody is tagged for it, so the list is never silently empty
+ * @param {Array<Object>} clinicians - Clinicians from applyCaseTypeMatch
+ * @param {string} caseType - Selected case type label
+ * @param {Object} config - Scoring config (caseMatching section)
+ * @returns {Object} { clinicians, noQualified } - noQualified is true when the fallback was used
+ */
+export function filterByCaseType(clinicians, caseType, config = DEFAULT_SCORING_CONFIG) {
+  if (!getRequiredSpecialty(caseType)) {
+    return { clinicians, noQualified: false };
+  }
+
+  const qualified = clinicians.filter(c => c.qualifiedForCase);
+  if (qualified.length === 0) {
+    return { clinicians, noQualified: true };
+  }
+
+  return {
+    clinicians: config.caseMatching.mode === 'filter' ? qualified : clinicians,
+    noQualified: false
+  };
+}
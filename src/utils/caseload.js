@@ -0,0 +1,156 @@
+/**
+ * Case-level active caseload
+ * Loads client_last_seen.csv (first and last session date per clinician and client) so
+ * active cases can be counted exactly for any window, split into new and continuing clients,
+ * and weighted by how intensive each client's appointment types are.
+ */
+
+import { parseCSVText, isCSVResponse, getMissingColumns } from './csvTokenizer.js';
+import { validateCaseloadRow } from './dataValidation.js';
+import { addDays, parseISODate } from './dateUtils.js';
+import { CATEGORY_KEYS } from './appointmentTypes.js';
+import { DEFAULT_SCORING_CONFIG } from './scoringConfig.js';
+
+// Window months are converted to days the same way as backend.py (2 months = 60 days)
+export const DAYS_PER_WINDOW_MONTH = 30;
+
+const REQUIRED_COLUMNS = ['Clinician', 'Client', 'First Seen', 'Last Seen'];
+
+/**
+ * Parse client_last_seen.csv text
+ * An "# As of: YYYY-MM-DD" comment gives the date the file was generated
+ * Text without the expected columns (e.g. an HTML page) or without a single valid row is
+ * treated as no file, so the app falls back to the summary's counts
+ * @param {string} csvText - Raw CSV text
+ * @returns {Object} { casesByClinician, asOf, errors, warnings } - cases keyed by clinician full name
+ *   (null if unusable)
+ */
+export function parseCaseloadCSV(csvText) {
+  const { headers, rows, comments, errors, warnings } = parseCSVText(csvText, { commentPrefix: '#' });
+  const missingColumns = getMissingColumns(headers, REQUIRED_COLUMNS);
+  if (missingColumns.length > 0) {
+    console.warn(`[caseload] client_last_seen.csv is missing ${missingColumns.join(', ')}, ignoring it`);
+    return { casesByClinician: null, asOf: null, errors: [], warnings: [] };
+  }
+
+  const allErrors = [...errors];
+  const allWarnings = [...warnings];
+  const casesByClinician = {};
+
+  let asOf = null;
+  comments.forEach(({ comment }) => {
+    const asOfMatch = comment.match(/^\s*As of: (\S+)/);
+    if (asOfMatch && !asOf) {
+      asOf = parseISODate(asOfMatch[1]);
+    }
+  });
+
+  rows.forEach(({ values, line, issues }) => {
+    const validation = validateCaseloadRow(values, line, issues, CATEGORY_KEYS);
+    allWarnings.push(...validation.warnings);
+
+    if (!validation.isValid) {
+      allErrors.push(...validation.errors);
+      return;
+    }
+
+    const { clinician, clientId, firstSeen, lastSeen, categories } = validation.data;
+    casesByClinician[clinician] = casesByClinician[clinician] || [];
+    casesByClinician[clinician].push({ clientId, firstSeen, lastSeen, categories });
+  });
+
+  if (Object.keys(casesByClinician).length === 0) {
+    console.warn('[caseload] client_last_seen.csv has no valid rows, ignoring it');
+    return { casesByClinician: null, asOf: null, errors: allErrors, warnings: allWarnings };
+  }
+
+  return { casesByClinician, asOf, errors: allErrors, warnings: allWarnings };
+}
+
+/**
+ * Fetch client_last_seen.csv
+ * The file is optional: without it the app falls back to the summary's 2-month active case count
+ * @returns {Promise<Object>} { casesByClinician (null if unavailable), asOf, errors, warnings }
+ */
+export async function fetchCaseload() {
+  try {
+    const response = await fetch('/client_last_seen.csv');
+    if (isCSVResponse(response)) {
+      const result = parseCaseloadCSV(await response.text());
+      console.log(`Caseload loaded: ${Object.keys(result.casesByClinician || {}).length} clinicians, ${result.errors.length} errors, ${result.warnings.length} warnings`);
+      return result;
+    }
+  } catch (error) {
+    console.warn('[caseload] Could not load client_last_seen.csv:', error);
+  }
+
+  return { casesByClinician: null, asOf: null, errors: [], warnings: [] };
+}
+
+/**
+ * Get how much one case counts towards the weighted caseload
+ * A client counts at the weight of their most intensive category (a counselling client who
+ * also needed crisis sessions is a crisis case); clients without categories count 1.
+ * @param {Object} caseEntry - Case ({ categories })
+ * @param {Object} intensity - caseIntensity config section ({ category: weight })
+ * @returns {number} Case weight
+ */
+export function getCaseIntensity(caseEntry, intensity) {
+  const categories = caseEntry.categories || [];
+  if (categories.length === 0) return 1;
+  return Math.max(...categories.map(category => intensity[category] ?? 1));
+}
+
+/**
+ * Get the average case weight implied by a clinician's hours mix
+ * Used when there are no per-client categories: each category's hours count at its weight, so a
+ * clinician doing mostly crisis work gets a higher weight per case. Without hours it is 1.
+ * @param {Object} categoryHours - { category: hours } (e.g. the 6-month average by category)
+ * @param {Object} intensity - caseIntensity config section ({ category: weight })
+ * @returns {number} Average case weight
+ */
+export function getHoursIntensity(categoryHours, intensity) {
+  const entries = Object.entries(categoryHours || {}).filter(([, hours]) => hours > 0);
+  const totalHours = entries.reduce((sum, [, hours]) => sum + hours, 0);
+  if (totalHours === 0) return 1;
+  return entries.reduce((sum, [category, hours]) => sum + hours * (intensity[category] ?? 1), 0) / totalHours;
+}
+
+/**
+ * Date the caseload is counted as of: the as-of date, but no later than client_last_seen.csv
+ * @param {Date|null} caseloadAsOf - Date client_last_seen.csv was generated
+ * @param {Date} asOf - Date the dashboard is computed as of
+ * @returns {Date|null} Caseload date (null without per-client data)
+ */
+export function getCaseloadDate(caseloadAsOf, asOf = new Date()) {
+  if (!caseloadAsOf) return null;
+  return asOf < caseloadAsOf ? asOf : caseloadAsOf;
+}
+
+/**
+ * Count active cases within a window, split into new and continuing clients
+ * A case is active if the client was first seen by the window end and last seen on or after the
+ * window start; it is new if the clinician first saw the client within the window. Only the first
+ * and last visits are known, so for a window ending before the file was generated a client seen
+ * before and after the window (but not in it) still counts.
+ * @param {Array<Object>} cases - Clinician's cases ({ clientId, firstSeen, lastSeen, categories })
+ * @param {number} windowMonths - Window length in months (e.g. 1.5)
+ * @param {Date} asOf - Date the window ends on
+ * @param {Object} config - Scoring config (caseIntensity section)
+ * @returns {Object} { active, newCases, continuing, weighted }
+ */
+export function calculateCaseload(cases, windowMonths, asOf, config = DEFAULT_SCORING_CONFIG) {
+  const end = new Date(asOf.getFullYear(), asOf.getMonth(), asOf.getDate());
+  const windowStart = addDays(end, -Math.round(windowMonths * DAYS_PER_WINDOW_MONTH));
+
+  const active = cases.filter(c => c.firstSeen <= end && c.lastSeen >= windowStart);
+  const newCases = active.filter(c => c.firstSeen >= windowStart).length;
+  const weighted = active.reduce((sum, c) => sum + getCaseIntensity(c, config.caseIntensity), 0);
+
+  return {
+    active: active.length,
+    newCases,
+    continuing: active.length - newCases,
+    weighted: Number(weighted.toFixed(1))
+  };
+}
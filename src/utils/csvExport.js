@@ -0,0 +1,42 @@
+/**
+ * CSV export
+ * Builds CSV text (RFC 4180 quoting) and hands it to the browser as a download.
+ */
+
+/**
+ * Quote a value for CSV if it contains a comma, quote or line break
+ * @param {*} value - Cell value (null/undefined become empty)
+ * @returns {string} CSV cell
+ */
+export function formatCSVValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from rows
+ * @param {Array<Array<*>>} rows - Rows of cell values (the header row included); an empty row gives a blank line
+ * @returns {string} CSV text with CRLF line endings
+ */
+export function toCSV(rows) {
+  return rows.map(row => row.map(formatCSVValue).join(',')).join('\r\n');
+}
+
+/**
+ * Download CSV text as a file
+ * @param {string} csvText - CSV content
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadCSV(csvText, fileName) {
+  // BOM so Excel opens the file as UTF-8
+  const blob = new Blob(['\uFEFF', csvText], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -1,11 +1,12 @@
 // Utility to fetch and parse clinician_summary.csv dynamically
 
 import {
-  getCurrentYear,
-  getCurrentMonthIndex,
-  getMonthLabelsUpToCurrent,
   getCurrentMonthColumn,
-  getPreviousMonthColumn
+  isMonthKey,
+  compareMonthKeys,
+  buildMonthTimeline,
+  shiftMonthKey,
+  parseDataTimestamp
 } from './dateUtils.js';
 
 import {
@@ -15,60 +16,40 @@ import {
   validateAndNormalizeClinicianData
 } from './dataValidation.js';
 
-// Clinician level mapping (hardcoded since this info isn't in CSV)
-const clinicianLevels = {
-  'Andrew Lim': 'junior',
-  'Claudia Stefanie': 'senior',
-  'Dominic Yeo': 'senior',
-  'Haikel': 'lead',
-  'John Leow': 'senior',
-  'Kirsty Png': 'senior',
-  'Leong Yee Teng Janice': 'junior',
-  'Ng Xiao Hui': 'junior',
-  'Oliver Tan': 'junior',
-  'Seanna Neo': 'junior',
-  'Soon Jiaying': 'senior',
-  'Tan Siew Kei Joanna Ashley': 'lead'
-};
-
-// Display name mapping for shorter names
-const displayNames = {
-  'Leong Yee Teng Janice': 'Janice Leong',
-  'Ng Xiao Hui': 'Xiao Hui',
-  'Soon Jiaying': 'Jiaying',
-  'Tan Siew Kei Joanna Ashley': 'Joanna Tan'
-};
+import { parseCSVText } from './csvTokenizer.js';
+import { fetchRoster, levelLabels } from './roster.js';
+import { fetchLeaveCalendar, getLeaveForClinician } from './leaveCalendar.js';
+import { fetchCaseload } from './caseload.js';
+import { fetchHoursByType, alignHoursByType } from './appointmentTypes.js';
+import { fetchHolidays } from './holidays.js';
+import { SUMMARY_SOURCE, toDataIssue, collectDataIssues } from './dataQuality.js';
 
 /**
  * Parse CSV text into an array of objects with validation
  * @param {string} csvText - Raw CSV text
- * @returns {Object} Parsed data with validation results and optional timestamp
+ * @param {Object} options - Tokenizer options, e.g. { delimiter: ';' }
+ * @returns {Object} { data, rowLines, warnings, errors, issues, timestamp } - rowLines holds the CSV line
+ *   of each data row; issues are the errors and warnings as data quality issues
  */
-function parseCSV(csvText) {
-  const lines = csvText.trim().split('\n');
+function parseCSV(csvText, options = {}) {
+  const { headers, rows, comments, errors, warnings } = parseCSVText(csvText, { ...options, commentPrefix: '#' });
 
   // Handle empty CSV
-  if (lines.length === 0 || (lines.length === 1 && lines[0].trim() === '')) {
+  if (headers.length === 0) {
     throw new Error('CSV file is empty');
   }
 
-  // Check for timestamp comment on first line
+  // Check for timestamp comment
   let timestamp = null;
-  let startIndex = 0;
-
-  if (lines[0].startsWith('#')) {
-    const timestampMatch = lines[0].match(/# Data last updated: (.+)/);
-    if (timestampMatch) {
+  comments.forEach(({ comment }) => {
+    const timestampMatch = comment.match(/^\s*Data last updated: (.+)/);
+    if (timestampMatch && !timestamp) {
       timestamp = timestampMatch[1].trim();
       console.log('CSV timestamp found:', timestamp);
     }
-    startIndex = 1; // Skip the comment line
-  }
-
-  const headers = lines[startIndex].split(',').map(h => h.trim());
+  });
 
   console.log('CSV Headers:', headers);
-  console.log('Active Cases column name:', headers[headers.length - 1]);
 
   // Validate CSV structure
   const structureValidation = validateCSVStructure(headers);
@@ -78,79 +59,272 @@ function parseCSV(csvText) {
   }
 
   const data = [];
-  const allWarnings = [];
-  const allErrors = [];
-
-  for (let i = startIndex + 1; i < lines.length; i++) {
-    // Skip empty lines
-    if (!lines[i] || lines[i].trim() === '') {
-      console.warn(`Skipping empty line at row ${i + 1}`);
-      continue;
-    }
-
-    const values = lines[i].split(',').map(v => v.trim());
-    const row = {};
+  const rowLines = [];
+  const allWarnings = [...warnings, ...structureValidation.warnings];
+  const allErrors = [...errors];
+  const issues = collectDataIssues({ errors, warnings: allWarnings }, { source: SUMMARY_SOURCE });
 
-    headers.forEach((header, index) => {
-      row[header] = values[index] || ''; // Default to empty string if undefined
-    });
+  allErrors.forEach(e => console.error(e.message));
+  allWarnings.forEach(w => console.warn(w.message));
 
-    // Validate row
-    const rowValidation = validateCSVRow(row, i + 1);
+  rows.forEach(({ values: row, line, issues: rowIssues }) => {
+    // Validate row (tokenizer issues such as bad quoting or field count mismatches included)
+    const rowValidation = validateCSVRow(row, line, rowIssues);
+    const rowContext = { source: SUMMARY_SOURCE, row: line, clinician: row.Clinician };
 
     if (!rowValidation.isValid) {
       allErrors.push(...rowValidation.errors);
-      console.error(`Row ${i + 1} validation failed:`, rowValidation.errors);
+      issues.push(...collectDataIssues({ errors: rowValidation.errors }, rowContext));
+      console.error(`Row ${line} validation failed:`, rowValidation.errors);
       // Skip invalid rows but continue processing
-      continue;
+      return;
     }
 
     if (rowValidation.warnings.length > 0) {
       allWarnings.push(...rowValidation.warnings);
+      issues.push(...collectDataIssues({ warnings: rowValidation.warnings }, rowContext));
       rowValidation.warnings.forEach(w => console.warn(w.message));
     }
 
-    // Debug first row
-    if (i === 1) {
-      console.log('First row values count:', values.length);
-      console.log('Headers count:', headers.length);
-      console.log('Last value (active cases):', values[values.length - 1]);
-    }
-
     data.push(row);
-  }
+    rowLines.push(line);
+  });
 
   // Log summary
   console.log(`CSV parsing complete: ${data.length} valid rows, ${allErrors.length} errors, ${allWarnings.length} warnings`);
 
   return {
     data,
+    rowLines,
     warnings: allWarnings,
     errors: allErrors,
+    issues,
     timestamp
   };
 }
 
 /**
- * Find the most recent month column that exists in the CSV headers
+ * Map a clinician validation field to the CSV column it came from
+ * @param {string|null} field - Validation field (e.g. "monthlyHours[3]", "activeCases")
+ * @param {Array<string>} monthKeys - Timeline the monthly hours are aligned to
+ * @returns {string|null} CSV column (e.g. "2025_3"), or the field itself if it has no column
+ */
+function getIssueColumn(field, monthKeys) {
+  const monthMatch = /^monthlyHours\[(\d+)\]$/.exec(field || '');
+  if (monthMatch) return monthKeys[parseInt(monthMatch[1], 10)] || field;
+  if (field === 'activeCases') return 'Active Cases (last 2 months)';
+  return field;
+}
+
+/**
+ * Build the month timeline covered by the CSV
+ * Spans every "YYYY_M" column from the earliest to the most recent one (capped at the
+ * current month), so rolling windows can cross year boundaries
  * @param {Array<string>} headers - CSV headers
- * @param {number} year - Year to check
- * @param {number} maxMonth - Maximum month to check (1-12)
- * @returns {string|null} Most recent available month column or null
+ * @returns {Array<string>} Chronological month keys, gaps included
+ */
+function buildTimelineFromHeaders(headers) {
+  const currentMonthColumn = getCurrentMonthColumn();
+  const monthColumns = headers
+    .filter(isMonthKey)
+    .filter(key => compareMonthKeys(key, currentMonthColumn) <= 0)
+    .sort(compareMonthKeys);
+
+  if (monthColumns.length === 0) {
+    return [];
+  }
+
+  return buildMonthTimeline(monthColumns[0], monthColumns[monthColumns.length - 1]);
+}
+
+/**
+ * Transform summary rows into clinician objects
+ * Shared by the clinician_summary.csv loader and the raw appointment import
+ * @param {Array<Object>} parsedData - Rows keyed by column ("Clinician", "YYYY_M"..., "Active Cases (last 2 months)")
+ * @param {string|null} timestamp - Data timestamp to report as lastUpdated
+ * @param {Object} options - { roster, caseload, hoursByType } to reuse already loaded supporting data;
+ *   { source, rowLines } name the summary data and give each row's line for data quality issues
+ * @returns {Promise<Object>} { clinicians, monthKeys, lastUpdated, dataAsOf, caseloadAsOf, holidays, issues }
+ *   holidays: public holidays as "YYYY-MM-DD" dates (empty without public_holidays.json)
  */
-function findMostRecentMonthColumn(headers, year, maxMonth) {
-  // Start from maxMonth and work backwards to find the most recent available column
-  for (let month = maxMonth; month >= 1; month--) {
-    const columnName = `${year}_${month}`;
-    if (headers.includes(columnName)) {
-      return columnName;
+export async function buildClinicianData(parsedData, timestamp, options = {}) {
+  const { roster, warnings: rosterWarnings, errors: rosterErrors } = options.roster
+    ? { roster: options.roster, warnings: [], errors: [] }
+    : await fetchRoster();
+  const { entries: leaveEntries, warnings: leaveWarnings, errors: leaveErrors } = await fetchLeaveCalendar();
+  const { casesByClinician, asOf, warnings: caseloadWarnings, errors: caseloadErrors } = options.caseload
+    ? { warnings: [], errors: [], ...options.caseload }
+    : await fetchCaseload();
+  const { hoursByClinician, warnings: hoursByTypeWarnings, errors: hoursByTypeErrors } = options.hoursByType
+    ? { warnings: [], errors: [], ...options.hoursByType }
+    : await fetchHoursByType();
+  const { holidays, warnings: holidayWarnings, errors: holidayErrors } = await fetchHolidays();
+
+  // Get CSV headers to check which columns exist
+  const csvHeaders = Object.keys(parsedData[0] || {});
+
+  // Shared multi-year timeline (e.g. 2021_8 ... 2025_11) for every clinician
+  const monthKeys = buildTimelineFromHeaders(csvHeaders);
+  if (monthKeys.length === 0) {
+    throw new Error('CSV has no monthly hours columns');
+  }
+
+  const mostRecentColumn = monthKeys[monthKeys.length - 1];
+  const currentMonthColumn = getCurrentMonthColumn();
+  if (mostRecentColumn !== currentMonthColumn) {
+    console.warn(`CSV data is not up to date. Current month is ${currentMonthColumn}, but most recent data is for ${mostRecentColumn}`);
+  }
+
+  // Transform CSV data into the format expected by the app
+  const cliniciansData = [];
+  const transformWarnings = [...rosterWarnings, ...rosterErrors, ...leaveWarnings, ...leaveErrors, ...caseloadWarnings, ...caseloadErrors,
+    ...hoursByTypeWarnings, ...hoursByTypeErrors, ...holidayWarnings, ...holidayErrors];
+  const { source = SUMMARY_SOURCE, rowLines = [] } = options;
+  const issues = [
+    ...collectDataIssues({ errors: rosterErrors, warnings: rosterWarnings }, { source: 'clinician_roster.json' }),
+    ...collectDataIssues({ errors: leaveErrors, warnings: leaveWarnings }, { source: 'Leave calendar' }),
+    ...collectDataIssues({ errors: caseloadErrors, warnings: caseloadWarnings }, { source: 'client_last_seen.csv' }),
+    ...collectDataIssues({ errors: hoursByTypeErrors, warnings: hoursByTypeWarnings }, { source: 'clinician_hours_by_type.csv' }),
+    ...collectDataIssues({ errors: holidayErrors, warnings: holidayWarnings }, { source: 'public_holidays.json' })
+  ];
+
+  parsedData.forEach((row, index) => {
+    const rowContext = { source, row: rowLines[index] ?? null, clinician: row.Clinician };
+    try {
+      const fullName = row.Clinician;
+
+      // Validate clinician name is in the roster (unknown clinicians are excluded)
+      const nameValidation = validateClinicianName(fullName, roster);
+      if (nameValidation.warnings.length > 0) {
+        transformWarnings.push(...nameValidation.warnings);
+        issues.push(...collectDataIssues({ warnings: nameValidation.warnings }, rowContext));
+        nameValidation.warnings.forEach(w => console.warn(w.message));
+        return;
+      }
+
+      // Exclude clinicians marked inactive; start/end dates are checked against the as-of date
+      // when ranking (isEmployedOn), so replaying an earlier date includes who was there then
+      const rosterEntry = roster[fullName];
+      if (!rosterEntry.active) {
+        console.log(`Excluding ${fullName}: marked inactive on the roster`);
+        return;
+      }
+
+      const { displayName, level, fte, contractedHoursPerMonth, specialties, startDate, endDate } = rosterEntry;
+
+      // Extract monthly hours across every year in the timeline
+      const monthlyHours = monthKeys.map(columnName => {
+        const hoursRaw = row[columnName];
+        const hours = parseFloat(hoursRaw);
+
+        if (isNaN(hours) || hoursRaw === undefined || hoursRaw === '') {
+          if (hoursRaw !== '' && hoursRaw !== undefined) {
+            const message = `Invalid hours value for ${fullName} in ${columnName}: ${hoursRaw}, using 0`;
+            issues.push(toDataIssue({ message, value: hoursRaw }, 'warning', { ...rowContext, column: columnName }));
+            console.warn(message);
+          }
+          return 0;
+        }
+        if (hours < 0) {
+          const message = `Negative hours value for ${fullName} in ${columnName}: ${hours}, using 0`;
+          issues.push(toDataIssue({ message, value: hours }, 'warning', { ...rowContext, column: columnName }));
+          console.warn(message);
+          return 0;
+        }
+        return hours;
+      });
+
+      // Get recent hours (most recent available month)
+      const recentHours = monthlyHours[monthlyHours.length - 1];
+
+      // Get previous hours (one month before the most recent, possibly last year)
+      const previousMonthColumn = shiftMonthKey(mostRecentColumn, -1);
+      const previousHoursRaw = parseFloat(row[previousMonthColumn]);
+      const previousHours = isNaN(previousHoursRaw) || previousHoursRaw < 0 ? 0 : previousHoursRaw;
+
+      // Get active cases
+      const activeCasesRaw = row['Active Cases (last 2 months)'];
+      const activeCases = parseInt(activeCasesRaw, 10);
+
+      // Debug logging
+      if (isNaN(activeCases)) {
+        console.warn(`Failed to parse active cases for ${fullName}:`, activeCasesRaw);
+      }
+
+      const clinicianData = {
+        name: displayName,
+        fullName: fullName !== displayName ? fullName : undefined,
+        level,
+        fte,
+        contractedHoursPerMonth,
+        specialties,
+        startDate,
+        endDate,
+        recentHours,
+        previousHours,
+        activeCases: isNaN(activeCases) || activeCases < 0 ? 0 : activeCases,
+        monthlyHours,
+        monthKeys,
+        leave: getLeaveForClinician(leaveEntries, [fullName, displayName]),
+        // Per-client first/last seen dates, when client_last_seen.csv is available
+        cases: casesByClinician ? (casesByClinician[fullName] || []) : null,
+        // Hours per appointment category, aligned to monthKeys, when clinician_hours_by_type.csv is available
+        hoursByType: hoursByClinician ? alignHoursByType(hoursByClinician[fullName], monthKeys) : null
+      };
+
+      // Final validation and normalization
+      const validation = validateAndNormalizeClinicianData(clinicianData);
+      const validationIssues = collectDataIssues(validation, rowContext).map(issue => ({
+        ...issue,
+        column: getIssueColumn(issue.column, monthKeys)
+      }));
+      issues.push(...validationIssues);
+
+      if (validation.warnings.length > 0) {
+        transformWarnings.push(...validation.warnings);
+        validation.warnings.forEach(w => console.warn(w.message));
+      }
+
+      if (!validation.isValid) {
+        console.error(`Skipping clinician ${fullName} due to validation errors:`, validation.errors);
+        return;
+      }
+
+      cliniciansData.push(validation.data);
+    } catch (rowError) {
+      console.error(`Error processing row ${index + 1}:`, rowError);
+      const failure = {
+        field: 'row',
+        message: `Failed to process row ${index + 1}: ${rowError.message}`,
+        value: row.Clinician || 'Unknown'
+      };
+      transformWarnings.push(failure);
+      issues.push(toDataIssue(failure, 'error', rowContext));
     }
+  });
+
+  // Log final summary
+  console.log(`Parsed ${cliniciansData.length} clinicians successfully`);
+  if (transformWarnings.length > 0) {
+    console.warn(`${transformWarnings.length} warnings during data transformation`);
   }
-  return null;
+
+  console.log('Parsed clinicians data:', cliniciansData);
+  return {
+    clinicians: cliniciansData,
+    monthKeys,
+    lastUpdated: timestamp,
+    dataAsOf: parseDataTimestamp(timestamp),
+    caseloadAsOf: casesByClinician ? (asOf || new Date()) : null,
+    holidays,
+    issues
+  };
 }
 
 /**
  * Fetch and parse clinician_summary.csv with comprehensive validation
+ * @returns {Promise<Object>} { clinicians, monthKeys, lastUpdated, dataAsOf, caseloadAsOf, holidays, issues } -
+ *   issues: data quality issues from every file loaded ({ severity, source, row, clinician, column, message, value })
  */
 export async function fetchClinicianData() {
   try {
@@ -167,142 +341,19 @@ export async function fetchClinicianData() {
     }
 
     const parseResult = parseCSV(csvText);
-    const { data: parsedData, warnings, errors, timestamp } = parseResult;
+    const { data: parsedData, rowLines, errors, issues: parseIssues, timestamp } = parseResult;
 
     // If there are critical errors and no data, throw
     if (parsedData.length === 0 && errors.length > 0) {
       throw new Error(`No valid data could be parsed. Errors: ${errors.map(e => e.message).join('; ')}`);
     }
 
-    // Get CSV headers to check which columns exist
-    const csvHeaders = Object.keys(parsedData[0] || {});
-
-    // Transform CSV data into the format expected by the app
-    const cliniciansData = [];
-    const transformWarnings = [];
-
-    parsedData.forEach((row, index) => {
-      try {
-        const fullName = row.Clinician;
-        const displayName = displayNames[fullName] || fullName;
-        const level = clinicianLevels[fullName] || 'junior';
-
-        // Validate clinician name is known
-        const nameValidation = validateClinicianName(fullName, clinicianLevels);
-        if (nameValidation.warnings.length > 0) {
-          transformWarnings.push(...nameValidation.warnings);
-        }
-
-        // Extract monthly hours dynamically based on current date
-        const currentYear = getCurrentYear();
-        const currentMonth = getCurrentMonthIndex() + 1; // 1-based month
-
-        // Find the most recent available month in the CSV
-        const mostRecentColumn = findMostRecentMonthColumn(csvHeaders, currentYear, currentMonth);
-        const mostRecentMonth = mostRecentColumn ? parseInt(mostRecentColumn.split('_')[1], 10) : currentMonth;
-
-        if (mostRecentMonth < currentMonth) {
-          console.warn(`CSV data is not up to date. Current month is ${currentMonth}, but most recent data is for month ${mostRecentMonth}`);
-        }
-
-        const monthlyHours2025 = [];
-
-        // Only iterate up to the most recent available month
-        for (let month = 1; month <= mostRecentMonth; month++) {
-          const columnName = `${currentYear}_${month}`;
-          const hoursRaw = row[columnName];
-          const hours = parseFloat(hoursRaw);
-
-          if (isNaN(hours) || hoursRaw === undefined || hoursRaw === '') {
-            monthlyHours2025.push(0);
-            if (hoursRaw !== '' && hoursRaw !== undefined) {
-              console.warn(`Invalid hours value for ${fullName} in ${columnName}: ${hoursRaw}`);
-            }
-          } else if (hours < 0) {
-            console.warn(`Negative hours value for ${fullName} in ${columnName}: ${hours}, using 0`);
-            monthlyHours2025.push(0);
-          } else {
-            monthlyHours2025.push(hours);
-          }
-        }
-
-        // Get recent hours (most recent available month)
-        const recentMonthColumn = mostRecentColumn || getCurrentMonthColumn();
-        const recentHoursRaw = parseFloat(row[recentMonthColumn]);
-        const recentHours = isNaN(recentHoursRaw) || recentHoursRaw < 0 ? 0 : recentHoursRaw;
-
-        // Get previous hours (one month before the most recent)
-        const previousMonth = mostRecentMonth > 1 ? mostRecentMonth - 1 : 12;
-        const previousYear = mostRecentMonth > 1 ? currentYear : currentYear - 1;
-        const previousMonthColumn = `${previousYear}_${previousMonth}`;
-        const previousHoursRaw = parseFloat(row[previousMonthColumn]);
-        const previousHours = isNaN(previousHoursRaw) || previousHoursRaw < 0 ? 0 : previousHoursRaw;
-
-        // Get active cases
-        const activeCasesRaw = row['Active Cases (last 2 months)'];
-        const activeCases = parseInt(activeCasesRaw, 10);
-
-        // Debug logging
-        if (isNaN(activeCases)) {
-          console.warn(`Failed to parse active cases for ${fullName}:`, activeCasesRaw);
-        }
-
-        const clinicianData = {
-          name: displayName,
-          fullName: fullName !== displayName ? fullName : undefined,
-          level,
-          recentHours,
-          previousHours,
-          activeCases: isNaN(activeCases) || activeCases < 0 ? 0 : activeCases,
-          monthlyHours2025
-        };
-
-        // Final validation and normalization
-        const validation = validateAndNormalizeClinicianData(clinicianData);
-
-        if (validation.warnings.length > 0) {
-          transformWarnings.push(...validation.warnings);
-          validation.warnings.forEach(w => console.warn(w.message));
-        }
-
-        if (!validation.isValid) {
-          console.error(`Skipping clinician ${fullName} due to validation errors:`, validation.errors);
-          return;
-        }
-
-        cliniciansData.push(validation.data);
-      } catch (rowError) {
-        console.error(`Error processing row ${index + 1}:`, rowError);
-        transformWarnings.push({
-          field: 'row',
-          message: `Failed to process row ${index + 1}: ${rowError.message}`,
-          value: row.Clinician || 'Unknown'
-        });
-      }
-    });
-
-    // Log final summary
-    console.log(`Parsed ${cliniciansData.length} clinicians successfully`);
-    if (transformWarnings.length > 0) {
-      console.warn(`${transformWarnings.length} warnings during data transformation`);
-    }
-
-    console.log('Parsed clinicians data:', cliniciansData);
-    return {
-      clinicians: cliniciansData,
-      lastUpdated: timestamp
-    };
+    const result = await buildClinicianData(parsedData, timestamp, { rowLines });
+    return { ...result, issues: [...parseIssues, ...result.issues] };
   } catch (error) {
     console.error('Error fetching clinician data:', error);
     throw new Error(`Failed to load clinician data: ${error.message}`);
   }
 }
 
-export const levelLabels = {
-  junior: 'Junior',
-  senior: 'Senior',
-  lead: 'Lead'
-};
-
-// Month labels - dynamically calculated based on current date
-export const monthLabels = getMonthLabelsUpToCurrent();
+export { levelLabels };
@@ -0,0 +1,304 @@
+/**
+ * RFC 4180 CSV tokenizer
+ * Handles quoted fields (with embedded delimiters, newlines and "" escapes), CRLF/LF/CR
+ * line endings, a leading BOM, comment lines and a configurable delimiter.
+ * Text can be fed in chunks (e.g. from a ReadableStream) via createCSVTokenizer.
+ */
+
+// Tokenizer states
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3; // Saw a quote inside a quoted field: escape or closing quote
+const COMMENT = 4;
+
+/**
+ * Create a streaming CSV tokenizer
+ * @param {Object} options - { delimiter: ',', commentPrefix: null }
+ * @returns {Object} { write(chunk), end(), errors } - write/end return completed records
+ *   Records are { fields, line } or { comment, line } (line is 1-based, where the record starts)
+ */
+export function createCSVTokenizer({ delimiter = ',', commentPrefix = null } = {}) {
+  if (typeof delimiter !== 'string' || delimiter.length !== 1 || delimiter === '"' || delimiter === '\n' || delimiter === '\r') {
+    throw new Error(`Invalid CSV delimiter: ${JSON.stringify(delimiter)}`);
+  }
+
+  const errors = [];
+  let state = FIELD_START;
+  let field = '';
+  let fields = [];
+  let line = 1;           // Current physical line
+  let recordLine = 1;     // Line the current record started on
+  let lastWasCR = false;  // Previous character (possibly in the previous chunk) was \r
+  let isFirstChunk = true;
+
+  const addError = (message, value, errorLine = line) => {
+    errors.push({ field: 'csv', message: `Line ${errorLine}: ${message}`, value, row: errorLine });
+  };
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+  };
+
+  const endRecord = (records) => {
+    endField();
+    records.push({ fields, line: recordLine });
+    fields = [];
+    state = FIELD_START;
+  };
+
+  const write = (chunk) => {
+    const records = [];
+    let text = String(chunk);
+
+    if (isFirstChunk) {
+      text = text.replace(/^\uFEFF/, '');
+      isFirstChunk = false;
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      // Second half of a CRLF pair: already ended the record, or kept verbatim inside quotes
+      const isCRLFTail = char === '\n' && lastWasCR;
+      lastWasCR = char === '\r';
+      if (isCRLFTail && state !== QUOTED) continue;
+
+      const isNewline = char === '\n' || char === '\r';
+
+      switch (state) {
+        case FIELD_START:
+          if (fields.length === 0 && commentPrefix && char === commentPrefix) {
+            state = COMMENT;
+            field = '';
+          } else if (char === '"') {
+            state = QUOTED;
+          } else if (char === delimiter) {
+            endField();
+          } else if (isNewline) {
+            endRecord(records);
+          } else {
+            field += char;
+            state = UNQUOTED;
+          }
+          break;
+
+        case UNQUOTED:
+          if (char === delimiter) {
+            endField();
+            state = FIELD_START;
+          } else if (isNewline) {
+            endRecord(records);
+          } else if (char === '"' && field.trim() === '') {
+            // Whitespace before an opening quote (e.g. `a, "b"`) is dropped
+            field = '';
+            state = QUOTED;
+          } else {
+            if (char === '"') {
+              addError('Unexpected quote in unquoted field, keeping it as text', field + char);
+            }
+            field += char;
+          }
+          break;
+
+        case QUOTED:
+          if (char === '"') {
+            state = QUOTE_IN_QUOTED;
+          } else {
+            field += char;
+          }
+          break;
+
+        case QUOTE_IN_QUOTED:
+          if (char === '"') {
+            field += '"'; // Escaped quote ("")
+            state = QUOTED;
+          } else if (char === delimiter) {
+            endField();
+            state = FIELD_START;
+          } else if (isNewline) {
+            endRecord(records);
+          } else {
+            addError('Unexpected character after closing quote, keeping it as text', char);
+            field += char;
+            state = UNQUOTED;
+          }
+          break;
+
+        case COMMENT:
+          if (isNewline) {
+            records.push({ comment: field, line: recordLine });
+            field = '';
+            fields = [];
+            state = FIELD_START;
+          } else {
+            field += char;
+          }
+          break;
+
+        default:
+          break;
+      }
+
+      if (isNewline && !isCRLFTail) {
+        // Newlines inside quoted fields are part of the value but still advance the line count
+        line++;
+        if (state === FIELD_START && fields.length === 0) {
+          recordLine = line;
+        }
+      }
+    }
+
+    return records;
+  };
+
+  const end = () => {
+    const records = [];
+
+    if (state === QUOTED) {
+      addError('Unterminated quoted field', field.slice(0, 50), recordLine);
+    }
+
+    if (state === COMMENT) {
+      records.push({ comment: field, line: recordLine });
+    } else if (state !== FIELD_START || fields.length > 0 || field !== '') {
+      endRecord(records);
+    }
+
+    return records;
+  };
+
+  return { write, end, errors };
+}
+
+/**
+ * Tokenize a complete CSV string
+ * @param {string} text - CSV text
+ * @param {Object} options - { delimiter, commentPrefix }
+ * @returns {Object} { records, comments, errors }
+ */
+export function tokenizeCSV(text, options = {}) {
+  const tokenizer = createCSVTokenizer(options);
+  const all = [...tokenizer.write(text), ...tokenizer.end()];
+
+  return {
+    records: all.filter(r => r.fields),
+    comments: all.filter(r => r.comment !== undefined),
+    errors: tokenizer.errors
+  };
+}
+
+/**
+ * Normalize a header name: trim, collapse internal whitespace
+ * @param {string} header - Raw header
+ * @returns {string} Normalized header
+ */
+export function normalizeHeader(header) {
+  return String(header).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse CSV text into header-keyed rows with row-level issues
+ * @param {string} text - CSV text
+ * @param {Object} options - { delimiter, commentPrefix, trimFields = true }
+ * @returns {Object} { headers, rows, comments, errors, warnings }
+ *   rows are { values, line, issues } where issues feed validateCSVRow;
+ *   errors/warnings hold only file-level problems not tied to a data row
+ */
+export function parseCSVText(text, { trimFields = true, ...tokenizerOptions } = {}) {
+  const { records, comments, errors } = tokenizeCSV(text, tokenizerOptions);
+  const warnings = [];
+
+  // Skip blank lines (a single empty field)
+  const isBlank = record => record.fields.length === 1 && record.fields[0].trim() === '';
+  const dataRecords = records.filter(record => !isBlank(record));
+
+  if (dataRecords.length === 0) {
+    return { headers: [], rows: [], comments, errors, warnings };
+  }
+
+  const [headerRecord, ...rowRecords] = dataRecords;
+  const seenHeaders = new Set();
+  const headers = headerRecord.fields.map((rawHeader, index) => {
+    let header = normalizeHeader(rawHeader);
+    if (header === '') {
+      header = `column_${index + 1}`;
+      warnings.push({ field: 'headers', message: `Line ${headerRecord.line}: Empty header in column ${index + 1}, using "${header}"`, value: rawHeader, row: headerRecord.line });
+    }
+    if (seenHeaders.has(header)) {
+      const renamed = `${header}_${index + 1}`;
+      warnings.push({ field: 'headers', message: `Line ${headerRecord.line}: Duplicate header "${header}", renamed to "${renamed}"`, value: header, row: headerRecord.line });
+      header = renamed;
+    }
+    seenHeaders.add(header);
+    return header;
+  });
+
+  const claimedErrors = new Set();
+  const rows = rowRecords.map(record => {
+    const lastLine = record.line + countNewlines(record.fields);
+    const issues = errors
+      .filter(error => error.row >= record.line && error.row <= lastLine)
+      .map(error => {
+        claimedErrors.add(error);
+        return { ...error, severity: 'error' };
+      });
+
+    if (record.fields.length > headers.length) {
+      issues.push({
+        field: 'row',
+        message: `Row ${record.line}: Expected ${headers.length} fields but found ${record.fields.length}, extra values ignored`,
+        value: record.fields.slice(headers.length).join(', '),
+        row: record.line,
+        severity: 'warning'
+      });
+    } else if (record.fields.length < headers.length) {
+      issues.push({
+        field: 'row',
+        message: `Row ${record.line}: Expected ${headers.length} fields but found ${record.fields.length}, missing values left empty`,
+        value: record.fields.length,
+        row: record.line,
+        severity: 'warning'
+      });
+    }
+
+    const values = {};
+    headers.forEach((header, index) => {
+      const value = record.fields[index] === undefined ? '' : record.fields[index];
+      values[header] = trimFields ? value.trim() : value;
+    });
+
+    return { values, line: record.line, issues };
+  });
+
+  return { headers, rows, comments, errors: errors.filter(error => !claimedErrors.has(error)), warnings };
+}
+
+/**
+ * Count newlines embedded in a record's fields (for matching issues to multi-line records)
+ */
+function countNewlines(fields) {
+  return fields.reduce((count, field) => count + (field.match(/\r\n|\r|\n/g) || []).length, 0);
+}
+
+/**
+ * Whether a fetch response can be a CSV file
+ * Dev servers and SPA hosts answer a missing file with index.html and status 200
+ * @param {Response} response - Fetch response
+ * @returns {boolean} False for an unsuccessful or HTML response
+ */
+export function isCSVResponse(response) {
+  const contentType = response.headers?.get?.('content-type') || '';
+  return response.ok && !contentType.includes('text/html');
+}
+
+/**
+ * Find required columns missing from parsed headers
+ * @param {Array<string>} headers - Headers from parseCSVText
+ * @param {Array<string>} required - Column names the file must have
+ * @returns {Array<string>} Missing column names
+ */
+export function getMissingColumns(headers, required) {
+  return required.filter(column => !headers.includes(column));
+}
@@ -0,0 +1,65 @@
+/**
+ * Data freshness
+ * How old the loaded data is (from the "# Data last updated" timestamp) and which months are
+ * missing from it, so stale data is flagged instead of quietly driving recommendations.
+ */
+
+import { daysBetween, getCurrentTimelineIndex, shiftMonthKey } from './dateUtils.js';
+import { DEFAULT_SCORING_CONFIG } from './scoringConfig.js';
+
+// How far back to look for months with no hours recorded for anyone
+const EMPTY_MONTH_LOOKBACK = 12;
+
+/**
+ * Whether data generated on dataAsOf is older than the configured threshold
+ * @param {Date|null} dataAsOf - Date the data was generated (null if unknown)
+ * @param {Object} config - Scoring config (freshness section)
+ * @param {Date} asOf - Date to measure the age at
+ * @returns {boolean} True if the data is stale (unknown dates are not treated as stale)
+ */
+export function isDataStale(dataAsOf, config = DEFAULT_SCORING_CONFIG, asOf = new Date()) {
+  if (!dataAsOf) return false;
+  return daysBetween(dataAsOf, asOf) > config.freshness.staleAfterDays;
+}
+
+/**
+ * Assess how fresh the loaded data is
+ * @param {Array<Object>} clinicians - Clinicians from fetchClinicianData (shared monthKeys and monthlyHours)
+ * @param {Date|null} dataAsOf - Date the data was generated
+ * @param {Object} config - Scoring config (freshness section)
+ * @param {Date} asOf - Date to measure against (defaults to today)
+ * @returns {Object} { dataAsOf, ageDays, staleAfterDays, isStale, blocksHighlyRecommended,
+ *   latestMonthKey, missingMonths, emptyMonths }
+ *   ageDays: null when the timestamp is unknown
+ *   missingMonths: month keys after the newest data column, up to the current month
+ *   emptyMonths: months in the past year (before the current one) with no hours for anyone
+ */
+export function assessDataFreshness(clinicians, dataAsOf, config = DEFAULT_SCORING_CONFIG, asOf = new Date()) {
+  const monthKeys = clinicians[0]?.monthKeys || [];
+  const latestMonthKey = monthKeys.length > 0 ? monthKeys[monthKeys.length - 1] : null;
+  const currentIndex = getCurrentTimelineIndex(monthKeys, asOf);
+
+  const missingMonths = latestMonthKey
+    ? Array.from({ length: Math.max(0, currentIndex - (monthKeys.length - 1)) }, (_, i) => shiftMonthKey(latestMonthKey, i + 1))
+    : [];
+
+  const lastCompleteIndex = Math.min(currentIndex, monthKeys.length) - 1;
+  const emptyMonths = [];
+  for (let index = Math.max(0, lastCompleteIndex - EMPTY_MONTH_LOOKBACK + 1); index <= lastCompleteIndex; index++) {
+    if (clinicians.every(c => !(c.monthlyHours?.[index] > 0))) {
+      emptyMonths.push(monthKeys[index]);
+    }
+  }
+
+  const isStale = isDataStale(dataAsOf, config, asOf);
+  return {
+    dataAsOf,
+    ageDays: dataAsOf ? daysBetween(dataAsOf, asOf) : null,
+    staleAfterDays: config.freshness.staleAfterDays,
+    isStale,
+    blocksHighlyRecommended: isStale && config.freshness.staleMode === 'block',
+    latestMonthKey,
+    missingMonths,
+    emptyMonths
+  };
+}
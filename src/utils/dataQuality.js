@@ -0,0 +1,49 @@
+/**
+ * Data quality issues
+ * Parse and validation problems found while loading the data files, kept in one structured
+ * shape so they can be shown to whoever maintains the CSVs instead of only going to the console.
+ */
+
+export const SUMMARY_SOURCE = 'clinician_summary.csv';
+
+/**
+ * Convert a validation error or warning into a data quality issue
+ * @param {Object} issue - Validation item ({ field, message, value, row? })
+ * @param {string} severity - 'error' (data was dropped) or 'warning' (data was kept or corrected)
+ * @param {Object} context - { source, row, clinician, column } - anything known beyond the item itself
+ * @returns {Object} { severity, source, row, clinician, column, message, value }
+ */
+export function toDataIssue(issue, severity, context = {}) {
+  return {
+    severity,
+    source: context.source || null,
+    row: context.row ?? issue.row ?? null,
+    clinician: context.clinician || null,
+    column: context.column || issue.field || null,
+    message: issue.message,
+    value: issue.value ?? null
+  };
+}
+
+/**
+ * Convert a loader's { errors, warnings } into data quality issues
+ * @param {Object} result - { errors, warnings } from a loader or validator
+ * @param {Object} context - { source, row, clinician } shared by every item
+ * @returns {Array<Object>} Issues, errors first
+ */
+export function collectDataIssues({ errors = [], warnings = [] }, context = {}) {
+  return [
+    ...errors.map(error => toDataIssue(error, 'error', context)),
+    ...warnings.map(warning => toDataIssue(warning, 'warning', context))
+  ];
+}
+
+/**
+ * Count issues by severity
+ * @param {Array<Object>} issues - Data quality issues
+ * @returns {Object} { total, errors, warnings }
+ */
+export function summarizeDataIssues(issues) {
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+  return { total: issues.length, errors, warnings: issues.length - errors };
+}
@@ -2,7 +2,7 @@
  * Data validation utilities for robust error handling
  */
 
-import { getCurrentMonthIndex, getCurrentYear } from './dateUtils.js';
+import { getCurrentMonthIndex, getCurrentYear, getCurrentTimelineIndex, isMonthKey, parseISODate, formatMonthKey } from './dateUtils.js';
 
 /**
  * Validation error class for tracking validation issues
@@ -20,9 +20,14 @@ export class ValidationError extends Error {
  * Validate that monthly hours array has expected structure
  * @param {Array<number>} monthlyHours - Array of monthly hours
  * @param {string} clinicianName - Name of clinician for error reporting
- * @returns {Object} Validation result with isValid and errors array
+ * @param {Array<string>} monthKeys - Timeline of "YYYY_M" keys the hours are aligned to
+ * @param {Object|null} anomalyOptions - Also flag unusual values as warnings:
+ *   { ceilingHours, spikeMultiplier, minChangeHours, startIndex, endIndex, partialIndex }
+ *   partialIndex is the month still in progress, where a zero is not treated as a drop
+ * @returns {Object} Validation result with isValid, errors and warnings (each unusual value
+ *   carries anomaly: { type: 'ceiling'|'spike'|'drop', index, limit, baseline })
  */
-export function validateMonthlyHours(monthlyHours, clinicianName = 'Unknown') {
+export function validateMonthlyHours(monthlyHours, clinicianName = 'Unknown', monthKeys = null, anomalyOptions = null) {
   const errors = [];
 
   if (!Array.isArray(monthlyHours)) {
@@ -31,16 +36,25 @@ export function validateMonthlyHours(monthlyHours, clinicianName = 'Unknown') {
       message: `Monthly hours for ${clinicianName} is not an array`,
       value: typeof monthlyHours
     });
-    return { isValid: false, errors };
+    return { isValid: false, errors, warnings: [] };
   }
 
-  const currentMonthIndex = getCurrentMonthIndex();
+  const currentMonthIndex = getCurrentTimelineIndex(monthKeys);
   const expectedLength = currentMonthIndex + 1; // 0-indexed, so add 1
 
   // Allow for CSV to be 1 month behind (common at start of new month)
   const minExpectedLength = Math.max(1, expectedLength - 1);
 
-  if (monthlyHours.length < minExpectedLength) {
+  if (Array.isArray(monthKeys) && monthKeys.length !== monthlyHours.length) {
+    errors.push({
+      field: 'monthKeys',
+      message: `Monthly hours for ${clinicianName} has ${monthlyHours.length} months but the timeline has ${monthKeys.length}`,
+      value: monthKeys.length
+    });
+  }
+
+  // With a timeline, a short history just means stale data, which the freshness checks report
+  if (!Array.isArray(monthKeys) && monthlyHours.length < minExpectedLength) {
     errors.push({
       field: 'monthlyHours.length',
       message: `Monthly hours for ${clinicianName} has ${monthlyHours.length} months, expected at least ${minExpectedLength}`,
@@ -68,17 +82,107 @@ export function validateMonthlyHours(monthlyHours, clinicianName = 'Unknown') {
 
   return {
     isValid: errors.length === 0,
-    errors
+    errors,
+    warnings: anomalyOptions ? findUnusualHours(monthlyHours, clinicianName, monthKeys, anomalyOptions) : []
   };
 }
 
+// Months of a clinician's own history compared against, and how many non-empty ones are needed
+const BASELINE_MONTHS = 12;
+const MIN_BASELINE_MONTHS = 3;
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values (not modified)
+ * @returns {number|null} Median, or null for an empty list
+ */
+export function calculateMedian(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * A clinician's usual monthly hours before a given month: the median of the non-empty
+ * months in the year before it
+ * @param {Array<number>} monthlyHours - Monthly hours
+ * @param {number} index - Month to get the baseline for
+ * @returns {number|null} Baseline hours, or null with too little history
+ */
+export function getHoursBaseline(monthlyHours, index) {
+  const history = monthlyHours
+    .slice(Math.max(0, index - BASELINE_MONTHS), index)
+    .filter(hours => typeof hours === 'number' && hours > 0);
+  return history.length >= MIN_BASELINE_MONTHS ? calculateMedian(history) : null;
+}
+
+/**
+ * Flag monthly hours that are probably data errors: above the monthly ceiling, a spike
+ * against the clinician's own history, or a zero month where they usually have hours
+ */
+function findUnusualHours(monthlyHours, clinicianName, monthKeys, options) {
+  const {
+    ceilingHours,
+    spikeMultiplier,
+    minChangeHours,
+    startIndex = 0,
+    endIndex = monthlyHours.length - 1,
+    partialIndex = null
+  } = options;
+  const warnings = [];
+  const round = value => Math.round(value * 10) / 10;
+
+  for (let index = Math.max(0, startIndex); index <= Math.min(endIndex, monthlyHours.length - 1); index++) {
+    const hours = monthlyHours[index];
+    if (typeof hours !== 'number' || isNaN(hours) || hours < 0) continue;
+
+    const field = `monthlyHours[${index}]`;
+    const month = monthKeys?.[index] ? formatMonthKey(monthKeys[index]) : `month ${index}`;
+
+    if (hours > ceilingHours) {
+      warnings.push({
+        field,
+        message: `${hours}h for ${clinicianName} in ${month} is above the ${ceilingHours}h monthly ceiling`,
+        value: hours,
+        anomaly: { type: 'ceiling', index, limit: ceilingHours, baseline: null }
+      });
+    }
+
+    const baseline = getHoursBaseline(monthlyHours, index);
+    if (baseline === null) continue;
+
+    const spikeLimit = round(baseline * spikeMultiplier);
+    if (hours > spikeLimit && hours - baseline >= minChangeHours) {
+      warnings.push({
+        field,
+        message: `${hours}h for ${clinicianName} in ${month} is over ${spikeMultiplier}× their usual ${round(baseline)}h`,
+        value: hours,
+        anomaly: { type: 'spike', index, limit: spikeLimit, baseline }
+      });
+    } else if (hours === 0 && index !== partialIndex && baseline >= minChangeHours) {
+      warnings.push({
+        field,
+        message: `No hours for ${clinicianName} in ${month}, against their usual ${round(baseline)}h`,
+        value: hours,
+        anomaly: { type: 'drop', index, limit: null, baseline }
+      });
+    }
+  }
+
+  return warnings;
+}
+
 /**
  * Validate CSV structure has required columns
+ * Data without a recent month column is stale rather than invalid: it is loaded with a warning
+ * and left to the freshness checks
  * @param {Array<string>} headers - CSV header row
- * @returns {Object} Validation result with isValid and errors array
+ * @returns {Object} Validation result with isValid, errors and warnings arrays
  */
 export function validateCSVStructure(headers) {
   const errors = [];
+  const warnings = [];
   const requiredColumns = ['Clinician', 'Active Cases (last 2 months)'];
 
   // Check for required columns
@@ -100,15 +204,54 @@ export function validateCSVStructure(headers) {
     ? `${currentYear}_${currentMonthIndex}`
     : `${currentYear - 1}_12`;
 
-  // Allow either current month or previous month to be present
-  if (!headers.includes(currentMonthColumn) && !headers.includes(previousMonthColumn)) {
+  if (!headers.some(isMonthKey)) {
     errors.push({
       field: 'headers',
-      message: `Missing recent month data columns: Expected ${currentMonthColumn} or ${previousMonthColumn}`,
+      message: 'Missing monthly data columns (YYYY_M)',
       value: headers.join(', ')
     });
+  } else if (!headers.includes(currentMonthColumn) && !headers.includes(previousMonthColumn)) {
+    // Allow either current month or previous month to be present
+    warnings.push({
+      field: 'headers',
+      message: `Missing recent month data columns: Expected ${currentMonthColumn} or ${previousMonthColumn}`,
+      value: headers.filter(isMonthKey).pop()
+    });
   }
 
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Validate a raw appointment export (ALL-HOURS.csv) has the columns the import needs
+ * @param {Array<string>} headers - CSV header row
+ * @returns {Object} Validation result with isValid and errors array
+ */
+export function validateAppointmentStructure(headers) {
+  const errors = [];
+  const requiredColumns = [
+    'a_schedule',
+    'a_date',
+    'a_length',
+    'a_centerclientid',
+    'a_codedescription',
+    'a_scheduleattendance'
+  ];
+
+  requiredColumns.forEach(column => {
+    if (!headers.includes(column)) {
+      errors.push({
+        field: 'headers',
+        message: `Missing required column: ${column}`,
+        value: headers.join(', ')
+      });
+    }
+  });
+
   return {
     isValid: errors.length === 0,
     errors
@@ -119,12 +262,18 @@ export function validateCSVStructure(headers) {
  * Validate a single CSV row has required data
  * @param {Object} row - Parsed CSV row object
  * @param {number} rowIndex - Row number for error reporting
+ * @param {Array<Object>} rowIssues - Tokenizer issues for this row ({ severity: 'error'|'warning', field, message, value })
  * @returns {Object} Validation result with isValid, errors array, and warnings array
  */
-export function validateCSVRow(row, rowIndex) {
+export function validateCSVRow(row, rowIndex, rowIssues = []) {
   const errors = [];
   const warnings = [];
 
+  // Malformed quoting makes the row unreliable; field count mismatches are only warnings
+  rowIssues.forEach(({ severity, ...issue }) => {
+    (severity === 'error' ? errors : warnings).push(issue);
+  });
+
   // Check for clinician name
   if (!row.Clinician || row.Clinician.trim() === '') {
     errors.push({
@@ -152,22 +301,15 @@ export function validateCSVRow(row, rowIndex) {
     });
   }
 
-  // Check for at least some monthly data
-  const currentYear = getCurrentYear();
-  let hasAnyMonthlyData = false;
-
-  for (let month = 1; month <= 12; month++) {
-    const columnName = `${currentYear}_${month}`;
-    if (row[columnName] !== undefined && row[columnName] !== '') {
-      hasAnyMonthlyData = true;
-      break;
-    }
-  }
+  // Check for at least some monthly data (any year)
+  const hasAnyMonthlyData = Object.keys(row)
+    .filter(isMonthKey)
+    .some(columnName => row[columnName] !== undefined && row[columnName] !== '');
 
   if (!hasAnyMonthlyData) {
     warnings.push({
       field: 'monthlyHours',
-      message: `Row ${rowIndex} (${row.Clinician}): No monthly hours data found for ${currentYear}`,
+      message: `Row ${rowIndex} (${row.Clinician}): No monthly hours data found`,
       value: 'no data'
     });
   }
@@ -211,7 +353,7 @@ export function safeArrayAccess(array, index, defaultValue = 0, context = '') {
 /**
  * Validate clinician name is in known list
  * @param {string} name - Clinician name
- * @param {Object} knownClinicians - Map of known clinician names
+ * @param {Object} knownClinicians - Map of known clinician names (e.g., roster keyed by full name)
  * @returns {Object} Validation result
  */
 export function validateClinicianName(name, knownClinicians) {
@@ -220,7 +362,7 @@ export function validateClinicianName(name, knownClinicians) {
   if (!knownClinicians[name]) {
     warnings.push({
       field: 'Clinician',
-      message: `Unknown clinician: ${name}. This clinician may not appear in the system.`,
+      message: `Unknown clinician: ${name}. Add them to clinician_roster.json to include them in recommendations.`,
       value: name
     });
   }
@@ -231,6 +373,544 @@ export function validateClinicianName(name, knownClinicians) {
   };
 }
 
+/**
+ * Validate and normalize a clinician roster entry
+ * @param {Object} entry - Raw roster entry
+ * @param {number} index - Entry position for error reporting
+ * @param {Array<string>} validLevels - Allowed level keys (e.g., ['junior', 'senior', 'lead'])
+ * @param {Array<string>} validSpecialties - Allowed specialty tags (unknown tags are dropped with a warning)
+ * @returns {Object} Validation result with isValid, errors, warnings and normalized data
+ */
+export function validateRosterEntry(entry, index, validLevels, validSpecialties = []) {
+  const errors = [];
+  const warnings = [];
+  const label = entry && entry.fullName ? entry.fullName : `Entry ${index + 1}`;
+
+  if (!entry || typeof entry !== 'object') {
+    errors.push({
+      field: 'roster',
+      message: `Roster entry ${index + 1} is not an object`,
+      value: entry
+    });
+    return { isValid: false, errors, warnings, data: null };
+  }
+
+  if (typeof entry.fullName !== 'string' || entry.fullName.trim() === '') {
+    errors.push({
+      field: 'fullName',
+      message: `Roster entry ${index + 1}: Missing full name`,
+      value: entry.fullName
+    });
+  }
+
+  if (!validLevels.includes(entry.level)) {
+    errors.push({
+      field: 'level',
+      message: `${label}: Invalid level "${entry.level}", expected one of ${validLevels.join(', ')}`,
+      value: entry.level
+    });
+  }
+
+  let fte = 1;
+  if (entry.fte !== undefined && entry.fte !== null) {
+    if (typeof entry.fte !== 'number' || isNaN(entry.fte) || entry.fte <= 0 || entry.fte > 1) {
+      errors.push({
+        field: 'fte',
+        message: `${label}: FTE must be a number greater than 0 and at most 1`,
+        value: entry.fte
+      });
+    } else {
+      fte = entry.fte;
+    }
+  }
+
+  let contractedHoursPerMonth = null;
+  if (entry.contractedHoursPerMonth !== undefined && entry.contractedHoursPerMonth !== null) {
+    if (typeof entry.contractedHoursPerMonth !== 'number' || isNaN(entry.contractedHoursPerMonth) || entry.contractedHoursPerMonth <= 0) {
+      errors.push({
+        field: 'contractedHoursPerMonth',
+        message: `${label}: contractedHoursPerMonth must be a positive number`,
+        value: entry.contractedHoursPerMonth
+      });
+    } else {
+      contractedHoursPerMonth = entry.contractedHoursPerMonth;
+    }
+  }
+
+  const startDate = parseISODate(entry.startDate);
+  const endDate = parseISODate(entry.endDate);
+
+  ['startDate', 'endDate'].forEach(field => {
+    if (entry[field] && !parseISODate(entry[field])) {
+      errors.push({
+        field,
+        message: `${label}: ${field} must be a YYYY-MM-DD date`,
+        value: entry[field]
+      });
+    }
+  });
+
+  if (startDate && endDate && endDate < startDate) {
+    errors.push({
+      field: 'endDate',
+      message: `${label}: endDate is before startDate`,
+      value: entry.endDate
+    });
+  }
+
+  if (entry.active !== undefined && typeof entry.active !== 'boolean') {
+    warnings.push({
+      field: 'active',
+      message: `${label}: active flag should be true or false, treating as active`,
+      value: entry.active
+    });
+  }
+
+  let specialties = [];
+  if (entry.specialties !== undefined && entry.specialties !== null) {
+    if (!Array.isArray(entry.specialties)) {
+      warnings.push({
+        field: 'specialties',
+        message: `${label}: specialties should be a list, ignoring`,
+        value: entry.specialties
+      });
+    } else {
+      entry.specialties.forEach(tag => {
+        if (validSpecialties.includes(tag)) {
+          if (!specialties.includes(tag)) specialties.push(tag);
+        } else {
+          warnings.push({
+            field: 'specialties',
+            message: `${label}: Unknown specialty "${tag}", expected one of ${validSpecialties.join(', ')}`,
+            value: tag
+          });
+        }
+      });
+    }
+  }
+
+  const fullName = typeof entry.fullName === 'string' ? entry.fullName.trim() : '';
+  const displayName = typeof entry.displayName === 'string' && entry.displayName.trim() !== ''
+    ? entry.displayName.trim()
+    : fullName;
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+    data: {
+      fullName,
+      displayName,
+      level: entry.level,
+      fte,
+      contractedHoursPerMonth,
+      startDate,
+      endDate,
+      active: entry.active !== false,
+      specialties
+    }
+  };
+}
+
+/**
+ * Validate and normalize a leave/availability entry
+ * @param {Object} entry - Raw leave entry ({ clinician, startDate, endDate, type })
+ * @param {number} index - Entry position for error reporting
+ * @returns {Object} Validation result with isValid, errors, warnings and normalized data
+ */
+export function validateLeaveEntry(entry, index) {
+  const errors = [];
+  const warnings = [];
+
+  if (!entry || typeof entry !== 'object') {
+    errors.push({
+      field: 'leave',
+      message: `Leave entry ${index + 1} is not an object`,
+      value: entry
+    });
+    return { isValid: false, errors, warnings, data: null };
+  }
+
+  const clinician = typeof entry.clinician === 'string' ? entry.clinician.trim() : '';
+  const label = clinician || `Leave entry ${index + 1}`;
+
+  if (clinician === '') {
+    errors.push({
+      field: 'clinician',
+      message: `Leave entry ${index + 1}: Missing clinician name`,
+      value: entry.clinician
+    });
+  }
+
+  // Dates may already be parsed (e.g. from an .ics file)
+  const startDate = entry.startDate instanceof Date ? entry.startDate : parseISODate(entry.startDate);
+  const endDate = entry.endDate instanceof Date ? entry.endDate : parseISODate(entry.endDate);
+
+  if (!startDate) {
+    errors.push({
+      field: 'startDate',
+      message: `${label}: startDate must be a YYYY-MM-DD date`,
+      value: entry.startDate
+    });
+  }
+
+  if (!endDate) {
+    errors.push({
+      field: 'endDate',
+      message: `${label}: endDate must be a YYYY-MM-DD date`,
+      value: entry.endDate
+    });
+  }
+
+  if (startDate && endDate && endDate < startDate) {
+    errors.push({
+      field: 'endDate',
+      message: `${label}: endDate is before startDate`,
+      value: entry.endDate
+    });
+  }
+
+  if (!entry.type) {
+    warnings.push({
+      field: 'type',
+      message: `${label}: No leave type given, using "Leave"`,
+      value: entry.type
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+    data: {
+      clinician,
+      startDate,
+      endDate,
+      type: entry.type ? String(entry.type) : 'Leave'
+    }
+  };
+}
+
+/**
+ * Validate a public holiday entry
+ * @param {Object} entry - Raw holiday entry ({ date, name })
+ * @param {number} index - Entry position for error reporting
+ * @returns {Object} Validation result with isValid, errors, warnings and normalized data
+ */
+export function validateHolidayEntry(entry, index) {
+  const errors = [];
+  const warnings = [];
+
+  if (!entry || typeof entry !== 'object') {
+    errors.push({
+      field: 'holidays',
+      message: `Holiday entry ${index + 1} is not an object`,
+      value: entry
+    });
+    return { isValid: false, errors, warnings, data: null };
+  }
+
+  const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+  const label = name || `Holiday entry ${index + 1}`;
+
+  if (!parseISODate(entry.date)) {
+    errors.push({
+      field: 'date',
+      message: `${label}: date must be a YYYY-MM-DD date`,
+      value: entry.date
+    });
+  }
+
+  if (name === '') {
+    warnings.push({
+      field: 'name',
+      message: `Holiday entry ${index + 1}: No name given, using "Public holiday"`,
+      value: entry.name
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+    data: {
+      date: typeof entry.date === 'string' ? entry.date.trim() : entry.date,
+      name: name || 'Public holiday'
+    }
+  };
+}
+
+/**
+ * Validate a client_last_seen.csv row (one clinician-client pair)
+ * @param {Object} row - Row keyed by header ("Clinician", "Client", "First Seen", "Last Seen",
+ *   optional "Categories": semicolon-separated appointment categories the client was seen for)
+ * @param {number} rowIndex - Row number for error reporting
+ * @param {Array<Object>} rowIssues - Tokenizer issues for this row
+ * @param {Array<string>} validCategories - Allowed category keys
+ * @returns {Object} Validation result with isValid, errors, warnings and normalized data
+ */
+export function validateCaseloadRow(row, rowIndex, rowIssues = [], validCategories = []) {
+  const errors = [];
+  const warnings = [];
+
+  rowIssues.forEach(({ severity, ...issue }) => {
+    (severity === 'error' ? errors : warnings).push(issue);
+  });
+
+  const clinician = (row.Clinician || '').trim();
+  const clientId = (row.Client || '').trim();
+
+  if (clinician === '') {
+    errors.push({
+      field: 'Clinician',
+      message: `Row ${rowIndex}: Missing clinician name`,
+      value: row.Clinician
+    });
+  }
+
+  if (clientId === '') {
+    errors.push({
+      field: 'Client',
+      message: `Row ${rowIndex} (${clinician}): Missing client ID`,
+      value: row.Client
+    });
+  }
+
+  const lastSeen = parseISODate(row['Last Seen']);
+  if (!lastSeen) {
+    errors.push({
+      field: 'Last Seen',
+      message: `Row ${rowIndex} (${clinician}): Last Seen must be a YYYY-MM-DD date`,
+      value: row['Last Seen']
+    });
+  }
+
+  // First Seen is only needed for the new vs continuing split
+  let firstSeen = parseISODate(row['First Seen']);
+  if (!firstSeen || (lastSeen && firstSeen > lastSeen)) {
+    warnings.push({
+      field: 'First Seen',
+      message: `Row ${rowIndex} (${clinician}): Invalid First Seen date, using Last Seen`,
+      value: row['First Seen']
+    });
+    firstSeen = lastSeen;
+  }
+
+  // Categories are only needed for the weighted caseload; unknown ones are dropped
+  const categories = [];
+  (row.Categories || '').split(';').map(c => c.trim().toLowerCase()).filter(c => c !== '').forEach(category => {
+    if (validCategories.includes(category)) {
+      if (!categories.includes(category)) categories.push(category);
+    } else {
+      warnings.push({
+        field: 'Categories',
+        message: `Row ${rowIndex} (${clinician}): Unknown category "${category}" ignored`,
+        value: row.Categories
+      });
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+    data: { clinician, clientId, firstSeen, lastSeen, categories }
+  };
+}
+
+/**
+ * Validate a clinician_hours_by_type.csv row (one clinician, month and category)
+ * @param {Object} row - Row keyed by header ("Clinician", "Month", "Category", "Hours")
+ * @param {number} rowIndex - Row number for error reporting
+ * @param {Array<string>} validCategories - Allowed category keys
+ * @param {Array<Object>} rowIssues - Tokenizer issues for this row
+ * @returns {Object} Validation result with isValid, errors, warnings and normalized data
+ */
+export function validateHoursByTypeRow(row, rowIndex, validCategories, rowIssues = []) {
+  const errors = [];
+  const warnings = [];
+
+  rowIssues.forEach(({ severity, ...issue }) => {
+    (severity === 'error' ? errors : warnings).push(issue);
+  });
+
+  const clinician = (row.Clinician || '').trim();
+  const monthKey = (row.Month || '').trim();
+  const category = (row.Category || '').trim();
+  const hours = parseFloat(row.Hours);
+
+  if (clinician === '') {
+    errors.push({
+      field: 'Clinician',
+      message: `Row ${rowIndex}: Missing clinician name`,
+      value: row.Clinician
+    });
+  }
+
+  if (!isMonthKey(monthKey)) {
+    errors.push({
+      field: 'Month',
+      message: `Row ${rowIndex} (${clinician}): Month must be in YYYY_M format`,
+      value: row.Month
+    });
+  }
+
+  if (!validCategories.includes(category)) {
+    errors.push({
+      field: 'Category',
+      message: `Row ${rowIndex} (${clinician}): Unknown category "${category}", expected one of ${validCategories.join(', ')}`,
+      value: row.Category
+    });
+  }
+
+  if (isNaN(hours) || hours < 0) {
+    errors.push({
+      field: 'Hours',
+      message: `Row ${rowIndex} (${clinician}): Hours must be a non-negative number`,
+      value: row.Hours
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+    data: { clinician, monthKey, category, hours }
+  };
+}
+
+/**
+ * Validate one line of a batch intake list ("client ref, case type, estimated hours")
+ * @param {Array<string>} fields - Fields on the line; case type and hours are optional
+ * @param {number} rowIndex - Line number for error reporting
+ * @param {Array<string>} validCaseTypes - Allowed case types (matched case-insensitively)
+ * @param {string} defaultCaseType - Case type used when none is given
+ * @returns {Object} Validation result with isValid, errors, warnings and normalized data
+ */
+export function validateBatchCaseRow(fields, rowIndex, validCaseTypes, defaultCaseType) {
+  const errors = [];
+  const warnings = [];
+
+  const [clientRefRaw = '', caseTypeRaw = '', hoursRaw = ''] = fields.map(field => field.trim());
+
+  if (clientRefRaw === '') {
+    errors.push({
+      field: 'clientRef',
+      message: `Line ${rowIndex}: Missing client reference`,
+      value: fields[0]
+    });
+  }
+
+  let caseType = defaultCaseType;
+  if (caseTypeRaw !== '') {
+    caseType = validCaseTypes.find(type => type.toLowerCase() === caseTypeRaw.toLowerCase());
+    if (!caseType) {
+      errors.push({
+        field: 'caseType',
+        message: `Line ${rowIndex} (${clientRefRaw}): Unknown case type "${caseTypeRaw}", expected one of ${validCaseTypes.join(', ')}`,
+        value: caseTypeRaw
+      });
+    }
+  }
+
+  let hours = null;
+  if (hoursRaw !== '') {
+    hours = parseFloat(hoursRaw);
+    if (isNaN(hours) || hours < 0) {
+      errors.push({
+        field: 'hours',
+        message: `Line ${rowIndex} (${clientRefRaw}): Estimated hours must be a non-negative number`,
+        value: hoursRaw
+      });
+    }
+  }
+
+  if (fields.length > 3) {
+    warnings.push({
+      field: 'line',
+      message: `Line ${rowIndex} (${clientRefRaw}): Extra fields after estimated hours ignored`,
+      value: fields.slice(3).join(',')
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+    data: errors.length === 0 ? { clientRef: clientRefRaw, caseType, hours } : null
+  };
+}
+
+/**
+ * Validate an assignment before it is logged
+ * @param {Object} entry - { clientRef, clinician, fullName, caseType, assignedAt, snapshot }
+ * @param {Array<string>} validCaseTypes - Allowed case types
+ * @returns {Object} Validation result with isValid, errors, warnings and normalized data
+ */
+export function validateAssignmentEntry(entry, validCaseTypes) {
+  const errors = [];
+  const warnings = [];
+
+  const clientRef = entry && typeof entry.clientRef === 'string' ? entry.clientRef.trim() : '';
+  const clinician = entry && typeof entry.clinician === 'string' ? entry.clinician.trim() : '';
+
+  if (clientRef === '') {
+    errors.push({
+      field: 'clientRef',
+      message: 'Client reference is required',
+      value: entry && entry.clientRef
+    });
+  }
+
+  if (clinician === '') {
+    errors.push({
+      field: 'clinician',
+      message: 'Clinician is required',
+      value: entry && entry.clinician
+    });
+  }
+
+  if (!entry || !validCaseTypes.includes(entry.caseType)) {
+    errors.push({
+      field: 'caseType',
+      message: `Case type must be one of: ${validCaseTypes.join(', ')}`,
+      value: entry && entry.caseType
+    });
+  }
+
+  if (!entry || !parseISODate(entry.assignedAt)) {
+    errors.push({
+      field: 'assignedAt',
+      message: 'Assignment date must be a YYYY-MM-DD date',
+      value: entry && entry.assignedAt
+    });
+  }
+
+  if (!entry || !entry.snapshot) {
+    warnings.push({
+      field: 'snapshot',
+      message: `${clientRef || 'Assignment'}: No score snapshot recorded`,
+      value: null
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings,
+    data: errors.length === 0
+      ? {
+        clientRef,
+        clinician,
+        fullName: entry.fullName || clinician,
+        caseType: entry.caseType,
+        assignedAt: entry.assignedAt,
+        snapshot: entry.snapshot || null
+      }
+      : null
+  };
+}
+
 /**
  * Safely calculate average from array with validation
  * @param {Array<number>} values - Array of numbers
@@ -268,14 +948,23 @@ export function validateAndNormalizeClinicianData(clinician) {
     name: clinician.name || 'Unknown',
     fullName: clinician.fullName,
     level: clinician.level || 'junior',
+    fte: typeof clinician.fte === 'number' ? clinician.fte : 1,
+    contractedHoursPerMonth: typeof clinician.contractedHoursPerMonth === 'number' ? clinician.contractedHoursPerMonth : null,
     recentHours: typeof clinician.recentHours === 'number' ? clinician.recentHours : 0,
     previousHours: typeof clinician.previousHours === 'number' ? clinician.previousHours : 0,
     activeCases: typeof clinician.activeCases === 'number' ? clinician.activeCases : 0,
-    monthlyHours2025: Array.isArray(clinician.monthlyHours2025) ? clinician.monthlyHours2025 : []
+    monthlyHours: Array.isArray(clinician.monthlyHours) ? clinician.monthlyHours : [],
+    monthKeys: Array.isArray(clinician.monthKeys) ? clinician.monthKeys : [],
+    leave: Array.isArray(clinician.leave) ? clinician.leave : [],
+    cases: Array.isArray(clinician.cases) ? clinician.cases : null,
+    specialties: Array.isArray(clinician.specialties) ? clinician.specialties : [],
+    startDate: clinician.startDate || null,
+    endDate: clinician.endDate || null,
+    hoursByType: Array.isArray(clinician.hoursByType) ? clinician.hoursByType : null
   };
 
   // Validate monthly hours
-  const monthlyHoursValidation = validateMonthlyHours(normalized.monthlyHours2025, normalized.name);
+  const monthlyHoursValidation = validateMonthlyHours(normalized.monthlyHours, normalized.name, normalized.monthKeys);
   if (!monthlyHoursValidation.isValid) {
     errors.push(...monthlyHoursValidation.errors);
   }
@@ -1,44 +1,49 @@
 /**
  * Date utility for future-proof date calculations
  * Automatically determines current month and calculates dynamic date ranges
+ *
+ * Functions that depend on "today" take an optional asOf date (defaults to now), so the
+ * dashboard can be recomputed as of an earlier date.
  */
 
 /**
  * Get the current date information
+ * @param {Date} asOf - Date to treat as today
  * @returns {Object} Current year, month (1-12), and month index (0-11)
  */
-export function getCurrentDate() {
-  const now = new Date();
+export function getCurrentDate(asOf = new Date()) {
   return {
-    year: now.getFullYear(),
-    month: now.getMonth() + 1, // 1-12
-    monthIndex: now.getMonth(), // 0-11
+    year: asOf.getFullYear(),
+    month: asOf.getMonth() + 1, // 1-12
+    monthIndex: asOf.getMonth(), // 0-11
   };
 }
 
 /**
  * Get the current month index (0-based) relative to January of current year
+ * @param {Date} asOf - Date to treat as today
  * @returns {number} 0 for January, 1 for February, etc.
  */
-export function getCurrentMonthIndex() {
-  return new Date().getMonth();
+export function getCurrentMonthIndex(asOf = new Date()) {
+  return asOf.getMonth();
 }
 
 /**
  * Get the current year
+ * @param {Date} asOf - Date to treat as today
  * @returns {number} Current year (e.g., 2025)
  */
-export function getCurrentYear() {
-  return new Date().getFullYear();
+export function getCurrentYear(asOf = new Date()) {
+  return asOf.getFullYear();
 }
 
 /**
  * Calculate the indices for the last N months (inclusive of current month)
  * @param {number} months - Number of months to include
+ * @param {number} currentIndex - Index of the current month in the series (defaults to calendar month index)
  * @returns {Object} Start and end indices for slicing monthly data array
  */
-export function getLastNMonthsIndices(months = 6) {
-  const currentIndex = getCurrentMonthIndex();
+export function getLastNMonthsIndices(months = 6, currentIndex = getCurrentMonthIndex()) {
   const startIndex = Math.max(0, currentIndex - months + 1);
   const endIndex = currentIndex + 1; // +1 because slice is exclusive
 
@@ -52,11 +57,10 @@ export function getLastNMonthsIndices(months = 6) {
 /**
  * Get indices for recent N months and previous N months for growth comparison
  * @param {number} monthsPerPeriod - Number of months in each period (default 3)
+ * @param {number} currentIndex - Index of the current month in the series (defaults to calendar month index)
  * @returns {Object} Indices for recent and previous periods
  */
-export function getGrowthComparisonIndices(monthsPerPeriod = 3) {
-  const currentIndex = getCurrentMonthIndex();
-
+export function getGrowthComparisonIndices(monthsPerPeriod = 3, currentIndex = getCurrentMonthIndex()) {
   // Recent period: last N months including current
   const recentEndIndex = currentIndex + 1;
   const recentStartIndex = Math.max(0, currentIndex - monthsPerPeriod + 1);
@@ -79,32 +83,35 @@ export function getGrowthComparisonIndices(monthsPerPeriod = 3) {
 
 /**
  * Get month labels from January to current month
+ * @param {Date} asOf - Date to treat as today
  * @returns {Array<string>} Array of month labels
  */
-export function getMonthLabelsUpToCurrent() {
+export function getMonthLabelsUpToCurrent(asOf = new Date()) {
   const allMonths = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  const currentIndex = getCurrentMonthIndex();
+  const currentIndex = getCurrentMonthIndex(asOf);
   return allMonths.slice(0, currentIndex + 1);
 }
 
 /**
  * Get the current month name
+ * @param {Date} asOf - Date to treat as today
  * @returns {string} Full month name (e.g., "October")
  */
-export function getCurrentMonthName() {
+export function getCurrentMonthName(asOf = new Date()) {
   const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
                       'July', 'August', 'September', 'October', 'November', 'December'];
-  return monthNames[getCurrentMonthIndex()];
+  return monthNames[getCurrentMonthIndex(asOf)];
 }
 
 /**
  * Get the previous month name
+ * @param {Date} asOf - Date to treat as today
  * @returns {string} Full month name (e.g., "September")
  */
-export function getPreviousMonthName() {
+export function getPreviousMonthName(asOf = new Date()) {
   const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
                       'July', 'August', 'September', 'October', 'November', 'December'];
-  const currentIndex = getCurrentMonthIndex();
+  const currentIndex = getCurrentMonthIndex(asOf);
   const previousIndex = currentIndex > 0 ? currentIndex - 1 : 11;
   return monthNames[previousIndex];
 }
@@ -126,21 +133,31 @@ export function getDateRangeString(startMonthIndex, endMonthIndex, year) {
 
 /**
  * Get display string for 6-month average period
+ * Spans the year boundary when needed (e.g., "Sep 2025-Feb 2026 average")
+ * @param {Date} asOf - Date to treat as today
  * @returns {string} Formatted string (e.g., "May-Oct 2025 average")
  */
-export function get6MonthAverageLabel() {
-  const { startIndex, endIndex } = getLastNMonthsIndices(6);
-  const year = getCurrentYear();
-  return `${getDateRangeString(startIndex, endIndex - 1, year)} average`;
+export function get6MonthAverageLabel(asOf = new Date()) {
+  const endKey = getCurrentMonthColumn(asOf);
+  const startKey = shiftMonthKey(endKey, -5);
+  const start = parseMonthKey(startKey);
+  const end = parseMonthKey(endKey);
+
+  if (start.year === end.year) {
+    return `${getDateRangeString(start.month - 1, end.month - 1, end.year)} average`;
+  }
+
+  return `${formatMonthKey(startKey)}-${formatMonthKey(endKey)} average`;
 }
 
 /**
  * Get CSV column names for current year up to current month
+ * @param {Date} asOf - Date to treat as today
  * @returns {Array<string>} Array of column names (e.g., ["2025_1", "2025_2", ...])
  */
-export function getCSVColumnNames() {
-  const year = getCurrentYear();
-  const currentMonth = getCurrentMonthIndex() + 1; // 1-based month
+export function getCSVColumnNames(asOf = new Date()) {
+  const year = getCurrentYear(asOf);
+  const currentMonth = getCurrentMonthIndex(asOf) + 1; // 1-based month
   const columns = [];
 
   for (let month = 1; month <= currentMonth; month++) {
@@ -152,21 +169,23 @@ export function getCSVColumnNames() {
 
 /**
  * Get the most recent month's CSV column name
+ * @param {Date} asOf - Date to treat as today
  * @returns {string} Column name (e.g., "2025_10")
  */
-export function getCurrentMonthColumn() {
-  const year = getCurrentYear();
-  const month = getCurrentMonthIndex() + 1; // 1-based
+export function getCurrentMonthColumn(asOf = new Date()) {
+  const year = getCurrentYear(asOf);
+  const month = getCurrentMonthIndex(asOf) + 1; // 1-based
   return `${year}_${month}`;
 }
 
 /**
  * Get the previous month's CSV column name
+ * @param {Date} asOf - Date to treat as today
  * @returns {string} Column name (e.g., "2025_9")
  */
-export function getPreviousMonthColumn() {
-  const year = getCurrentYear();
-  const currentMonth = getCurrentMonthIndex() + 1; // 1-based
+export function getPreviousMonthColumn(asOf = new Date()) {
+  const year = getCurrentYear(asOf);
+  const currentMonth = getCurrentMonthIndex(asOf) + 1; // 1-based
   const previousMonth = currentMonth - 1;
 
   if (previousMonth < 1) {
@@ -176,3 +195,260 @@ export function getPreviousMonthColumn() {
 
   return `${year}_${previousMonth}`;
 }
+
+/**
+ * Matches CSV month columns in the "YYYY_M" format (e.g., "2025_10")
+ */
+export const MONTH_KEY_PATTERN = /^(\d{4})_(\d{1,2})$/;
+
+/**
+ * Check whether a string is a "YYYY_M" month key
+ * @param {string} key - Candidate key (e.g., a CSV header)
+ * @returns {boolean} True if the key is a valid month key
+ */
+export function isMonthKey(key) {
+  const match = MONTH_KEY_PATTERN.exec(String(key).trim());
+  if (!match) return false;
+  const month = parseInt(match[2], 10);
+  return month >= 1 && month <= 12;
+}
+
+/**
+ * Parse a "YYYY_M" month key
+ * @param {string} key - Month key (e.g., "2025_10")
+ * @returns {Object} Year and month (1-12)
+ */
+export function parseMonthKey(key) {
+  const [year, month] = String(key).split('_').map(n => parseInt(n, 10));
+  return { year, month };
+}
+
+/**
+ * Build a "YYYY_M" month key
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @returns {string} Month key (e.g., "2025_10")
+ */
+export function toMonthKey(year, month) {
+  return `${year}_${month}`;
+}
+
+/**
+ * Shift a month key by a number of months, crossing year boundaries
+ * @param {string} key - Month key (e.g., "2025_1")
+ * @param {number} delta - Months to shift (negative for earlier)
+ * @returns {string} Shifted month key (e.g., shiftMonthKey("2025_1", -1) === "2024_12")
+ */
+export function shiftMonthKey(key, delta) {
+  const { year, month } = parseMonthKey(key);
+  const absolute = year * 12 + (month - 1) + delta;
+  return toMonthKey(Math.floor(absolute / 12), (absolute % 12) + 1);
+}
+
+/**
+ * Number of months between two month keys
+ * @param {string} fromKey - Start month key
+ * @param {string} toKey - End month key
+ * @returns {number} Months from fromKey to toKey (negative if toKey is earlier)
+ */
+export function getMonthKeyOffset(fromKey, toKey) {
+  const from = parseMonthKey(fromKey);
+  const to = parseMonthKey(toKey);
+  return (to.year - from.year) * 12 + (to.month - from.month);
+}
+
+/**
+ * Compare two month keys chronologically (for Array.prototype.sort)
+ * @param {string} a - Month key
+ * @param {string} b - Month key
+ * @returns {number} Negative if a is earlier, positive if later, 0 if equal
+ */
+export function compareMonthKeys(a, b) {
+  return getMonthKeyOffset(b, a);
+}
+
+/**
+ * Build a continuous, chronologically ordered list of month keys
+ * @param {string} startKey - First month key (inclusive)
+ * @param {string} endKey - Last month key (inclusive)
+ * @returns {Array<string>} Month keys (e.g., ["2024_11", "2024_12", "2025_1"])
+ */
+export function buildMonthTimeline(startKey, endKey) {
+  const length = getMonthKeyOffset(startKey, endKey) + 1;
+  const timeline = [];
+  for (let i = 0; i < length; i++) {
+    timeline.push(shiftMonthKey(startKey, i));
+  }
+  return timeline;
+}
+
+/**
+ * Index of the current month within a timeline
+ * May be beyond the end of the timeline when the data is behind the calendar
+ * @param {Array<string>} monthKeys - Timeline of month keys
+ * @param {Date} asOf - Date to treat as today
+ * @returns {number} Index the current month has (or would have) in the timeline
+ */
+export function getCurrentTimelineIndex(monthKeys, asOf = new Date()) {
+  if (!Array.isArray(monthKeys) || monthKeys.length === 0) {
+    return getCurrentMonthIndex(asOf);
+  }
+  return getMonthKeyOffset(monthKeys[0], getCurrentMonthColumn(asOf));
+}
+
+/**
+ * Format a month key for display
+ * @param {string} key - Month key (e.g., "2025_10")
+ * @returns {string} Short label (e.g., "Oct 2025")
+ */
+export function formatMonthKey(key) {
+  const monthAbbreviations = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+                              'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const { year, month } = parseMonthKey(key);
+  return `${monthAbbreviations[month - 1]} ${year}`;
+}
+
+/**
+ * Parse a "YYYY-MM-DD" date string as a local date (no timezone shift)
+ * @param {string} value - Date string (e.g., "2025-03-01")
+ * @returns {Date|null} Local date at midnight, or null if missing/invalid
+ */
+export function parseISODate(value) {
+  if (typeof value !== 'string') return null;
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(n => parseInt(n, 10));
+  const date = new Date(year, month - 1, day);
+
+  // Reject dates that rolled over (e.g., 2025-02-30)
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Parse a data timestamp such as "13 November 2025" (the "# Data last updated" line) or "2025-11-13"
+ * @param {string} value - Timestamp text
+ * @returns {Date|null} Local date at midnight, or null if unrecognised
+ */
+export function parseDataTimestamp(value) {
+  if (typeof value !== 'string') return null;
+
+  const isoDate = parseISODate(value.trim().slice(0, 10));
+  if (isoDate) return isoDate;
+
+  const monthNames = ['january', 'february', 'march', 'april', 'may', 'june',
+                      'july', 'august', 'september', 'october', 'november', 'december'];
+  const match = /^(\d{1,2})\s+([A-Za-z]+)\s+(\d{4})/.exec(value.trim());
+  if (!match) return null;
+
+  const day = parseInt(match[1], 10);
+  const monthIndex = monthNames.findIndex(name => name.startsWith(match[2].toLowerCase()) && match[2].length >= 3);
+  const year = parseInt(match[3], 10);
+  if (monthIndex === -1) return null;
+
+  const date = new Date(year, monthIndex, day);
+  return date.getMonth() === monthIndex && date.getDate() === day ? date : null;
+}
+
+/**
+ * Whole days from one date to another (positive if "to" is later)
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {number} Calendar days between the two dates
+ */
+export function daysBetween(from, to) {
+  const start = Date.UTC(from.getFullYear(), from.getMonth(), from.getDate());
+  const end = Date.UTC(to.getFullYear(), to.getMonth(), to.getDate());
+  return Math.round((end - start) / 86400000);
+}
+
+/**
+ * Format a date as "YYYY-MM-DD" (local time)
+ * @param {Date} date - Date to format
+ * @returns {string} ISO date string (e.g., "2025-03-01")
+ */
+export function formatISODate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Add a number of days to a date
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add (negative for earlier)
+ * @returns {Date} New local date at midnight
+ */
+export function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Get the first and last day of a month key
+ * @param {string} key - Month key (e.g., "2025_10")
+ * @returns {Object} { start, end } local dates (inclusive)
+ */
+export function getMonthDateRange(key) {
+  const { year, month } = parseMonthKey(key);
+  return {
+    start: new Date(year, month - 1, 1),
+    end: new Date(year, month, 0)
+  };
+}
+
+/**
+ * Count weekdays (Mon-Fri) between two dates, inclusive
+ * @param {Date} start - First day
+ * @param {Date} end - Last day
+ * @returns {number} Number of weekdays (0 if end is before start)
+ */
+export function countWeekdays(start, end) {
+  let count = 0;
+  for (let day = addDays(start, 0); day <= end; day = addDays(day, 1)) {
+    const weekday = day.getDay();
+    if (weekday !== 0 && weekday !== 6) count++;
+  }
+  return count;
+}
+
+/**
+ * Count working days (weekdays that are not public holidays) between two dates, inclusive
+ * @param {Date} start - First day
+ * @param {Date} end - Last day
+ * @param {Array<string>|Set<string>} holidays - Public holidays as "YYYY-MM-DD" dates
+ * @returns {number} Number of working days (0 if end is before start)
+ */
+export function countWorkingDays(start, end, holidays = []) {
+  const holidaySet = holidays instanceof Set ? holidays : new Set(holidays);
+  let count = 0;
+  for (let day = addDays(start, 0); day <= end; day = addDays(day, 1)) {
+    const weekday = day.getDay();
+    if (weekday !== 0 && weekday !== 6 && !holidaySet.has(formatISODate(day))) count++;
+  }
+  return count;
+}
+
+/**
+ * Count working days in a month
+ * @param {string} key - Month key (e.g., "2025_12")
+ * @param {Array<string>|Set<string>} holidays - Public holidays as "YYYY-MM-DD" dates
+ * @returns {number} Weekdays in the month that are not public holidays
+ */
+export function getWorkingDaysInMonth(key, holidays = []) {
+  const { start, end } = getMonthDateRange(key);
+  return countWorkingDays(start, end, holidays);
+}
+
+/**
+ * Count working days for each month of a timeline
+ * @param {Array<string>} monthKeys - Timeline of month keys
+ * @param {Array<string>|Set<string>} holidays - Public holidays as "YYYY-MM-DD" dates
+ * @returns {Array<number>} Working days per month, aligned to monthKeys
+ */
+export function getWorkingDaysByMonth(monthKeys, holidays = []) {
+  const holidaySet = holidays instanceof Set ? holidays : new Set(holidays);
+  return monthKeys.map(key => getWorkingDaysInMonth(key, holidaySet));
+}
@@ -0,0 +1,203 @@
+/**
+ * Fairness report
+ * Compares how new cases (from the assignment log) and clinical hours (from the monthly data)
+ * were spread across the team against each clinician's capacity, and how closely the
+ * recommendations were followed.
+ */
+
+import { getCurrentTimelineIndex, getMonthDateRange, parseISODate, formatISODate, formatMonthKey } from './dateUtils.js';
+import { levelLabels } from './roster.js';
+import { toCSV } from './csvExport.js';
+
+/**
+ * Gini coefficient of a set of non-negative values
+ * 0 = perfectly even, approaching 1 = everything with one person
+ * @param {Array<number>} values - e.g. hours per clinician
+ * @returns {number} Gini coefficient (0 when there are fewer than two values or the total is 0)
+ */
+export function calculateGini(values) {
+  const sorted = values.filter(v => Number.isFinite(v) && v >= 0).sort((a, b) => a - b);
+  const n = sorted.length;
+  const total = sorted.reduce((sum, v) => sum + v, 0);
+  if (n < 2 || total === 0) return 0;
+
+  const weightedSum = sorted.reduce((sum, v, i) => sum + (2 * (i + 1) - n - 1) * v, 0);
+  return weightedSum / (n * total);
+}
+
+const share = (part, total) => (total > 0 ? part / total : 0);
+
+/**
+ * Add shares and the case share / capacity share ratio to a row of totals
+ * @param {Object} row - { newCases, hours, capacityHours, ... }
+ * @param {Object} totals - Team totals of the same fields
+ * @returns {Object} Row with caseShare, hoursShare, capacityShare and caseShareRatio (1 = fair share)
+ */
+function withShares(row, totals) {
+  const caseShare = share(row.newCases, totals.newCases);
+  const capacityShare = share(row.capacityHours, totals.capacityHours);
+  return {
+    ...row,
+    caseShare,
+    hoursShare: share(row.hours, totals.hours),
+    capacityShare,
+    caseShareRatio: capacityShare > 0 ? caseShare / capacityShare : null
+  };
+}
+
+/**
+ * Build the fairness report for a period ending on asOf
+ * @param {Array<Object>} assignments - Assignment log records (undone ones are ignored)
+ * @param {Array<Object>} clinicians - Scored clinicians (fullName, level, capacity, monthKeys, monthlyHours)
+ * @param {Object} options - { months, asOf }
+ *   months: period length in calendar months, including the current one (default 6)
+ *   asOf: last day of the period (default today)
+ * Cases and hours are counted over the same months, so their shares compare: when the data is
+ * behind, the period ends with its last month and later assignments are only counted in
+ * period.casesAfterData
+ * @returns {Object} { period, clinicians, levels, team } - period: { start, end, asOf, monthKeys,
+ *   casesAfterData }; clinicians and levels rows:
+ *   { name/level, newCases, caseShare, hours, hoursShare, capacityHours, capacityShare, caseShareRatio,
+ *     topRanked, redBand }; team: { newCases, withSnapshot, topRanked, topRankedRate, redBand,
+ *     redBandRate, unmatched, hoursGini, hoursPerCapacityGini }
+ */
+export function buildFairnessReport(assignments, clinicians, options = {}) {
+  const { months = 6, asOf = new Date() } = options;
+  const today = new Date(asOf.getFullYear(), asOf.getMonth(), asOf.getDate());
+
+  // Months of the data timeline inside the period (the current one may be partial)
+  const monthKeys = clinicians[0]?.monthKeys || [];
+  const currentIndex = Math.min(getCurrentTimelineIndex(monthKeys, asOf), monthKeys.length - 1);
+  const firstIndex = Math.max(0, currentIndex - months + 1);
+  const periodMonthKeys = monthKeys.slice(firstIndex, currentIndex + 1);
+
+  // Assignments are counted over the same months as the hours (calendar months without data)
+  const start = periodMonthKeys.length > 0
+    ? getMonthDateRange(periodMonthKeys[0]).start
+    : new Date(asOf.getFullYear(), asOf.getMonth() - months + 1, 1);
+  const lastMonthEnd = periodMonthKeys.length > 0 ? getMonthDateRange(periodMonthKeys[periodMonthKeys.length - 1]).end : today;
+  const end = lastMonthEnd < today ? lastMonthEnd : today;
+
+  const active = assignments
+    .filter(a => !a.undoneAt)
+    .map(a => ({ assignment: a, assignedAt: parseISODate(a.assignedAt) }))
+    .filter(({ assignedAt }) => assignedAt);
+  const inPeriod = active
+    .filter(({ assignedAt }) => assignedAt >= start && assignedAt <= end)
+    .map(({ assignment }) => assignment);
+  const casesAfterData = active.filter(({ assignedAt }) => assignedAt > end && assignedAt <= today).length;
+
+  const clinicianTotals = clinicians.map(clinician => {
+    // Matched on the full name the log stores, so a display name change doesn't lose assignments
+    const fullName = clinician.fullName || clinician.name;
+    const received = inPeriod.filter(a => a.fullName === fullName);
+    const hours = (clinician.monthlyHours || [])
+      .slice(firstIndex, currentIndex + 1)
+      .reduce((sum, h) => sum + h, 0);
+    return {
+      name: clinician.name,
+      level: clinician.level,
+      newCases: received.length,
+      hours: Number(hours.toFixed(1)),
+      capacityHours: clinician.capacity.hoursPerMonth * periodMonthKeys.length,
+      topRanked: received.filter(a => a.snapshot && a.snapshot.rank === 1).length,
+      redBand: received.filter(a => a.snapshot && a.snapshot.recommendationLevel === 'low').length
+    };
+  });
+
+  const sumOf = (rows, field) => rows.reduce((sum, row) => sum + row[field], 0);
+  const totals = {
+    newCases: sumOf(clinicianTotals, 'newCases'),
+    hours: sumOf(clinicianTotals, 'hours'),
+    capacityHours: sumOf(clinicianTotals, 'capacityHours')
+  };
+
+  const levels = Object.keys(levelLabels)
+    .map(level => {
+      const rows = clinicianTotals.filter(row => row.level === level);
+      return {
+        level,
+        clinicians: rows.length,
+        newCases: sumOf(rows, 'newCases'),
+        hours: Number(sumOf(rows, 'hours').toFixed(1)),
+        capacityHours: sumOf(rows, 'capacityHours'),
+        topRanked: sumOf(rows, 'topRanked'),
+        redBand: sumOf(rows, 'redBand')
+      };
+    })
+    .filter(row => row.clinicians > 0);
+
+  // Recommendation follow-through counts every assignment in the period, including ones to
+  // clinicians no longer in the data
+  const withSnapshot = inPeriod.filter(a => a.snapshot);
+  const topRanked = withSnapshot.filter(a => a.snapshot.rank === 1).length;
+  const redBand = withSnapshot.filter(a => a.snapshot.recommendationLevel === 'low').length;
+  const fullNames = new Set(clinicians.map(c => c.fullName || c.name));
+
+  return {
+    period: { start, end, asOf: today, monthKeys: periodMonthKeys, casesAfterData },
+    clinicians: clinicianTotals.map(row => withShares(row, totals)),
+    levels: levels.map(row => withShares(row, totals)),
+    team: {
+      newCases: inPeriod.length,
+      withSnapshot: withSnapshot.length,
+      topRanked,
+      topRankedRate: share(topRanked, withSnapshot.length),
+      redBand,
+      redBandRate: share(redBand, withSnapshot.length),
+      unmatched: inPeriod.filter(a => !fullNames.has(a.fullName)).length,
+      hoursGini: calculateGini(clinicianTotals.map(row => row.hours)),
+      // Hours relative to each clinician's own capacity, so part-timers doing less isn't read as unfair
+      hoursPerCapacityGini: calculateGini(clinicianTotals
+        .filter(row => row.capacityHours > 0)
+        .map(row => row.hours / row.capacityHours))
+    }
+  };
+}
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+const ratio = value => (value === null ? '' : value.toFixed(2));
+
+/**
+ * Format the fairness report as CSV: a summary block, then per-clinician and per-level tables
+ * @param {Object} report - From buildFairnessReport
+ * @returns {string} CSV text
+ */
+export function fairnessReportToCSV(report) {
+  const { period, team } = report;
+  const monthRange = period.monthKeys.length > 0
+    ? `${formatMonthKey(period.monthKeys[0])} - ${formatMonthKey(period.monthKeys[period.monthKeys.length - 1])}`
+    : '';
+  const tableHeader = ['New cases', 'Case share', 'Hours', 'Hours share', 'Capacity hours', 'Capacity share', 'Case share / capacity share', 'Top-ranked', 'Red band'];
+  const tableCells = row => [
+    row.newCases,
+    percent(row.caseShare),
+    row.hours,
+    percent(row.hoursShare),
+    Number(row.capacityHours.toFixed(1)),
+    percent(row.capacityShare),
+    ratio(row.caseShareRatio),
+    row.topRanked,
+    row.redBand
+  ];
+
+  return toCSV([
+    ['Metric', 'Value'],
+    ['Period', `${formatISODate(period.start)} to ${formatISODate(period.end)}`],
+    ...(period.end < period.asOf ? [['New cases after the data ends (not counted)', period.casesAfterData]] : []),
+    ['Hours months', monthRange],
+    ['New cases', team.newCases],
+    ['Assignments with a score snapshot', team.withSnapshot],
+    ['Top-ranked clinician chosen', `${team.topRanked} (${percent(team.topRankedRate)})`],
+    ['Red-band clinician chosen', `${team.redBand} (${percent(team.redBandRate)})`],
+    ['Assignments to clinicians not in the data', team.unmatched],
+    ['Gini of hours', team.hoursGini.toFixed(3)],
+    ['Gini of hours / capacity', team.hoursPerCapacityGini.toFixed(3)],
+    [],
+    ['Clinician', 'Level', ...tableHeader],
+    ...report.clinicians.map(row => [row.name, levelLabels[row.level] || row.level, ...tableCells(row)]),
+    [],
+    ['Level', 'Clinicians', ...tableHeader],
+    ...report.levels.map(row => [levelLabels[row.level] || row.level, row.clinicians, ...tableCells(row)])
+  ]);
+}
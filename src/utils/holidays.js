@@ -0,0 +1,53 @@
+/**
+ * Public holiday calendar
+ * Loads public_holidays.json (Singapore public holidays by default) so working days can be
+ * counted without holidays, e.g. when projecting the current month's hours.
+ */
+
+import { validateHolidayEntry } from './dataValidation.js';
+
+/**
+ * Validate raw holiday entries
+ * @param {Array<Object>} rawEntries - Raw entries from JSON
+ * @returns {Object} { holidays, errors, warnings } - holidays as sorted "YYYY-MM-DD" dates
+ */
+function validateHolidayEntries(rawEntries) {
+  const dates = new Set();
+  const errors = [];
+  const warnings = [];
+
+  rawEntries.forEach((rawEntry, index) => {
+    const validation = validateHolidayEntry(rawEntry, index);
+    warnings.push(...validation.warnings);
+
+    if (!validation.isValid) {
+      errors.push(...validation.errors);
+      console.error(`Skipping holiday entry ${index + 1}:`, validation.errors);
+      return;
+    }
+
+    dates.add(validation.data.date);
+  });
+
+  return { holidays: [...dates].sort(), errors, warnings };
+}
+
+/**
+ * Fetch public_holidays.json
+ * The file is optional: without it every weekday counts as a working day
+ * @returns {Promise<Object>} { region, holidays, errors, warnings }
+ */
+export async function fetchHolidays() {
+  try {
+    const response = await fetch('/public_holidays.json');
+    if (response.ok) {
+      const json = await response.json();
+      const rawEntries = Array.isArray(json) ? json : (json.holidays || []);
+      return { region: json.region || null, ...validateHolidayEntries(rawEntries) };
+    }
+  } catch (error) {
+    console.warn('[holidays] Could not load public_holidays.json:', error);
+  }
+
+  return { region: null, holidays: [], errors: [], warnings: [] };
+}
@@ -0,0 +1,191 @@
+/**
+ * Unusual monthly hours
+ * Flags monthly hours that are probably data errors (a typo like 450h for 45h, or a zero month
+ * from a missing export) before they reach scoring, and applies the user's choice to keep,
+ * cap or exclude each flagged value.
+ */
+
+import { validateMonthlyHours, calculateMedian, getHoursBaseline } from './dataValidation.js';
+import { getCurrentTimelineIndex, formatMonthKey } from './dateUtils.js';
+import { getLeaveMonths } from './leaveCalendar.js';
+import { DEFAULT_SCORING_CONFIG } from './scoringConfig.js';
+
+const STORAGE_KEY = 'hoursAnomalyActions';
+
+// Clinicians with hours in a month needed before comparing against the team
+const MIN_TEAM_SIZE = 3;
+
+const round = value => Math.round(value * 10) / 10;
+
+/**
+ * Key identifying a flagged value, used to remember the action chosen for it
+ * @param {string} name - Clinician name
+ * @param {string} monthKey - "YYYY_M" month key
+ * @returns {string} Key
+ */
+export function getAnomalyKey(name, monthKey) {
+  return `${name}|${monthKey}`;
+}
+
+/**
+ * Find unusual monthly hours across the team
+ * Checks each clinician against the monthly ceiling, their own usual month (spikes and zero
+ * months) and the team median for the month. Zero months mostly on leave are not flagged.
+ * @param {Array<Object>} cliniciansData - Clinicians with monthKeys, monthlyHours and leave
+ * @param {Object} config - Scoring config (hoursAnomalies and availability sections)
+ * @param {Date} asOf - Date the current month is taken from
+ * @param {Array<string>} holidays - Public holidays ("YYYY-MM-DD"), not counted as working days of leave
+ * @returns {Array<Object>} One entry per flagged value, newest month first:
+ *   { key, name, monthKey, index, value, types, reasons, capValue, excludeValue }
+ *   capValue: lowest threshold the value broke (null when it is only a zero month)
+ *   excludeValue: the clinician's usual month, used in place of the value when excluded
+ */
+export function detectHoursAnomalies(cliniciansData, config = DEFAULT_SCORING_CONFIG, asOf = new Date(), holidays = []) {
+  if (!Array.isArray(cliniciansData) || cliniciansData.length === 0) return [];
+
+  const { ceilingHours, spikeMultiplier, teamMultiplier, minChangeHours, lookbackMonths } = config.hoursAnomalies;
+  const monthKeys = cliniciansData[0].monthKeys || [];
+  const partialIndex = getCurrentTimelineIndex(monthKeys, asOf);
+  const endIndex = Math.min(partialIndex, monthKeys.length - 1);
+  const startIndex = Math.max(0, endIndex - lookbackMonths + 1);
+
+  const holidaySet = new Set(holidays);
+  const flagged = new Map();
+  const flag = (clinician, index, type, reason, limit) => {
+    const key = getAnomalyKey(clinician.name, monthKeys[index]);
+    if (!flagged.has(key)) {
+      flagged.set(key, {
+        key,
+        name: clinician.name,
+        monthKey: monthKeys[index],
+        index,
+        value: clinician.monthlyHours[index],
+        types: [],
+        reasons: [],
+        capValue: null,
+        excludeValue: getHoursBaseline(clinician.monthlyHours, index)
+      });
+    }
+    const anomaly = flagged.get(key);
+    anomaly.types.push(type);
+    anomaly.reasons.push(reason);
+    if (limit !== null) {
+      anomaly.capValue = anomaly.capValue === null ? limit : Math.min(anomaly.capValue, limit);
+    }
+  };
+
+  cliniciansData.forEach(clinician => {
+    const { warnings } = validateMonthlyHours(clinician.monthlyHours, clinician.name, clinician.monthKeys, {
+      ceilingHours, spikeMultiplier, minChangeHours, startIndex, endIndex, partialIndex
+    });
+    const leaveMonths = getLeaveMonths(clinician.leave || [], monthKeys, config.availability.minLeaveMonthFraction, holidaySet);
+
+    warnings.forEach(({ message, anomaly }) => {
+      if (anomaly.type === 'drop' && leaveMonths[anomaly.index]) return;
+      flag(clinician, anomaly.index, anomaly.type, message, anomaly.limit);
+    });
+  });
+
+  for (let index = startIndex; index <= endIndex; index++) {
+    const recorded = cliniciansData.map(c => c.monthlyHours?.[index]).filter(hours => hours > 0);
+    if (recorded.length < MIN_TEAM_SIZE) continue;
+
+    const teamMedian = calculateMedian(recorded);
+    const limit = round(teamMedian * teamMultiplier);
+    cliniciansData.forEach(clinician => {
+      const hours = clinician.monthlyHours?.[index];
+      if (hours > limit && hours - teamMedian >= minChangeHours) {
+        flag(clinician, index, 'team', `${hours}h for ${clinician.name} in ${formatMonthKey(monthKeys[index])} is over ${teamMultiplier}× the team median of ${round(teamMedian)}h`, limit);
+      }
+    });
+  }
+
+  // Without a usual month to fall back on, excluding a high value caps it instead
+  const anomalies = [...flagged.values()];
+  anomalies.forEach(anomaly => {
+    if (anomaly.excludeValue === null) {
+      anomaly.excludeValue = anomaly.capValue ?? anomaly.value;
+    }
+  });
+
+  return anomalies.sort((a, b) => b.index - a.index || a.name.localeCompare(b.name));
+}
+
+/**
+ * Action for a flagged value: the one chosen for it, or the configured default
+ * A zero month has no limit to cap at, so cap keeps it
+ * @param {Object} anomaly - Entry from detectHoursAnomalies
+ * @param {Object} actions - Chosen actions by anomaly key
+ * @param {string} defaultAction - 'keep', 'cap' or 'exclude'
+ * @returns {string} Action
+ */
+export function getAnomalyAction(anomaly, actions = {}, defaultAction = 'keep') {
+  const action = actions[anomaly.key] || defaultAction;
+  return action === 'cap' && anomaly.capValue === null ? 'keep' : action;
+}
+
+/**
+ * Apply the chosen actions to the monthly hours used for scoring
+ * cap lowers the value to the threshold it broke; exclude replaces it with the clinician's
+ * usual month, so burnout and load balancing checks don't see it either
+ * @param {Array<Object>} cliniciansData - Clinicians as loaded
+ * @param {Array<Object>} anomalies - Entries from detectHoursAnomalies
+ * @param {Object} actions - Chosen actions by anomaly key
+ * @param {string} defaultAction - Action for values without a choice of their own
+ * @returns {Array<Object>} Clinicians with adjusted monthlyHours and hoursAdjustments
+ *   ([{ monthKey, action, from, to }]); unchanged clinicians are returned as they are
+ */
+export function applyHoursAnomalyActions(cliniciansData, anomalies, actions = {}, defaultAction = 'keep') {
+  const adjustmentsByName = new Map();
+  anomalies.forEach(anomaly => {
+    const action = getAnomalyAction(anomaly, actions, defaultAction);
+    const to = action === 'cap' ? Math.min(anomaly.value, anomaly.capValue)
+      : action === 'exclude' ? anomaly.excludeValue
+        : anomaly.value;
+    if (to === anomaly.value) return;
+
+    if (!adjustmentsByName.has(anomaly.name)) adjustmentsByName.set(anomaly.name, []);
+    adjustmentsByName.get(anomaly.name).push({ index: anomaly.index, monthKey: anomaly.monthKey, action, from: anomaly.value, to });
+  });
+
+  if (adjustmentsByName.size === 0) return cliniciansData;
+
+  return cliniciansData.map(clinician => {
+    const adjustments = adjustmentsByName.get(clinician.name);
+    if (!adjustments) return clinician;
+
+    const monthlyHours = [...clinician.monthlyHours];
+    adjustments.forEach(({ index, to }) => { monthlyHours[index] = to; });
+    return {
+      ...clinician,
+      monthlyHours,
+      hoursAdjustments: adjustments.map(({ monthKey, action, from, to }) => ({ monthKey, action, from, to }))
+    };
+  });
+}
+
+/**
+ * Read the actions chosen for flagged values from localStorage
+ * @returns {Object} Actions by anomaly key (empty if none/unreadable)
+ */
+export function loadAnomalyActions() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.warn('[hoursAnomalies] Could not read saved actions:', error);
+    return {};
+  }
+}
+
+/**
+ * Persist the actions chosen for flagged values to localStorage
+ * @param {Object} actions - Actions by anomaly key
+ */
+export function saveAnomalyActions(actions) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(actions));
+  } catch (error) {
+    console.warn('[hoursAnomalies] Could not save actions:', error);
+  }
+}
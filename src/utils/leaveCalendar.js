@@ -0,0 +1,248 @@
+/**
+ * Leave and availability calendar
+ * Loads clinician_leave.json (or clinician_leave.ics) so clinicians on leave can be
+ * marked unavailable and their leave months kept out of workload baselines.
+ */
+
+import { validateLeaveEntry } from './dataValidation.js';
+import { addDays, countWorkingDays, getMonthDateRange, formatISODate } from './dateUtils.js';
+
+// Default look-ahead for availability (today + 13 days = two working weeks)
+const DEFAULT_AVAILABILITY_DAYS = 14;
+
+/**
+ * Unfold iCal content lines (RFC 5545: continuation lines start with a space or tab)
+ * @param {string} text - Raw .ics content
+ * @returns {Array<string>} Logical lines
+ */
+function unfoldICSLines(text) {
+  return text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n');
+}
+
+/**
+ * Parse an iCal DATE or DATE-TIME value into a local date
+ * @param {string} value - e.g. "20251103" or "20251103T090000Z"
+ * @returns {Date|null} Local date at midnight
+ */
+function parseICSDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  if (!match) return null;
+  return new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+}
+
+/**
+ * Parse an .ics calendar into raw leave entries
+ * The clinician is taken from X-CLINICIAN, then ATTENDEE;CN=..., then the SUMMARY
+ * prefix ("Andrew Lim - Annual Leave" or "Andrew Lim: Annual Leave").
+ * @param {string} text - Raw .ics content
+ * @returns {Array<Object>} Raw leave entries ({ clinician, startDate, endDate, type })
+ */
+export function parseICS(text) {
+  const entries = [];
+  let event = null;
+
+  unfoldICSLines(text).forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      return;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (event) {
+        const summary = event.SUMMARY || '';
+        const summaryMatch = /^(.+?)\s*(?:\s-\s|:)\s*(.+)$/.exec(summary);
+        const isAllDay = /^\d{8}$/.test(event.DTEND || '');
+        const endDate = parseICSDate(event.DTEND);
+
+        entries.push({
+          clinician: event['X-CLINICIAN'] || event.ATTENDEE_CN || (summaryMatch ? summaryMatch[1] : summary),
+          startDate: parseICSDate(event.DTSTART),
+          // All-day DTEND is exclusive, so the last day of leave is the day before
+          endDate: endDate && isAllDay ? addDays(endDate, -1) : (endDate || parseICSDate(event.DTSTART)),
+          type: summaryMatch ? summaryMatch[2] : 'Leave'
+        });
+      }
+      event = null;
+      return;
+    }
+
+    if (!event) return;
+
+    const separatorIndex = line.indexOf(':');
+    if (separatorIndex === -1) return;
+
+    const [name, ...params] = line.slice(0, separatorIndex).split(';');
+    const value = line.slice(separatorIndex + 1).trim();
+
+    if (name === 'ATTENDEE') {
+      const cn = params.find(p => p.startsWith('CN='));
+      if (cn) event.ATTENDEE_CN = cn.slice(3).replace(/^"|"$/g, '');
+    } else {
+      event[name] = value;
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Validate raw leave entries
+ * @param {Array<Object>} rawEntries - Raw entries from JSON or .ics
+ * @returns {Object} { entries, errors, warnings }
+ */
+function validateLeaveEntries(rawEntries) {
+  const entries = [];
+  const errors = [];
+  const warnings = [];
+
+  rawEntries.forEach((rawEntry, index) => {
+    const validation = validateLeaveEntry(rawEntry, index);
+    warnings.push(...validation.warnings);
+
+    if (!validation.isValid) {
+      errors.push(...validation.errors);
+      console.error(`Skipping leave entry ${index + 1}:`, validation.errors);
+      return;
+    }
+
+    entries.push(validation.data);
+  });
+
+  return { entries, errors, warnings };
+}
+
+/**
+ * Whether a fetch response can be the requested leave file
+ * Dev servers and SPA hosts answer a missing file with index.html and status 200
+ * @param {Response} response - Fetch response
+ * @returns {boolean} False for an unsuccessful or HTML response
+ */
+function isLeaveFileResponse(response) {
+  const contentType = response.headers?.get?.('content-type') || '';
+  return response.ok && !contentType.includes('text/html');
+}
+
+/**
+ * Fetch clinician_leave.json
+ * @returns {Promise<Array<Object>|null>} Raw entries, or null when the file is missing or not JSON
+ */
+async function fetchLeaveJSON() {
+  const response = await fetch('/clinician_leave.json');
+  if (!isLeaveFileResponse(response)) return null;
+
+  try {
+    const json = await response.json();
+    return Array.isArray(json) ? json : (json.leave || []);
+  } catch (error) {
+    console.warn('[leaveCalendar] clinician_leave.json is not valid JSON, trying clinician_leave.ics:', error);
+    return null;
+  }
+}
+
+/**
+ * Fetch the leave calendar: clinician_leave.json, falling back to clinician_leave.ics
+ * Leave data is optional, so a missing file yields an empty calendar
+ * @returns {Promise<Object>} { entries, errors, warnings }
+ */
+export async function fetchLeaveCalendar() {
+  try {
+    const rawEntries = await fetchLeaveJSON();
+    if (rawEntries) {
+      return validateLeaveEntries(rawEntries);
+    }
+
+    const icsResponse = await fetch('/clinician_leave.ics');
+    if (isLeaveFileResponse(icsResponse)) {
+      return validateLeaveEntries(parseICS(await icsResponse.text()));
+    }
+  } catch (error) {
+    console.warn('[leaveCalendar] Could not load leave calendar:', error);
+  }
+
+  return { entries: [], errors: [], warnings: [] };
+}
+
+/**
+ * Get leave entries for a clinician (matched by full name or display name)
+ * @param {Array<Object>} entries - Validated leave entries
+ * @param {Array<string>} names - Names the clinician is known by
+ * @returns {Array<Object>} Matching leave entries
+ */
+export function getLeaveForClinician(entries, names) {
+  const lowerNames = names.filter(Boolean).map(n => n.toLowerCase());
+  return entries.filter(entry => lowerNames.includes(entry.clinician.toLowerCase()));
+}
+
+/**
+ * Count working days of leave falling within a date range
+ * @param {Array<Object>} leave - Clinician's leave entries
+ * @param {Date} rangeStart - First day of range
+ * @param {Date} rangeEnd - Last day of range
+ * @param {Array<string>|Set<string>} holidays - Public holidays as "YYYY-MM-DD" dates (not counted)
+ * @returns {number} Working days on leave (overlapping entries counted once)
+ */
+export function countLeaveWeekdays(leave, rangeStart, rangeEnd, holidays = []) {
+  const holidaySet = holidays instanceof Set ? holidays : new Set(holidays);
+  let count = 0;
+  for (let day = rangeStart; day <= rangeEnd; day = addDays(day, 1)) {
+    const weekday = day.getDay();
+    if (weekday === 0 || weekday === 6 || holidaySet.has(formatISODate(day))) continue;
+    if (leave.some(entry => entry.startDate <= day && entry.endDate >= day)) count++;
+  }
+  return count;
+}
+
+/**
+ * Default availability range: today plus the next two weeks
+ * @param {Date} today - Start date
+ * @returns {Object} { start, end }
+ */
+export function getDefaultAvailabilityRange(today = new Date()) {
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  return { start, end: addDays(start, DEFAULT_AVAILABILITY_DAYS - 1) };
+}
+
+/**
+ * Work out a clinician's availability over a date range
+ * @param {Array<Object>} leave - Clinician's leave entries
+ * @param {Object} range - { start, end } dates
+ * @param {number} unavailableFraction - Share of working days on leave at which the clinician is unavailable
+ * @param {Array<string>|Set<string>} holidays - Public holidays as "YYYY-MM-DD" dates (not working days)
+ * @returns {Object} { isAvailable, leaveFraction, leaveDays, overlapping }
+ */
+export function getAvailability(leave, range, unavailableFraction, holidays = []) {
+  const overlapping = leave.filter(entry => entry.startDate <= range.end && entry.endDate >= range.start);
+  const workingDays = countWorkingDays(range.start, range.end, holidays);
+  const leaveDays = overlapping.length > 0 ? countLeaveWeekdays(overlapping, range.start, range.end, holidays) : 0;
+  const leaveFraction = workingDays > 0 ? leaveDays / workingDays : 0;
+
+  return {
+    isAvailable: leaveFraction < unavailableFraction,
+    leaveFraction,
+    leaveDays,
+    overlapping
+  };
+}
+
+/**
+ * Flag months where leave took up a significant share of working days
+ * Those months are excluded from the 6-month average and growth baseline
+ * @param {Array<Object>} leave - Clinician's leave entries
+ * @param {Array<string>} monthKeys - Timeline of month keys
+ * @param {number} minLeaveFraction - Share of working days on leave that makes a "leave month"
+ * @param {Array<string>|Set<string>} holidays - Public holidays as "YYYY-MM-DD" dates (not working days)
+ * @returns {Array<boolean>} True for each leave month, aligned to monthKeys
+ */
+export function getLeaveMonths(leave, monthKeys, minLeaveFraction, holidays = []) {
+  return monthKeys.map(key => {
+    const { start, end } = getMonthDateRange(key);
+    const overlapping = leave.filter(entry => entry.startDate <= end && entry.endDate >= start);
+    if (overlapping.length === 0) return false;
+
+    const workingDays = countWorkingDays(start, end, holidays);
+    return workingDays > 0 && countLeaveWeekdays(overlapping, start, end, holidays) / workingDays >= minLeaveFraction;
+  });
+}
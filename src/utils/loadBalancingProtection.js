@@ -1,10 +1,12 @@
 /**
  * Load Balancing Protection
  * Protects clinicians who are consistently 1.5 standard deviations above mean hours
+ * (threshold and penalties configurable via the scoring config)
  * Uses statistical analysis to objectively identify high-load patterns
  */
 
 import { safeArrayAccess, safeAverage } from './dataValidation.js';
+import { DEFAULT_SCORING_CONFIG } from './scoringConfig.js';
 
 /**
  * Calculate mean and standard deviation for an array of numbers
@@ -39,10 +41,11 @@ function calculateStats(values) {
  * Detect if clinician consistently carries high load (1.5 SD above mean)
  * @param {Array<number>} monthlyHours - This clinician's monthly hours
  * @param {Array<Object>} allClinicians - All clinicians data
- * @param {number} currentMonthIndex - Current month index (0-based)
+ * @param {number} currentMonthIndex - Index of the current month in monthlyHours
+ * @param {Object} config - Scoring config (uses config.loadBalancing)
  * @returns {Object} Load balancing analysis with penalty and level
  */
-export function detectLoadBalancing(monthlyHours, allClinicians, currentMonthIndex) {
+export function detectLoadBalancing(monthlyHours, allClinicians, currentMonthIndex, config = DEFAULT_SCORING_CONFIG) {
   // Validate inputs
   if (!Array.isArray(monthlyHours)) {
     console.warn('[detectLoadBalancing] Invalid monthlyHours: not an array');
@@ -69,16 +72,16 @@ export function detectLoadBalancing(monthlyHours, allClinicians, currentMonthInd
 
   // Check how many consecutive months (from current backwards) this person was 1.5 SD above mean
   let consecutiveCount = 0;
-  const SD_THRESHOLD = 1.5; // Standard deviations above mean
+  const { sdThreshold, lowPenalty, moderatePenalty, highPenalty } = config.loadBalancing;
 
   for (let monthIdx = currentMonthIndex; monthIdx >= 0; monthIdx--) {
     // Get all clinicians' hours for this month with bounds checking
     const monthlyHoursForAll = allClinicians
       .map(c => {
-        if (!c || !Array.isArray(c.monthlyHours2025)) {
+        if (!c || !Array.isArray(c.monthlyHours)) {
           return 0;
         }
-        return safeArrayAccess(c.monthlyHours2025, monthIdx, 0, `loadBalancing:${c.name || 'unknown'}:month${monthIdx}`);
+        return safeArrayAccess(c.monthlyHours, monthIdx, 0, `loadBalancing:${c.name || 'unknown'}:month${monthIdx}`);
       })
       .filter(h => h > 0); // Only include those with hours
 
@@ -97,8 +100,8 @@ export function detectLoadBalancing(monthlyHours, allClinicians, currentMonthInd
       break;
     }
 
-    // Calculate threshold: mean + 1.5 * standard deviation
-    const threshold = mean + (SD_THRESHOLD * stdDev);
+    // Calculate threshold: mean + sdThreshold * standard deviation
+    const threshold = mean + (sdThreshold * stdDev);
 
     // Check if this clinician exceeds threshold with bounds checking
     const thisClinicianHours = safeArrayAccess(
@@ -121,13 +124,13 @@ export function detectLoadBalancing(monthlyHours, allClinicians, currentMonthInd
 
   if (consecutiveCount >= 4) {
     protectionLevel = 'high';      // High Protection
-    penalty = 10;
+    penalty = highPenalty;
   } else if (consecutiveCount === 3) {
     protectionLevel = 'moderate';  // Moderate Protection
-    penalty = 6;
+    penalty = moderatePenalty;
   } else if (consecutiveCount === 2) {
     protectionLevel = 'low';       // Low Protection
-    penalty = 3;
+    penalty = lowPenalty;
   }
 
   return {
@@ -153,6 +156,6 @@ export function getProtectionLabel(protectionLevel) {
 /**
  * Get detailed description
  */
-export function getProtectionDescription(consecutiveHighLoadMonths, penalty) {
-  return `${consecutiveHighLoadMonths} consecutive months at 1.5+ SD above mean hours (Protection: +${penalty} pts)`;
+export function getProtectionDescription(consecutiveHighLoadMonths, penalty, sdThreshold = DEFAULT_SCORING_CONFIG.loadBalancing.sdThreshold) {
+  return `${consecutiveHighLoadMonths} consecutive months at ${sdThreshold}+ SD above mean hours (Protection: +${penalty} pts)`;
 }
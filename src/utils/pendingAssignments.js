@@ -0,0 +1,68 @@
+/**
+ * Pending assignments
+ * Cases logged in the assignment log that the hours data does not reflect yet. They count as
+ * provisional active cases and projected current-month hours, so the ranking moves straight
+ * after each assignment instead of sending everyone to the same person until the next refresh.
+ */
+
+import { daysBetween, parseISODate } from './dateUtils.js';
+import { DEFAULT_SCORING_CONFIG } from './scoringConfig.js';
+import { getCaseTypeCategory } from './caseTypes.js';
+import { getCaseIntensity } from './caseload.js';
+
+/**
+ * How much a logged assignment still counts as pending (0-1)
+ * - Assigned after the data was generated: counts fully
+ * - Covered by the data: fades out linearly over decayDays (the first session may not have happened yet)
+ * - Client already appears in the clinician's case list since the assignment: no longer pending
+ * @param {Object} assignment - Assignment record ({ clientRef, assignedAt, undoneAt })
+ * @param {Date|null} dataAsOf - Date the hours data was generated (null if unknown: today is used)
+ * @param {number} decayDays - Days over which a covered assignment fades out
+ * @param {Array<Object>|null} cases - Clinician's per-client cases, if available
+ * @returns {number} Pending weight
+ */
+export function getPendingWeight(assignment, dataAsOf, decayDays, cases = null) {
+  const assignedAt = parseISODate(assignment.assignedAt);
+  if (!assignedAt || assignment.undoneAt) return 0;
+
+  if (cases && cases.some(c => c.clientId === assignment.clientRef && c.lastSeen >= assignedAt)) {
+    return 0;
+  }
+
+  const daysCovered = daysBetween(assignedAt, dataAsOf || new Date());
+  if (daysCovered < 0) return 1;
+  if (decayDays <= 0) return 0;
+  return Math.max(0, 1 - daysCovered / decayDays);
+}
+
+/**
+ * Sum a clinician's pending assignments into provisional cases and projected hours
+ * @param {Object} clinician - Clinician (matched on fullName, or name when no separate full name)
+ * @param {Array<Object>} assignments - Assignment log records
+ * @param {Date|null} dataAsOf - Date the hours data was generated
+ * @param {Object} config - Scoring config (pendingAssignments and caseIntensity sections)
+ * @returns {Object} { count, cases, weightedCases, hours } - cases and hours are weighted by how
+ *   pending each case still is; weightedCases also applies each case type's intensity
+ */
+export function calculatePendingLoad(clinician, assignments, dataAsOf, config = DEFAULT_SCORING_CONFIG) {
+  const { hoursPerCase, decayDays } = config.pendingAssignments;
+  const fullName = clinician.fullName || clinician.name;
+
+  const pending = assignments
+    .filter(a => a.fullName === fullName)
+    .map(a => ({ assignment: a, weight: getPendingWeight(a, dataAsOf, decayDays, clinician.cases) }))
+    .filter(({ weight }) => weight > 0);
+
+  const cases = pending.reduce((sum, { weight }) => sum + weight, 0);
+  const weightedCases = pending.reduce((sum, { assignment, weight }) => {
+    const category = getCaseTypeCategory(assignment.caseType);
+    return sum + weight * getCaseIntensity({ categories: category ? [category] : [] }, config.caseIntensity);
+  }, 0);
+
+  return {
+    count: pending.length,
+    cases: Number(cases.toFixed(2)),
+    weightedCases: Number(weightedCases.toFixed(2)),
+    hours: Number((cases * hoursPerCase).toFixed(1))
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * Ranking pipeline
+ * The steps between loaded clinician data and the scored list: enrich with assignment metrics,
+ * count active cases for the selected window, then score. Shared by the main view and anything
+ * that needs to re-rank modified data (e.g. the what-if simulator).
+ */
+
+import { calculateScoreBreakdown, getCaseloadInput, getRecommendationLevel, sortByAssignmentScore } from './scoring.js';
+import { enrichWithAssignmentMetrics } from './assignmentMetrics.js';
+import { calculateUtilisation } from './capacity.js';
+import { calculateCaseload, getCaseloadDate } from './caseload.js';
+import { isDataStale } from './dataFreshness.js';
+import { DEFAULT_SCORING_CONFIG } from './scoringConfig.js';
+
+/**
+ * Score every clinician
+ * @param {Array<Object>} cliniciansData - Clinicians from fetchClinicianData
+ * @param {Object} config - Scoring config
+ * @param {Object} options - { timeWindow, caseloadAsOf, asOf, availabilityRange, pendingAssignments, dataAsOf }
+ *   timeWindow: active cases window in months (default 2)
+ *   caseloadAsOf: date client_last_seen.csv was generated (null = scale the 2-month count);
+ *   cases are counted as of the earlier of this and asOf
+ *   other options are passed to enrichWithAssignmentMetrics
+ *   when the data (generated on dataAsOf) is stale and freshness.staleMode is 'block', Highly
+ *   Recommended is lowered to Recommended and highlyRecommendedWithheld is set
+ * @returns {Array<Object>} Enriched clinicians with assignmentScore, scoreBreakdown and recommendationLevel (unsorted)
+ */
+export function scoreClinicians(cliniciansData, config = DEFAULT_SCORING_CONFIG, options = {}) {
+  if (!Array.isArray(cliniciansData) || cliniciansData.length === 0) return [];
+
+  const { timeWindow = 2, caseloadAsOf = null, ...enrichOptions } = options;
+
+  // Logged assignments the data doesn't include yet count as provisional cases and hours
+  const enrichedData = enrichWithAssignmentMetrics(cliniciansData, config, enrichOptions);
+
+  // Check if any clinician is using fallback data
+  const usingFallback = enrichedData.some(c => c.usingPreviousMonthFallback);
+  if (usingFallback && enrichedData.length > 0) {
+    console.log('[scoreClinicians] Some clinicians are using previous month data as fallback');
+  }
+
+  // Active cases for the selected window: counted exactly from per-client last-seen dates
+  // when client_last_seen.csv is available, otherwise scaled from the 2-month count
+  // (square root scaling to account for client overlap, not perfectly linear).
+  // Replaying an earlier date counts the per-client data as of that date; the 2-month count
+  // has no history and stays the latest one
+  const scaleFactor = Math.sqrt(timeWindow / 2);
+  const caseloadDate = getCaseloadDate(caseloadAsOf, enrichOptions.asOf || new Date());
+  const getCaseload = (clinician, windowMonths) => (clinician.cases && caseloadDate
+    ? calculateCaseload(clinician.cases, windowMonths, caseloadDate, config)
+    : null);
+
+  // Calculate baseline (2 months) for normalization - FIXED baseline
+  // This ensures time window changes have meaningful impact
+  const baselineMaxActiveCases = Math.max(...enrichedData.map(c => {
+    const baselineCaseload = getCaseload(c, 2);
+    const recordedActiveCases = c.activeCases - c.pending.cases;
+    return getCaseloadInput({
+      activeCases: baselineCaseload ? baselineCaseload.active : recordedActiveCases,
+      weightedCases: baselineCaseload ? baselineCaseload.weighted : recordedActiveCases * c.hoursIntensity
+    }, config);
+  }), 1);
+
+  const adjustedData = enrichedData.map(clinician => {
+    const caseload = getCaseload(clinician, timeWindow);
+    const recordedActiveCases = clinician.activeCases - clinician.pending.cases;
+    const adjustedActiveCases = (caseload ? caseload.active : Math.round(recordedActiveCases * scaleFactor)) + clinician.pending.cases;
+    // Without per-client data every recorded case counts at the weight implied by the hours mix
+    const weightedCases = (caseload ? caseload.weighted : Math.round(recordedActiveCases * scaleFactor) * clinician.hoursIntensity) + clinician.pending.weightedCases;
+    return {
+      ...clinician,
+      activeCases: adjustedActiveCases,
+      weightedCases: Number(weightedCases.toFixed(1)),
+      caseload,
+      utilisation: calculateUtilisation({ ...clinician, activeCases: adjustedActiveCases }, clinician.capacity)
+    };
+  });
+
+  const withholdHighlyRecommended = config.freshness.staleMode === 'block' &&
+    isDataStale(enrichOptions.dataAsOf || null, config, enrichOptions.asOf || new Date());
+
+  // Pass baseline max for normalization so scores change meaningfully with time window
+  return adjustedData.map(clinician => {
+    const scoreBreakdown = calculateScoreBreakdown(clinician, adjustedData, baselineMaxActiveCases, config);
+    const bandLevel = getRecommendationLevel(scoreBreakdown.score, config);
+    const highlyRecommendedWithheld = withholdHighlyRecommended && bandLevel === 'high';
+    return {
+      ...clinician,
+      assignmentScore: scoreBreakdown.score,
+      scoreBreakdown,
+      recommendationLevel: highlyRecommendedWithheld ? 'medium' : bandLevel,
+      highlyRecommendedWithheld
+    };
+  });
+}
+
+/**
+ * Order scored clinicians for display: best score first, clinicians on leave last
+ * @param {Array<Object>} clinicians - Scored clinicians
+ * @returns {Array<Object>} New sorted array
+ */
+export function rankClinicians(clinicians) {
+  const sorted = sortByAssignmentScore(clinicians);
+  return [
+    ...sorted.filter(c => c.availability.isAvailable),
+    ...sorted.filter(c => !c.availability.isAvailable)
+  ];
+}
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreClinicians } from './ranking.js';
+import { DEFAULT_SCORING_CONFIG } from './scoringConfig.js';
+
+const monthKeys = ['2025_5', '2025_6', '2025_7', '2025_8', '2025_9', '2025_10', '2025_11'];
+const asOf = new Date(2025, 10, 20);
+
+// Same hours each month; caseloads and the mix of appointment categories differ
+const makeClinician = (name, activeCases, mix) => ({
+  name,
+  level: 'senior',
+  fte: 1,
+  activeCases,
+  monthKeys,
+  monthlyHours: monthKeys.map(() => 60),
+  leave: [],
+  cases: null,
+  specialties: [],
+  hoursByType: monthKeys.map(() => ({ counselling: 0, crisis: 0, accompaniment: 0, communication: 0, groupwork: 0, ...mix }))
+});
+
+const team = [
+  makeClinician('Crisis', 8, { crisis: 50, counselling: 10 }),
+  makeClinician('Counselling', 12, { counselling: 60 }),
+  makeClinician('Mixed', 10, { counselling: 40, accompaniment: 20 })
+];
+
+const scoreFor = (caseloadInput, name) => {
+  const config = { ...DEFAULT_SCORING_CONFIG, caseIntensity: { ...DEFAULT_SCORING_CONFIG.caseIntensity, caseloadInput } };
+  return scoreClinicians(team, config, { asOf, dataAsOf: asOf }).find(c => c.name === name);
+};
+
+test('without client_last_seen.csv, the weighted caseload follows the hours mix', () => {
+  assert.ok(scoreFor('active', 'Crisis').weightedCases > scoreFor('active', 'Counselling').weightedCases);
+});
+
+test('a crisis-heavy clinician scores higher on the weighted caseload than on active cases', () => {
+  const active = scoreFor('active', 'Crisis');
+  const weighted = scoreFor('weighted', 'Crisis');
+  assert.equal(active.activeCases, weighted.activeCases);
+  assert.ok(weighted.assignmentScore > active.assignmentScore,
+    `weighted ${weighted.assignmentScore} should be above active ${active.assignmentScore}`);
+});
@@ -0,0 +1,115 @@
+/**
+ * Ranking export
+ * Turns the ranked list as shown (filtered and sorted) into rows for CSV, and into a Markdown
+ * summary for pasting into emails and meeting notes.
+ */
+
+import { levelLabels } from './roster.js';
+import { toCSV } from './csvExport.js';
+
+export const RECOMMENDATION_LABELS = {
+  high: 'Highly Recommended',
+  medium: 'Recommended',
+  low: 'Consider Others First'
+};
+
+/**
+ * List the protections and flags affecting a clinician's ranking
+ * @param {Object} clinician - Scored clinician
+ * @returns {Array<string>} e.g. ["Burnout +10", "On leave"]
+ */
+export function getProtectionFlags(clinician) {
+  const flags = [];
+  if (clinician.burnout && clinician.burnout.penalty > 0) flags.push(`Burnout +${clinician.burnout.penalty}`);
+  if (clinician.loadBalancing && clinician.loadBalancing.penalty > 0) flags.push(`Load balancing +${clinician.loadBalancing.penalty}`);
+  if (clinician.availability && !clinician.availability.isAvailable) flags.push('On leave');
+  if (clinician.highlyRecommendedWithheld) flags.push('Highly Recommended withheld (stale data)');
+  if (clinician.usingPreviousMonthFallback) flags.push('Last month as proxy');
+  if (clinician.currentMonthEstimate && clinician.currentMonthEstimate.confidence !== 'high') {
+    flags.push(`Projected, ${clinician.currentMonthEstimate.confidence} confidence`);
+  }
+  return flags;
+}
+
+/**
+ * Flatten ranked clinicians into export rows
+ * @param {Array<Object>} clinicians - Ranked clinicians, in display order
+ * @returns {Array<Object>} { rank, name, level, activeCases, currentMonth, sixMonthAverage, growthRate,
+ *   score, recommendation, flags }
+ */
+export function buildRankingRows(clinicians) {
+  return clinicians.map((clinician, index) => ({
+    rank: index + 1,
+    name: clinician.name,
+    level: levelLabels[clinician.level] || clinician.level,
+    activeCases: Number(clinician.activeCases.toFixed(1)),
+    currentMonth: Number(clinician.currentMonth.toFixed(1)),
+    sixMonthAverage: Number(clinician.sixMonthAverage.toFixed(1)),
+    growthRate: Number(clinician.growthRate.toFixed(1)),
+    score: clinician.assignmentScore,
+    recommendation: clinician.availability && !clinician.availability.isAvailable
+      ? 'On Leave'
+      : RECOMMENDATION_LABELS[clinician.recommendationLevel],
+    flags: getProtectionFlags(clinician)
+  }));
+}
+
+/**
+ * Format the ranking as CSV
+ * @param {Array<Object>} clinicians - Ranked clinicians, in display order
+ * @param {Object} meta - { dataTimestamp, staleWarning, filters } - shown in the first lines
+ * @returns {string} CSV text
+ */
+export function rankingToCSV(clinicians, meta = {}) {
+  return toCSV([
+    ['Data last updated', meta.dataTimestamp || ''],
+    ...(meta.staleWarning ? [['Warning', meta.staleWarning]] : []),
+    ['Filters', meta.filters || ''],
+    [],
+    ['Rank', 'Clinician', 'Level', 'Active cases', 'Current month hours', '6-month average hours', 'Growth rate %', 'Score', 'Recommendation', 'Flags'],
+    ...buildRankingRows(clinicians).map(row => [
+      row.rank,
+      row.name,
+      row.level,
+      row.activeCases,
+      row.currentMonth,
+      row.sixMonthAverage,
+      row.growthRate,
+      row.score,
+      row.recommendation,
+      row.flags.join('; ')
+    ])
+  ]);
+}
+
+/**
+ * Format the ranking as a Markdown table (readable as plain text too)
+ * @param {Array<Object>} clinicians - Ranked clinicians, in display order
+ * @param {Object} meta - { dataTimestamp, staleWarning, filters }
+ * @returns {string} Markdown text
+ */
+export function rankingToMarkdown(clinicians, meta = {}) {
+  const escapeCell = value => String(value).replace(/\|/g, '\\|');
+  const lines = [
+    '**Assignment ranking**',
+    ...(meta.filters ? [`Filters: ${meta.filters}`] : []),
+    ...(meta.dataTimestamp ? [`Data last updated: ${meta.dataTimestamp}`] : []),
+    ...(meta.staleWarning ? [`**Warning:** ${meta.staleWarning}`] : []),
+    '',
+    '| # | Clinician | Level | Cases | This month | 6-mo avg | Growth | Score | Recommendation | Flags |',
+    '|---|---|---|---|---|---|---|---|---|---|',
+    ...buildRankingRows(clinicians).map(row => `| ${[
+      row.rank,
+      row.name,
+      row.level,
+      row.activeCases,
+      `${row.currentMonth}h`,
+      `${row.sixMonthAverage}h`,
+      `${row.growthRate > 0 ? '+' : ''}${row.growthRate}%`,
+      row.score,
+      row.recommendation,
+      row.flags.join(', ') || '–'
+    ].map(escapeCell).join(' | ')} |`)
+  ];
+  return lines.join('\n');
+}
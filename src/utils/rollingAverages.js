@@ -3,7 +3,7 @@
  * Provides a more stable view of assignment over sustained periods
  */
 
-import { getCurrentMonthIndex, getGrowthComparisonIndices } from './dateUtils.js';
+import { getCurrentTimelineIndex, getGrowthComparisonIndices } from './dateUtils.js';
 
 /**
  * Calculate 3-month rolling average
@@ -28,18 +28,20 @@ export function calculateRollingAverage(monthlyHours, endIndex) {
 /**
  * Add rolling average fields to clinician data
  * Recent and previous periods calculated dynamically based on current date
+ * @param {Array<Object>} cliniciansData - Clinicians from fetchClinicianData
+ * @param {Date} asOf - Date to treat as today
  */
-export function enrichWithRollingAverages(cliniciansData) {
-  const currentMonthIndex = getCurrentMonthIndex();
-  const { recent, previous } = getGrowthComparisonIndices(3);
-
+export function enrichWithRollingAverages(cliniciansData, asOf = new Date()) {
   return cliniciansData.map(clinician => {
+    const currentMonthIndex = getCurrentTimelineIndex(clinician.monthKeys, asOf);
+    const { previous } = getGrowthComparisonIndices(3, currentMonthIndex);
+
     // Recent 3 months average (ending at current month)
-    const recentAvg = calculateRollingAverage(clinician.monthlyHours2025, currentMonthIndex);
+    const recentAvg = calculateRollingAverage(clinician.monthlyHours, currentMonthIndex);
 
     // Previous 3 months average (ending 3 months before current)
     const previousEndIndex = previous.endIndex - 1; // -1 because endIndex is exclusive in slice
-    const previousAvg = calculateRollingAverage(clinician.monthlyHours2025, previousEndIndex);
+    const previousAvg = calculateRollingAverage(clinician.monthlyHours, previousEndIndex);
 
     return {
       ...clinician,
@@ -0,0 +1,84 @@
+/**
+ * Clinician roster
+ * Loads clinician_roster.json (full name, display name, level, FTE, start/end date, active flag,
+ * specialty tags)
+ * which replaces the hardcoded level and display name maps.
+ */
+
+import { validateRosterEntry } from './dataValidation.js';
+import { SPECIALTIES } from './caseTypes.js';
+
+export const levelLabels = {
+  junior: 'Junior',
+  senior: 'Senior',
+  lead: 'Lead'
+};
+
+/**
+ * Check whether a date falls within a roster entry's start/end dates
+ * Also works on clinician data, which carries the dates from the roster
+ * @param {Object} entry - Normalized roster entry or clinician ({ startDate, endDate })
+ * @param {Date} date - Date to check against (defaults to today)
+ * @returns {boolean} True if within start/end dates
+ */
+export function isEmployedOn(entry, date = new Date()) {
+  if (!entry) return false;
+
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (entry.startDate && entry.startDate > day) return false;
+  if (entry.endDate && entry.endDate < day) return false;
+
+  return true;
+}
+
+/**
+ * Fetch and validate clinician_roster.json
+ * Accepts either an array of entries or { clinicians: [...] }
+ * @returns {Promise<Object>} { roster, errors, warnings } - roster is keyed by full name
+ */
+export async function fetchRoster() {
+  const response = await fetch('/clinician_roster.json');
+  if (!response.ok) {
+    throw new Error(`Failed to fetch roster: ${response.status} ${response.statusText}`);
+  }
+
+  const json = await response.json();
+  const entries = Array.isArray(json) ? json : json.clinicians;
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Roster is empty or has no "clinicians" list');
+  }
+
+  const roster = {};
+  const errors = [];
+  const warnings = [];
+  const validLevels = Object.keys(levelLabels);
+  const validSpecialties = Object.keys(SPECIALTIES);
+
+  entries.forEach((entry, index) => {
+    const validation = validateRosterEntry(entry, index, validLevels, validSpecialties);
+    warnings.push(...validation.warnings);
+
+    if (!validation.isValid) {
+      errors.push(...validation.errors);
+      console.error(`Skipping roster entry ${index + 1}:`, validation.errors);
+      return;
+    }
+
+    const { fullName } = validation.data;
+    if (roster[fullName]) {
+      warnings.push({
+        field: 'fullName',
+        message: `Duplicate roster entry for ${fullName}, using the first one`,
+        value: fullName
+      });
+      return;
+    }
+
+    roster[fullName] = validation.data;
+  });
+
+  console.log(`Roster loaded: ${Object.keys(roster).length} clinicians, ${errors.length} errors, ${warnings.length} warnings`);
+
+  return { roster, errors, warnings };
+}
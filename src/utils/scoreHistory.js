@@ -0,0 +1,70 @@
+/**
+ * Score history
+ * Replays the ranking pipeline as of each past month, so leads can follow a clinician's score
+ * and recommendation band over time and see when burnout or load-balancing protection applied.
+ */
+
+import { scoreClinicians } from './ranking.js';
+import { getCurrentTimelineIndex, getMonthDateRange } from './dateUtils.js';
+import { DEFAULT_SCORING_CONFIG } from './scoringConfig.js';
+
+/**
+ * Score every clinician for each of the last few months of the timeline
+ * Past months are scored as of their last day (a complete month, so no early-month fallback);
+ * the current month as of options.asOf. Logged assignments are left out of past months, since
+ * the data already covers them. Per-client active cases are counted as of each month end; the
+ * summary's 2-month count has no history and stays the latest one.
+ * @param {Array<Object>} cliniciansData - Clinicians from fetchClinicianData
+ * @param {Object} config - Scoring config
+ * @param {Object} options - Ranking options (see scoreClinicians)
+ * @param {number} months - Number of months to replay, ending with the current month
+ * @returns {Object} { monthKeys, history } - history maps clinician name to one entry per month key:
+ *   { monthKey, score, level, burnoutPenalty, loadBalancingPenalty }
+ */
+export function replayScoreHistory(cliniciansData, config = DEFAULT_SCORING_CONFIG, options = {}, months = 12) {
+  if (!Array.isArray(cliniciansData) || cliniciansData.length === 0) {
+    return { monthKeys: [], history: {} };
+  }
+
+  const asOf = options.asOf || new Date();
+  const timeline = cliniciansData[0].monthKeys || [];
+  const currentIndex = getCurrentTimelineIndex(timeline, asOf);
+  const endIndex = Math.min(currentIndex, timeline.length - 1);
+  const monthKeys = timeline.slice(Math.max(0, endIndex - months + 1), endIndex + 1);
+
+  const history = {};
+  cliniciansData.forEach(clinician => { history[clinician.name] = []; });
+
+  monthKeys.forEach(monthKey => {
+    const isCurrentMonth = timeline.indexOf(monthKey) === currentIndex;
+    const monthOptions = isCurrentMonth
+      ? options
+      : { ...options, asOf: getMonthDateRange(monthKey).end, availabilityRange: undefined, pendingAssignments: [] };
+
+    scoreClinicians(cliniciansData, config, monthOptions).forEach(clinician => {
+      history[clinician.name].push({
+        monthKey,
+        score: clinician.assignmentScore,
+        level: clinician.recommendationLevel,
+        burnoutPenalty: clinician.burnout ? clinician.burnout.penalty : 0,
+        loadBalancingPenalty: clinician.loadBalancing ? clinician.loadBalancing.penalty : 0
+      });
+    });
+  });
+
+  return { monthKeys, history };
+}
+
+/**
+ * Count how many of the most recent months share a recommendation band
+ * @param {Array<Object>} entries - One clinician's history from replayScoreHistory (oldest first)
+ * @param {string} level - Recommendation level ('high', 'medium' or 'low')
+ * @returns {number} Consecutive months ending with the latest one
+ */
+export function countTrailingMonthsAtLevel(entries, level) {
+  let count = 0;
+  for (let i = entries.length - 1; i >= 0 && entries[i].level === level; i--) {
+    count++;
+  }
+  return count;
+}
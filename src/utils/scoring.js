@@ -8,17 +8,57 @@
  * - 6-Month Average: 30% (sustained pattern - dynamically calculated)
  * - Growth Rate: 10% (current month vs their own historical baseline - individualized fairness)
  *
+ * Weights above are the defaults; the active values come from the scoring config.
+ *
+ * CAPACITY MODE (config.capacity.mode === 'capacity'):
+ * Active cases, current month and 6-month average are divided by each clinician's
+ * own capacity (FTE-scaled hours and case cap) instead of the population max,
+ * so part-time clinicians at full personal capacity are not shown as available.
+ *
+ * CASELOAD INPUT (config.caseIntensity.caseloadInput === 'weighted'):
+ * The active cases term uses the weighted caseload (clients weighted by appointment
+ * intensity) instead of the flat unique-client count.
+ *
  * NOTE: Normalized across ALL clinicians (not just within level)
  * This ensures leads with 2 cases score lower than juniors with 25 cases
  */
 
-export function calculateAssignmentScore(clinician, allClinicians, baselineMaxActiveCases = null) {
+import { DEFAULT_SCORING_CONFIG } from './scoringConfig.js';
+import { getClinicianCapacity, calculateUtilisation } from './capacity.js';
+
+/**
+ * Get the caseload figure the score uses
+ * @param {Object} clinician - Clinician with activeCases (and weightedCases when known)
+ * @param {Object} config - Scoring config (caseIntensity section)
+ * @returns {number} Weighted caseload in 'weighted' mode, otherwise active cases
+ */
+export function getCaseloadInput(clinician, config = DEFAULT_SCORING_CONFIG) {
+  if (config.caseIntensity.caseloadInput === 'weighted' && typeof clinician.weightedCases === 'number') {
+    return clinician.weightedCases;
+  }
+  return clinician.activeCases;
+}
+
+/**
+ * Work out a clinician's score and how it was reached
+ * @param {Object} clinician - Enriched clinician
+ * @param {Array<Object>} allClinicians - Everyone being ranked (for population max/min)
+ * @param {number|null} baselineMaxActiveCases - Fixed caseload max (null = max across allClinicians)
+ * @param {Object} config - Scoring config
+ * @returns {Object} { score, mode, components, baseScore, penalties, uncappedScore, capped }
+ *   components: [{ key, label, value, normalized, weight, points, reference }] - reference holds the
+ *   population max (and min for growth) or, in capacity mode, the clinician's own capacity
+ *   penalties: [{ key, label, points }]
+ */
+export function calculateScoreBreakdown(clinician, allClinicians, baselineMaxActiveCases = null, config = DEFAULT_SCORING_CONFIG) {
+  const caseloadInput = getCaseloadInput(clinician, config);
+
   // Find max values for normalization ACROSS ALL CLINICIANS
   // This makes scores comparable across levels
   // Use baselineMaxActiveCases if provided (for time window adjustments)
   const maxActiveCases = baselineMaxActiveCases !== null
     ? baselineMaxActiveCases
-    : Math.max(...allClinicians.map(c => c.activeCases), 1);
+    : Math.max(...allClinicians.map(c => getCaseloadInput(c, config)), 1);
   const maxCurrentMonth = Math.max(...allClinicians.map(c => c.currentMonth), 1);
   const maxSixMonthAvg = Math.max(...allClinicians.map(c => c.sixMonthAverage), 1);
 
@@ -28,10 +68,33 @@ export function calculateAssignmentScore(clinician, allClinicians, baselineMaxAc
   const minGrowthRate = Math.min(...growthRates);
   const growthRateRange = maxGrowthRate - minGrowthRate;
 
-  // Normalize values (0-1 scale)
-  const normalizedActiveCases = clinician.activeCases / maxActiveCases;
-  const normalizedCurrentMonth = clinician.currentMonth / maxCurrentMonth;
-  const normalizedSixMonthAvg = clinician.sixMonthAverage / maxSixMonthAvg;
+  // Normalize values (0-1 scale; capacity mode can exceed 1 when over capacity)
+  let normalizedActiveCases;
+  let normalizedCurrentMonth;
+  let normalizedSixMonthAvg;
+  let references;
+
+  if (config.capacity.mode === 'capacity') {
+    const capacity = clinician.capacity || getClinicianCapacity(clinician, config);
+    const utilisation = calculateUtilisation({ ...clinician, activeCases: caseloadInput }, capacity);
+    normalizedActiveCases = utilisation.cases;
+    normalizedCurrentMonth = utilisation.hours;
+    normalizedSixMonthAvg = utilisation.sixMonthHours;
+    references = [
+      { capacity: capacity.caseCap },
+      { capacity: capacity.hoursPerMonth },
+      { capacity: capacity.hoursPerMonth }
+    ];
+  } else {
+    normalizedActiveCases = caseloadInput / maxActiveCases;
+    normalizedCurrentMonth = clinician.currentMonth / maxCurrentMonth;
+    normalizedSixMonthAvg = clinician.sixMonthAverage / maxSixMonthAvg;
+    references = [
+      { max: maxActiveCases },
+      { max: maxCurrentMonth },
+      { max: maxSixMonthAvg }
+    ];
+  }
 
   // Normalize growth rate: higher growth = worse for assignment
   // Map growth rate to 0-1 scale where higher growth = higher score
@@ -40,27 +103,63 @@ export function calculateAssignmentScore(clinician, allClinicians, baselineMaxAc
     : 0;
 
   // Weighted score (lower is better for assignment)
-  const baseScore = (
-    normalizedActiveCases * 0.30 +    // 30% weight
-    normalizedCurrentMonth * 0.30 +    // 30% weight
-    normalizedSixMonthAvg * 0.30 +     // 30% weight
-    normalizedGrowthRate * 0.10        // 10% weight
-  ) * 100;
+  // Weights are percentages, so the weighted sum is already on a 0-100 scale
+  const { weights } = config;
+  const components = [
+    {
+      key: 'activeCases',
+      label: config.caseIntensity.caseloadInput === 'weighted' ? 'Weighted caseload' : 'Active cases',
+      value: caseloadInput,
+      normalized: normalizedActiveCases,
+      reference: references[0]
+    },
+    { key: 'currentMonth', label: 'Current month', value: clinician.currentMonth, normalized: normalizedCurrentMonth, reference: references[1] },
+    { key: 'sixMonthAverage', label: '6-month average', value: clinician.sixMonthAverage, normalized: normalizedSixMonthAvg, reference: references[2] },
+    {
+      key: 'growthRate',
+      label: 'Growth rate',
+      value: clinician.growthRate,
+      normalized: normalizedGrowthRate,
+      reference: { min: minGrowthRate, max: maxGrowthRate }
+    }
+  ].map(component => ({
+    ...component,
+    weight: weights[component.key],
+    points: component.normalized * weights[component.key]
+  }));
+  const baseScore = components.reduce((sum, component) => sum + component.points, 0);
 
   // Apply protection penalties (if detected)
-  const burnoutPenalty = clinician.burnout ? clinician.burnout.penalty : 0;
-  const loadBalancingPenalty = clinician.loadBalancing ? clinician.loadBalancing.penalty : 0;
-  const finalScore = baseScore + burnoutPenalty + loadBalancingPenalty;
+  const penalties = [
+    { key: 'burnout', label: 'Burnout protection', points: clinician.burnout ? clinician.burnout.penalty : 0 },
+    { key: 'loadBalancing', label: 'Load balancing', points: clinician.loadBalancing ? clinician.loadBalancing.penalty : 0 }
+  ];
+  const finalScore = penalties.reduce((sum, penalty) => sum + penalty.points, baseScore);
+
+  return {
+    score: Math.round(Math.min(finalScore, 100)), // Cap at 100
+    mode: config.capacity.mode,
+    components,
+    baseScore,
+    penalties,
+    uncappedScore: finalScore,
+    capped: finalScore > 100
+  };
+}
 
-  return Math.round(Math.min(finalScore, 100)); // Cap at 100
+export function calculateAssignmentScore(clinician, allClinicians, baselineMaxActiveCases = null, config = DEFAULT_SCORING_CONFIG) {
+  return calculateScoreBreakdown(clinician, allClinicians, baselineMaxActiveCases, config).score;
 }
 
-export function getRecommendationLevel(score) {
-  if (score <= 40) return 'high';
-  if (score <= 70) return 'medium';
+export function getRecommendationLevel(score, config = DEFAULT_SCORING_CONFIG) {
+  const { recommendationBands } = config;
+  if (score <= recommendationBands.high) return 'high';
+  if (score <= recommendationBands.medium) return 'medium';
   return 'low';
 }
 
+// Sorts by rankingScore (workload score adjusted for case-type match) when it has been applied
 export function sortByAssignmentScore(clinicians) {
-  return [...clinicians].sort((a, b) => a.assignmentScore - b.assignmentScore);
+  const rankingScore = c => (c.rankingScore !== undefined ? c.rankingScore : c.assignmentScore);
+  return [...clinicians].sort((a, b) => rankingScore(a) - rankingScore(b));
 }
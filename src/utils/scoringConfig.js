@@ -0,0 +1,327 @@
+/**
+ * Scoring configuration
+ * Weights, recommendation bands and protection thresholds used by every scoring module.
+ *
+ * Sources (later overrides earlier):
+ * 1. DEFAULT_SCORING_CONFIG (below)
+ * 2. /scoring-config.json (team defaults, shipped with the app)
+ * 3. localStorage (edits made in the settings drawer)
+ */
+
+const STORAGE_KEY = 'scoringConfig';
+
+export const DEFAULT_SCORING_CONFIG = {
+  // Percentage weights, must sum to 100
+  weights: {
+    activeCases: 30,
+    currentMonth: 30,
+    sixMonthAverage: 30,
+    growthRate: 10
+  },
+  // Score upper bounds (inclusive) for each recommendation level
+  recommendationBands: {
+    high: 40,
+    medium: 70
+  },
+  burnout: {
+    multiplier: 1.25,          // High-load threshold = own average × multiplier
+    maxThresholdHours: 45,     // ...capped at this many hours
+    minConsecutiveMonths: 2,
+    penalty: 3
+  },
+  loadBalancing: {
+    sdThreshold: 1.5,          // Standard deviations above team mean
+    lowPenalty: 3,             // 2 consecutive months
+    moderatePenalty: 6,        // 3 consecutive months
+    highPenalty: 10            // 4+ consecutive months
+  },
+  capacity: {
+    mode: 'population',        // 'population' (compare to team max) or 'capacity' (compare to own capacity)
+    fullTimeHoursPerMonth: 45, // Clinical hours for 1.0 FTE, scaled by FTE unless contracted hours are set
+    juniorCaseCap: 28,         // Active case cap for 1.0 FTE, scaled by FTE
+    seniorCaseCap: 24,
+    leadCaseCap: 10
+  },
+  availability: {
+    unavailableMode: 'derank',   // 'derank' (list after available clinicians) or 'hide'
+    unavailableFraction: 0.5,    // Share of weekdays on leave in the period that makes someone unavailable
+    minLeaveMonthFraction: 0.25  // Share of a month's weekdays on leave before it is left out of baselines
+  },
+  pendingAssignments: {
+    hoursPerCase: 1.5,           // Projected current-month hours for each newly assigned case
+    decayDays: 14                // Days after the data catches up before a logged case stops counting
+  },
+  caseMatching: {
+    mode: 'boost',               // 'filter' (only qualified clinicians) or 'boost' (qualified ranked higher)
+    boostPoints: 15              // Points taken off a qualified clinician's score when ranking
+  },
+  caseIntensity: {
+    caseloadInput: 'active',     // 'active' (unique clients) or 'weighted' (clients weighted by intensity)
+    counselling: 1,              // Weight of a client by their most intensive appointment category
+    crisis: 2,
+    accompaniment: 1.5,
+    communication: 1,
+    groupwork: 1
+  },
+  freshness: {
+    staleAfterDays: 14,          // Data older than this (from "# Data last updated") is flagged as stale
+    staleMode: 'block'           // 'block' (no Highly Recommended while stale) or 'warn' (banner only)
+  },
+  hoursAnomalies: {
+    ceilingHours: 160,           // More clinical hours than this in one month is treated as impossible
+    spikeMultiplier: 3,          // Flag a month over this multiple of the clinician's usual month
+    teamMultiplier: 3,           // ...or over this multiple of the team median for that month
+    minChangeHours: 15,          // Ignore changes smaller than this (and zero months for lighter usual loads)
+    lookbackMonths: 12,          // Months checked, up to the current one
+    defaultAction: 'keep'        // 'keep', 'cap' or 'exclude' for flagged values without their own choice
+  },
+  currentMonth: {
+    estimate: 'fallback'         // 'fallback' (last month's hours in the first week if under 5h) or
+                                 // 'projection' (hours so far prorated by working days, blended with last month)
+  },
+  normalization: {
+    hoursBasis: 'monthly'        // 'monthly' (raw hours) or 'workingDay' (hours per working day, scaled to
+                                 // an average month, so holiday-heavy months don't look quieter)
+  }
+};
+
+export const SCORING_MODES = ['population', 'capacity'];
+export const UNAVAILABLE_MODES = ['derank', 'hide'];
+export const CASE_MATCHING_MODES = ['filter', 'boost'];
+export const CASELOAD_INPUTS = ['active', 'weighted'];
+export const STALE_DATA_MODES = ['block', 'warn'];
+export const HOURS_ANOMALY_ACTIONS = ['keep', 'cap', 'exclude'];
+export const CURRENT_MONTH_ESTIMATES = ['fallback', 'projection'];
+export const HOURS_BASES = ['monthly', 'workingDay'];
+
+/**
+ * Merge partial overrides onto a base config, section by section
+ * @param {Object} base - Complete config
+ * @param {Object} overrides - Partial config (unknown sections are ignored)
+ * @returns {Object} New merged config
+ */
+export function mergeScoringConfig(base, overrides) {
+  if (!overrides || typeof overrides !== 'object') {
+    return base;
+  }
+
+  const merged = {};
+  Object.keys(base).forEach(section => {
+    merged[section] = { ...base[section], ...(overrides[section] || {}) };
+  });
+  return merged;
+}
+
+/**
+ * Validate a scoring config
+ * @param {Object} config - Scoring config
+ * @returns {Object} Validation result with isValid and errors array
+ */
+export function validateScoringConfig(config) {
+  const errors = [];
+
+  const checkNumber = (section, key, { min = 0, max = Infinity, integer = false } = {}) => {
+    const value = config?.[section]?.[key];
+    const field = `${section}.${key}`;
+
+    if (typeof value !== 'number' || isNaN(value)) {
+      errors.push({ field, message: `${field} must be a number`, value });
+    } else if (value < min || value > max) {
+      errors.push({ field, message: `${field} must be between ${min} and ${max}`, value });
+    } else if (integer && !Number.isInteger(value)) {
+      errors.push({ field, message: `${field} must be a whole number`, value });
+    }
+  };
+
+  Object.keys(DEFAULT_SCORING_CONFIG.weights).forEach(key => checkNumber('weights', key, { max: 100 }));
+
+  const weightTotal = Object.keys(DEFAULT_SCORING_CONFIG.weights)
+    .reduce((sum, key) => sum + (Number(config?.weights?.[key]) || 0), 0);
+  if (Math.abs(weightTotal - 100) > 0.01) {
+    errors.push({
+      field: 'weights',
+      message: `Weights must sum to 100% (currently ${Math.round(weightTotal * 100) / 100}%)`,
+      value: weightTotal
+    });
+  }
+
+  checkNumber('recommendationBands', 'high', { max: 100 });
+  checkNumber('recommendationBands', 'medium', { max: 100 });
+  if (config?.recommendationBands?.high >= config?.recommendationBands?.medium) {
+    errors.push({
+      field: 'recommendationBands',
+      message: 'Highly Recommended band must end below the Recommended band',
+      value: config.recommendationBands
+    });
+  }
+
+  checkNumber('burnout', 'multiplier', { min: 1, max: 5 });
+  checkNumber('burnout', 'maxThresholdHours', { min: 1, max: 744 });
+  checkNumber('burnout', 'minConsecutiveMonths', { min: 1, max: 12, integer: true });
+  checkNumber('burnout', 'penalty', { max: 100 });
+
+  checkNumber('loadBalancing', 'sdThreshold', { min: 0.1, max: 5 });
+  checkNumber('loadBalancing', 'lowPenalty', { max: 100 });
+  checkNumber('loadBalancing', 'moderatePenalty', { max: 100 });
+  checkNumber('loadBalancing', 'highPenalty', { max: 100 });
+
+  if (!SCORING_MODES.includes(config?.capacity?.mode)) {
+    errors.push({
+      field: 'capacity.mode',
+      message: `capacity.mode must be one of ${SCORING_MODES.join(', ')}`,
+      value: config?.capacity?.mode
+    });
+  }
+  checkNumber('capacity', 'fullTimeHoursPerMonth', { min: 1, max: 744 });
+  checkNumber('capacity', 'juniorCaseCap', { min: 1, max: 500 });
+  checkNumber('capacity', 'seniorCaseCap', { min: 1, max: 500 });
+  checkNumber('capacity', 'leadCaseCap', { min: 1, max: 500 });
+
+  if (!UNAVAILABLE_MODES.includes(config?.availability?.unavailableMode)) {
+    errors.push({
+      field: 'availability.unavailableMode',
+      message: `availability.unavailableMode must be one of ${UNAVAILABLE_MODES.join(', ')}`,
+      value: config?.availability?.unavailableMode
+    });
+  }
+  checkNumber('availability', 'unavailableFraction', { min: 0.01, max: 1 });
+  checkNumber('availability', 'minLeaveMonthFraction', { min: 0.01, max: 1 });
+
+  checkNumber('pendingAssignments', 'hoursPerCase', { max: 40 });
+  checkNumber('pendingAssignments', 'decayDays', { max: 90, integer: true });
+
+  if (!CASE_MATCHING_MODES.includes(config?.caseMatching?.mode)) {
+    errors.push({
+      field: 'caseMatching.mode',
+      message: `caseMatching.mode must be one of ${CASE_MATCHING_MODES.join(', ')}`,
+      value: config?.caseMatching?.mode
+    });
+  }
+  checkNumber('caseMatching', 'boostPoints', { max: 100 });
+
+  if (!CASELOAD_INPUTS.includes(config?.caseIntensity?.caseloadInput)) {
+    errors.push({
+      field: 'caseIntensity.caseloadInput',
+      message: `caseIntensity.caseloadInput must be one of ${CASELOAD_INPUTS.join(', ')}`,
+      value: config?.caseIntensity?.caseloadInput
+    });
+  }
+  ['counselling', 'crisis', 'accompaniment', 'communication', 'groupwork']
+    .forEach(key => checkNumber('caseIntensity', key, { max: 10 }));
+
+  checkNumber('freshness', 'staleAfterDays', { min: 1, max: 365, integer: true });
+  if (!STALE_DATA_MODES.includes(config?.freshness?.staleMode)) {
+    errors.push({
+      field: 'freshness.staleMode',
+      message: `freshness.staleMode must be one of ${STALE_DATA_MODES.join(', ')}`,
+      value: config?.freshness?.staleMode
+    });
+  }
+
+  checkNumber('hoursAnomalies', 'ceilingHours', { min: 1, max: 744 });
+  checkNumber('hoursAnomalies', 'spikeMultiplier', { min: 1.1, max: 20 });
+  checkNumber('hoursAnomalies', 'teamMultiplier', { min: 1.1, max: 20 });
+  checkNumber('hoursAnomalies', 'minChangeHours', { max: 744 });
+  checkNumber('hoursAnomalies', 'lookbackMonths', { min: 1, max: 60, integer: true });
+  if (!HOURS_ANOMALY_ACTIONS.includes(config?.hoursAnomalies?.defaultAction)) {
+    errors.push({
+      field: 'hoursAnomalies.defaultAction',
+      message: `hoursAnomalies.defaultAction must be one of ${HOURS_ANOMALY_ACTIONS.join(', ')}`,
+      value: config?.hoursAnomalies?.defaultAction
+    });
+  }
+
+  if (!CURRENT_MONTH_ESTIMATES.includes(config?.currentMonth?.estimate)) {
+    errors.push({
+      field: 'currentMonth.estimate',
+      message: `currentMonth.estimate must be one of ${CURRENT_MONTH_ESTIMATES.join(', ')}`,
+      value: config?.currentMonth?.estimate
+    });
+  }
+
+  if (!HOURS_BASES.includes(config?.normalization?.hoursBasis)) {
+    errors.push({
+      field: 'normalization.hoursBasis',
+      message: `normalization.hoursBasis must be one of ${HOURS_BASES.join(', ')}`,
+      value: config?.normalization?.hoursBasis
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Read saved overrides from localStorage
+ * @returns {Object|null} Saved config or null if none/unreadable
+ */
+function readStoredConfig() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.warn('[scoringConfig] Could not read saved config:', error);
+    return null;
+  }
+}
+
+/**
+ * Load scoring config from scoring-config.json and localStorage
+ * Falls back to built-in defaults when either source is missing or invalid
+ * @returns {Promise<Object>} { config, defaults } - active config and the team defaults to reset to
+ */
+export async function loadScoringConfig() {
+  let defaults = DEFAULT_SCORING_CONFIG;
+
+  try {
+    const response = await fetch('/scoring-config.json');
+    if (response.ok) {
+      const fileConfig = mergeScoringConfig(DEFAULT_SCORING_CONFIG, await response.json());
+      const validation = validateScoringConfig(fileConfig);
+      if (validation.isValid) {
+        defaults = fileConfig;
+      } else {
+        console.warn('[scoringConfig] scoring-config.json is invalid, using built-in defaults:', validation.errors);
+      }
+    }
+  } catch (error) {
+    console.warn('[scoringConfig] Could not load scoring-config.json, using built-in defaults:', error);
+  }
+
+  const stored = readStoredConfig();
+  if (stored) {
+    const storedConfig = mergeScoringConfig(defaults, stored);
+    const validation = validateScoringConfig(storedConfig);
+    if (validation.isValid) {
+      return { config: storedConfig, defaults };
+    }
+    console.warn('[scoringConfig] Saved config is invalid, ignoring:', validation.errors);
+  }
+
+  return { config: defaults, defaults };
+}
+
+/**
+ * Persist scoring config to localStorage
+ * @param {Object} config - Valid scoring config
+ */
+export function saveScoringConfig(config) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+  } catch (error) {
+    console.warn('[scoringConfig] Could not save config:', error);
+  }
+}
+
+/**
+ * Remove saved overrides so the team defaults apply again
+ */
+export function clearScoringConfig() {
+  try {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.warn('[scoringConfig] Could not clear saved config:', error);
+  }
+}
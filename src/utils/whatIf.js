@@ -0,0 +1,119 @@
+/**
+ * What-if simulator
+ * Applies hypothetical new cases and extra current-month hours to a copy of the clinician data
+ * and re-runs the ranking pipeline, so leads can see how the ranking would change before assigning.
+ */
+
+import { scoreClinicians, rankClinicians } from './ranking.js';
+import { getCurrentTimelineIndex } from './dateUtils.js';
+import { getCaseloadDate } from './caseload.js';
+import { DEFAULT_SCORING_CONFIG } from './scoringConfig.js';
+
+/**
+ * Apply hypothetical changes to a copy of the clinician data
+ * New cases are added to the recorded count and, when per-client data is loaded, as clients
+ * first seen on the date the caseload is counted as of (so they count in every window). Extra hours go into the
+ * current month of the timeline, where burnout and load-balancing detection see them too;
+ * when the data has no column for it yet, the hours are padded out to the current month.
+ * @param {Array<Object>} cliniciansData - Clinicians from fetchClinicianData (not modified)
+ * @param {Array<Object>} changes - [{ name, cases, hours, category }] - name matches clinician.name;
+ *   optional category is the appointment category the new cases are weighted as
+ * @param {Date|null} caseloadAsOf - Date client_last_seen.csv was generated
+ * @param {Date} asOf - Date whose month receives the extra hours
+ * @returns {Array<Object>} Modified copy of cliniciansData
+ */
+export function applyWhatIfChanges(cliniciansData, changes, caseloadAsOf = null, asOf = new Date()) {
+  const caseloadDate = getCaseloadDate(caseloadAsOf, asOf);
+  return cliniciansData.map(clinician => {
+    const clinicianChanges = changes.filter(change => change.name === clinician.name);
+    if (clinicianChanges.length === 0) return clinician;
+
+    const cases = clinicianChanges.reduce((sum, change) => sum + Math.max(0, Math.round(Number(change.cases) || 0)), 0);
+    const hours = clinicianChanges.reduce((sum, change) => sum + (Number(change.hours) || 0), 0);
+
+    const currentMonthIndex = getCurrentTimelineIndex(clinician.monthKeys || [], asOf);
+    let monthlyHours = clinician.monthlyHours;
+    if (Array.isArray(monthlyHours) && currentMonthIndex >= 0) {
+      monthlyHours = [...monthlyHours];
+      while (monthlyHours.length <= currentMonthIndex) monthlyHours.push(0);
+      monthlyHours[currentMonthIndex] = Math.max(0, monthlyHours[currentMonthIndex] + hours);
+    }
+
+    const newCases = clinicianChanges.flatMap((change, changeIndex) => Array.from(
+      { length: Math.max(0, Math.round(Number(change.cases) || 0)) },
+      (_, index) => ({
+        clientId: `what-if-${changeIndex + 1}-${index + 1}`,
+        firstSeen: caseloadDate,
+        lastSeen: caseloadDate,
+        categories: change.category ? [change.category] : []
+      })
+    ));
+
+    return {
+      ...clinician,
+      activeCases: clinician.activeCases + cases,
+      monthlyHours,
+      cases: clinician.cases && caseloadAsOf ? [...clinician.cases, ...newCases] : clinician.cases
+    };
+  });
+}
+
+/**
+ * Summarise one clinician's position in a ranking
+ * @param {Object} clinician - Scored clinician
+ * @param {number} rank - 1-based position
+ * @returns {Object} { rank, assignmentScore, recommendationLevel, burnoutPenalty, loadBalancingPenalty }
+ */
+function toOutcome(clinician, rank) {
+  return {
+    rank,
+    assignmentScore: clinician.assignmentScore,
+    recommendationLevel: clinician.recommendationLevel,
+    burnoutPenalty: clinician.burnout ? clinician.burnout.penalty : 0,
+    loadBalancingPenalty: clinician.loadBalancing ? clinician.loadBalancing.penalty : 0
+  };
+}
+
+/**
+ * Rank the team with and without the hypothetical changes
+ * @param {Array<Object>} cliniciansData - Clinicians from fetchClinicianData
+ * @param {Array<Object>} changes - [{ name, cases, hours, category }] (see applyWhatIfChanges)
+ * @param {Object} config - Scoring config
+ * @param {Object} options - Ranking options (see scoreClinicians)
+ * @returns {Array<Object>} One row per clinician in the simulated order:
+ *   { name, changed, before, after, newPenalties } - newPenalties lists protections that would start or increase
+ */
+export function simulateWhatIf(cliniciansData, changes, config = DEFAULT_SCORING_CONFIG, options = {}) {
+  const before = rankClinicians(scoreClinicians(cliniciansData, config, options));
+  const after = rankClinicians(scoreClinicians(
+    applyWhatIfChanges(cliniciansData, changes, options.caseloadAsOf || null, options.asOf || new Date()),
+    config,
+    options
+  ));
+
+  const beforeByName = {};
+  before.forEach((clinician, index) => {
+    beforeByName[clinician.name] = toOutcome(clinician, index + 1);
+  });
+
+  return after.map((clinician, index) => {
+    const afterOutcome = toOutcome(clinician, index + 1);
+    const beforeOutcome = beforeByName[clinician.name];
+
+    const newPenalties = [];
+    if (afterOutcome.burnoutPenalty > beforeOutcome.burnoutPenalty) {
+      newPenalties.push({ type: 'burnout', penalty: afterOutcome.burnoutPenalty - beforeOutcome.burnoutPenalty });
+    }
+    if (afterOutcome.loadBalancingPenalty > beforeOutcome.loadBalancingPenalty) {
+      newPenalties.push({ type: 'loadBalancing', penalty: afterOutcome.loadBalancingPenalty - beforeOutcome.loadBalancingPenalty });
+    }
+
+    return {
+      name: clinician.name,
+      changed: changes.some(change => change.name === clinician.name),
+      before: beforeOutcome,
+      after: afterOutcome,
+      newPenalties
+    };
+  });
+}